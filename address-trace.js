@@ -0,0 +1,125 @@
+const MEMORY_ACCESS_TYPES = {
+    instruction: 'I',
+    load: 'L',
+    store: 'S'
+};
+
+const DEFAULT_PAGE_SIZE = 4096;
+
+const LACKEY_LINE_PATTERN = /^(I | [LSM])\s+([0-9a-fA-F]+),(\d+)\s*$/;
+const ADDRESS_LINE_PATTERN = /^(?:([RWILSM])\s+)?(0x[0-9a-f]+|\d+)(?:,(\d+))?$/i;
+
+function parseLackeyTrace(text) {
+    const accesses = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '' || line.startsWith('==') || line.startsWith('--')) {
+            return;
+        }
+        const match = line.match(LACKEY_LINE_PATTERN);
+        if (!match) {
+            throw new Error(`Unrecognized lackey line ${index + 1}: "${line.trim()}"`);
+        }
+        accesses.push({
+            accessType: match[1].trim(),
+            address: parseInt(match[2], 16),
+            size: parseInt(match[3], 10)
+        });
+    });
+    return accesses;
+}
+
+function parseAddressList(text) {
+    const accesses = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.replace(/#.*$/, '').trim();
+        if (trimmed === '') {
+            return;
+        }
+        const tokens = /^[RWILSM]\s/i.test(trimmed) ? [trimmed] : trimmed.split(/[\s,]+/);
+        tokens.forEach(token => {
+            const match = token.match(ADDRESS_LINE_PATTERN);
+            if (!match) {
+                throw new Error(`Invalid address "${token}" on line ${index + 1}`);
+            }
+            const accessType = match[1] ? match[1].toUpperCase() : null;
+            accesses.push({
+                accessType: accessType === 'R' ? 'L' : (accessType === 'W' ? 'S' : accessType),
+                address: /^0x/i.test(match[2]) ? parseInt(match[2], 16) : parseInt(match[2], 10),
+                size: match[3] !== undefined ? parseInt(match[3], 10) : null
+            });
+        });
+    });
+    return accesses;
+}
+
+function isLackeyTrace(text) {
+    return text.split(/\r?\n/).some(line => LACKEY_LINE_PATTERN.test(line));
+}
+
+function matchesAccessTypes(accessType, accessTypes) {
+    if (accessType === null) {
+        return true;
+    }
+    if (accessType === 'M') {
+        return accessTypes.includes('L') || accessTypes.includes('S');
+    }
+    return accessTypes.includes(accessType);
+}
+
+function mapAddressesToPages(accesses, options = {}) {
+    const pageSize = options.pageSize !== undefined ? options.pageSize : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+        throw new Error('Page size must be a positive integer');
+    }
+    const accessTypes = options.accessTypes || Object.values(MEMORY_ACCESS_TYPES);
+    const pageNumbers = new Map();
+    const pageReferences = [];
+    accesses.forEach(access => {
+        if (!matchesAccessTypes(access.accessType, accessTypes)) {
+            return;
+        }
+        const lastAddress = access.address + Math.max(access.size || 1, 1) - 1;
+        for (let pageNumber = Math.floor(access.address / pageSize); pageNumber <= Math.floor(lastAddress / pageSize); pageNumber++) {
+            if (options.renumberPages) {
+                if (!pageNumbers.has(pageNumber)) {
+                    pageNumbers.set(pageNumber, pageNumbers.size);
+                }
+                pageReferences.push(pageNumbers.get(pageNumber));
+            } else {
+                pageReferences.push(pageNumber);
+            }
+        }
+    });
+    return pageReferences;
+}
+
+function importAddressTrace(text, options = {}) {
+    const format = isLackeyTrace(text) ? 'lackey' : 'addresses';
+    const accesses = format === 'lackey' ? parseLackeyTrace(text) : parseAddressList(text);
+    if (accesses.length === 0) {
+        throw new Error('Trace contains no memory accesses');
+    }
+    const pageReferences = mapAddressesToPages(accesses, options);
+    if (pageReferences.length === 0) {
+        throw new Error('No memory accesses match the selected access types');
+    }
+    return {
+        format,
+        pageSize: options.pageSize !== undefined ? options.pageSize : DEFAULT_PAGE_SIZE,
+        accessCount: accesses.length,
+        pageReferences,
+        distinctPageCount: new Set(pageReferences).size
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MEMORY_ACCESS_TYPES,
+        DEFAULT_PAGE_SIZE,
+        parseLackeyTrace,
+        parseAddressList,
+        isLackeyTrace,
+        mapAddressesToPages,
+        importAddressTrace
+    };
+}
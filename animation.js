@@ -1,9 +1,11 @@
+const ANIMATION_EVENTS = ['step', 'play', 'pause', 'complete'];
+
 class AnimationEngine {
-    constructor(canvasRenderer, algorithm) {
+    constructor(renderer, algorithm) {
         if (!algorithm || typeof algorithm.processPageReference !== 'function') {
             throw new Error('Valid FIFOAlgorithm instance is required');
         }
-        this.canvasRenderer = canvasRenderer;
+        this.renderers = [];
         this.algorithm = algorithm;
         this.isPlaying = false;
         this.currentStep = 0;
@@ -11,21 +13,79 @@ class AnimationEngine {
         this.speed = 1000;
         this.animationTimer = null;
         this.stepHistory = [];
+        this.breakpoints = {
+            pauseOnFault: false,
+            evictedPage: null
+        };
+        this.lastBreakpointHit = null;
+        this.practiceMode = false;
+        this.accessTimeModel = null;
+        this.effectiveAccessTime = null;
+        this.updateEffectiveAccessTime(null);
+        if (renderer) {
+            this.addRenderer(renderer);
+        }
+    }
+
+    addRenderer(renderer) {
+        if (!renderer || typeof renderer.render !== 'function') {
+            throw new Error('Renderer must implement render(state, event)');
+        }
+        if (!this.renderers.includes(renderer)) {
+            this.renderers.push(renderer);
+        }
+        return renderer;
+    }
+
+    removeRenderer(renderer) {
+        const index = this.renderers.indexOf(renderer);
+        if (index === -1) {
+            return false;
+        }
+        this.renderers.splice(index, 1);
+        return true;
+    }
+
+    emit(type, detail = {}) {
+        if (!ANIMATION_EVENTS.includes(type)) {
+            throw new Error(`Unknown animation event: ${type}`);
+        }
+        if (this.renderers.length === 0) {
+            return;
+        }
+        const state = this.getCurrentState();
+        const event = { type, algorithm: this.algorithm, stepResult: null, breakpoint: null, ...detail };
+        [...this.renderers].forEach(renderer => {
+            try {
+                renderer.render(state, event);
+            } catch (error) {
+                this.removeRenderer(renderer);
+                if (typeof document !== 'undefined') {
+                    showAnimationStatus(`A view stopped updating after an error: ${error.message}`, 'error');
+                }
+            }
+        });
+    }
+
+    dispose() {
+        this.renderers = [];
+        this.pause();
     }
 
     start() {
-        if (this.isPlaying) {
+        if (this.isPlaying || this.practiceMode) {
             return false;
         }
         if (this.currentStep >= this.totalSteps) {
             return false;
         }
         this.isPlaying = true;
+        this.emit('play');
         this.scheduleNextStep();
         return true;
     }
 
-    pause() {
+    pause(breakpoint = null) {
         if (!this.isPlaying) {
             return false;
         }
@@ -34,6 +94,7 @@ class AnimationEngine {
             clearTimeout(this.animationTimer);
             this.animationTimer = null;
         }
+        this.emit('pause', { breakpoint });
         return true;
     }
 
@@ -44,12 +105,11 @@ class AnimationEngine {
         try {
             const stepResult = this.algorithm.processPageReference(this.currentStep);
             this.currentStep++;
-            this.stepHistory.push(stepResult);
-            if (typeof renderCurrentAnimationState === 'function') {
-                renderCurrentAnimationState();
-            }
-            if (typeof updateSimulationInfo === 'function') {
-                updateSimulationInfo();
+            this.recordStep(stepResult);
+            this.updateEffectiveAccessTime(stepResult);
+            this.emit('step', { stepResult });
+            if (this.currentStep >= this.totalSteps && !this.isPlaying) {
+                this.emit('complete', { stepResult });
             }
             return stepResult;
         } catch (error) {
@@ -62,21 +122,88 @@ class AnimationEngine {
         if (this.currentStep <= 0) {
             return false;
         }
+        return this.seek(this.currentStep - 1);
+    }
+
+    seek(targetStep) {
+        if (this.practiceMode || !Number.isInteger(targetStep) || targetStep < 0 || targetStep > this.totalSteps) {
+            return false;
+        }
         try {
-            this.currentStep--;
-            this.algorithm.restoreToStep(this.currentStep);
-            if (typeof renderCurrentAnimationState === 'function') {
-                renderCurrentAnimationState();
+            if (targetStep < this.currentStep) {
+                if (targetStep === 0) {
+                    this.algorithm.reset();
+                } else {
+                    this.algorithm.restoreToStep(targetStep - 1);
+                }
+                this.stepHistory = this.stepHistory.slice(0, targetStep);
+                this.currentStep = targetStep;
             }
-            if (typeof updateSimulationInfo === 'function') {
-                updateSimulationInfo();
+            while (this.currentStep < targetStep) {
+                const stepResult = this.algorithm.processPageReference(this.currentStep);
+                this.currentStep++;
+                this.recordStep(stepResult);
             }
+            this.updateEffectiveAccessTime(this.currentStep > 0 ? this.algorithm.getLastStepResult() : null);
+            this.render();
             return true;
         } catch (error) {
+            this.pause();
             return false;
         }
     }
 
+    recordStep(stepResult) {
+        if (this.algorithm.historyMode !== 'summary') {
+            this.stepHistory.push(stepResult);
+        }
+    }
+
+    setAccessTimeModel(accessTimeModel) {
+        this.accessTimeModel = accessTimeModel ? { ...accessTimeModel } : null;
+        this.updateEffectiveAccessTime(this.currentStep > 0 ? this.algorithm.getLastStepResult() : null);
+    }
+
+    updateEffectiveAccessTime(stepResult) {
+        const calculate = typeof calculateEffectiveAccessTime !== 'undefined'
+            ? calculateEffectiveAccessTime
+            : require('./io-cost.js').calculateEffectiveAccessTime;
+        this.effectiveAccessTime = calculate(
+            this.currentStep,
+            stepResult ? stepResult.faultCount : 0,
+            stepResult && stepResult.writeBackCount ? stepResult.writeBackCount : 0,
+            this.accessTimeModel || undefined
+        );
+        return this.effectiveAccessTime;
+    }
+
+    setPracticeMode(enabled) {
+        this.practiceMode = Boolean(enabled);
+        if (this.practiceMode) {
+            this.pause();
+        }
+    }
+
+    setBreakpoints(breakpoints) {
+        this.breakpoints = { ...this.breakpoints, ...breakpoints };
+    }
+
+    findBreakpoint(stepResult) {
+        if (!stepResult) {
+            return null;
+        }
+        const results = stepResult.results || [stepResult];
+        if (this.breakpoints.pauseOnFault && results.some(result => !result.isHit)) {
+            return { type: 'fault', step: this.currentStep, pageNumber: stepResult.pageNumber };
+        }
+        const evictedPage = this.breakpoints.evictedPage;
+        if (evictedPage !== null && evictedPage !== undefined &&
+            results.some(result => result.replacedPage === evictedPage)) {
+            return { type: 'eviction', step: this.currentStep, pageNumber: evictedPage };
+        }
+        return null;
+    }
+
     setSpeed(speed) {
         if (speed > 0) {
             this.speed = speed;
@@ -89,19 +216,21 @@ class AnimationEngine {
             currentStep: this.currentStep,
             totalSteps: this.totalSteps,
             speed: this.speed,
-            canStepForward: this.currentStep < this.totalSteps,
-            canStepBackward: this.currentStep > 0,
+            canStepForward: this.canStepForward(),
+            canStepBackward: this.canStepBackward(),
             isComplete: this.currentStep >= this.totalSteps,
+            practiceMode: this.practiceMode,
+            effectiveAccessTime: this.effectiveAccessTime,
             algorithmState: this.algorithm.getCurrentState()
         };
     }
 
     canStepForward() {
-        return this.currentStep < this.totalSteps;
+        return !this.practiceMode && this.currentStep < this.totalSteps;
     }
 
     canStepBackward() {
-        return this.currentStep > 0;
+        return !this.practiceMode && this.currentStep > 0;
     }
 
     scheduleNextStep() {
@@ -111,31 +240,24 @@ class AnimationEngine {
         this.animationTimer = setTimeout(() => {
             if (this.isPlaying && this.currentStep < this.totalSteps) {
                 const stepResult = this.stepForward();
-                if (typeof updateAnimationControlStates === 'function') {
-                    updateAnimationControlStates();
-                }
-                if (typeof updateSimulationInfo === 'function') {
-                    updateSimulationInfo();
-                }
-                if (stepResult && this.currentStep < this.totalSteps) {
+                const breakpoint = this.findBreakpoint(stepResult);
+                if (breakpoint) {
+                    this.lastBreakpointHit = breakpoint;
+                    this.pause(breakpoint);
+                } else if (stepResult && this.currentStep < this.totalSteps) {
                     this.scheduleNextStep();
-                } else {
+                    return;
+                }
+                if (this.currentStep >= this.totalSteps) {
                     this.isPlaying = false;
-                    if (typeof updateAnimationControlStates === 'function') {
-                        updateAnimationControlStates();
-                    }
-                    if (typeof updateSimulationInfo === 'function') {
-                        updateSimulationInfo();
-                    }
+                    this.emit('complete', { stepResult });
                 }
             }
         }, this.speed);
     }
 
     render() {
-        if (this.canvasRenderer && typeof this.canvasRenderer.render === 'function') {
-            this.canvasRenderer.render(this.algorithm.getCurrentState());
-        }
+        this.emit('step', { stepResult: this.currentStep > 0 ? this.algorithm.getLastStepResult() : null });
     }
 }
 
@@ -172,12 +294,7 @@ function setupAnimationControlListeners() {
     if (startBtn) {
         startBtn.addEventListener('click', () => {
             if (window.currentAnimationEngine) {
-                const success = window.currentAnimationEngine.start();
-                if (success) {
-                    updateAnimationControlStates();
-                    renderCurrentAnimationState();
-                    updateSimulationInfo();
-                }
+                window.currentAnimationEngine.start();
             }
         });
     }
@@ -185,12 +302,7 @@ function setupAnimationControlListeners() {
     if (pauseBtn) {
         pauseBtn.addEventListener('click', () => {
             if (window.currentAnimationEngine) {
-                const success = window.currentAnimationEngine.pause();
-                if (success) {
-                    updateAnimationControlStates();
-                    renderCurrentAnimationState();
-                    updateSimulationInfo();
-                }
+                window.currentAnimationEngine.pause();
             }
         });
     }
@@ -198,12 +310,7 @@ function setupAnimationControlListeners() {
     if (stepForwardBtn) {
         stepForwardBtn.addEventListener('click', () => {
             if (window.currentAnimationEngine) {
-                const stepResult = window.currentAnimationEngine.stepForward();
-                if (stepResult) {
-                    updateAnimationControlStates();
-                    renderCurrentAnimationStateWithTransition();
-                    updateSimulationInfo();
-                }
+                window.currentAnimationEngine.stepForward();
             }
         });
     }
@@ -211,12 +318,7 @@ function setupAnimationControlListeners() {
     if (stepBackwardBtn) {
         stepBackwardBtn.addEventListener('click', () => {
             if (window.currentAnimationEngine) {
-                const success = window.currentAnimationEngine.stepBackward();
-                if (success) {
-                    updateAnimationControlStates();
-                    renderCurrentAnimationStateWithTransition();
-                    updateSimulationInfo();
-                }
+                window.currentAnimationEngine.stepBackward();
             }
         });
     }
@@ -255,7 +357,7 @@ function updateAnimationControlStates() {
     const stepBackwardBtn = document.getElementById('step-backward-btn');
 
     if (startBtn) {
-        startBtn.disabled = state.isPlaying || state.isComplete;
+        startBtn.disabled = state.isPlaying || state.isComplete || state.practiceMode;
         startBtn.textContent = state.isComplete ? 'Complete' : 'Start';
     }
     if (pauseBtn) {
@@ -268,7 +370,7 @@ function updateAnimationControlStates() {
         stepBackwardBtn.disabled = state.isPlaying || !state.canStepBackward;
     }
     updateButtonVisualStates(state);
-    const hasStepData = state.currentStep > 0;
+    const hasStepData = state.currentStep > 0 && window.currentAnimationEngine.algorithm.historyMode !== 'summary';
     if (typeof updateExportButtonStates === 'function') {
         updateExportButtonStates(true, hasStepData);
     }
@@ -285,36 +387,6 @@ function updateButtonVisualStates(state) {
     }
 }
 
-function renderCurrentAnimationState() {
-    if (!window.currentAnimationEngine || !window.currentFIFOAlgorithm) {
-        return;
-    }
-    try {
-        renderFIFOState(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState());
-    } catch (error) {
-    }
-}
-
-function renderCurrentAnimationStateWithTransition() {
-    if (!window.currentAnimationEngine || !window.currentFIFOAlgorithm) {
-        return;
-    }
-    try {
-        const canvas = document.getElementById('simulation-canvas');
-        if (canvas) {
-            canvas.style.opacity = '0.8';
-            setTimeout(() => {
-                renderFIFOState(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState());
-                canvas.style.opacity = '1';
-            }, 100);
-        } else {
-            renderCurrentAnimationState();
-        }
-    } catch (error) {
-        renderCurrentAnimationState();
-    }
-}
-
 function showAnimationStatus(message, type = 'info', duration = 2000) {
     const statusElement = document.getElementById('animation-status');
     if (!statusElement) return;
@@ -329,6 +401,137 @@ function showAnimationStatus(message, type = 'info', duration = 2000) {
     }, actualDuration);
 }
 
+function buildTimeline(stepHistory) {
+    const timeline = document.getElementById('timeline');
+    if (!timeline) {
+        return;
+    }
+    timeline.innerHTML = '';
+    stepHistory.forEach((step, index) => {
+        const cell = document.createElement('div');
+        cell.className = `timeline-cell ${step.isHit ? 'hit' : 'fault'} pending`;
+        cell.textContent = step.pageNumber;
+        cell.title = `Step ${index + 1}: page ${step.pageNumber} (${step.isHit ? 'hit' : 'fault'})`;
+        timeline.appendChild(cell);
+    });
+    timeline.dataset.stepsPerCell = 1;
+    timeline.dataset.totalSteps = stepHistory.length;
+    timeline.setAttribute('aria-valuemax', stepHistory.length);
+    updateTimelinePosition(0);
+}
+
+function buildAggregatedTimeline(buckets, totalSteps) {
+    const timeline = document.getElementById('timeline');
+    if (!timeline) {
+        return;
+    }
+    timeline.innerHTML = '';
+    buckets.forEach(bucket => {
+        const stepCount = bucket.lastStep - bucket.firstStep + 1;
+        const faultShare = bucket.faultCount / stepCount;
+        const cell = document.createElement('div');
+        cell.className = 'timeline-cell aggregated pending';
+        cell.style.backgroundColor = `hsl(${Math.round(145 - 139 * faultShare)}, 63%, 45%)`;
+        cell.title = `Steps ${bucket.firstStep}-${bucket.lastStep}: ${bucket.faultCount} faults (${Math.round(faultShare * 100)}%)`;
+        timeline.appendChild(cell);
+    });
+    timeline.dataset.stepsPerCell = buckets.length > 0 ? buckets[0].lastStep - buckets[0].firstStep + 1 : 1;
+    timeline.dataset.totalSteps = totalSteps;
+    timeline.setAttribute('aria-valuemax', totalSteps);
+    updateTimelinePosition(0);
+}
+
+function updateTimelinePosition(currentStep) {
+    const timeline = document.getElementById('timeline');
+    if (!timeline) {
+        return;
+    }
+    const stepsPerCell = Number(timeline.dataset.stepsPerCell) || 1;
+    const currentCellIndex = Math.ceil(currentStep / stepsPerCell) - 1;
+    Array.from(timeline.children).forEach((cell, index) => {
+        cell.classList.toggle('pending', index * stepsPerCell >= currentStep);
+        cell.classList.toggle('current', index === currentCellIndex);
+    });
+    timeline.setAttribute('aria-valuenow', currentStep);
+    timeline.setAttribute('aria-valuetext', `Step ${currentStep} of ${Number(timeline.dataset.totalSteps) || timeline.children.length}`);
+}
+
+function getTimelineStepFromPointer(timeline, clientX) {
+    const rect = timeline.getBoundingClientRect();
+    const totalSteps = Number(timeline.dataset.totalSteps) || timeline.children.length;
+    if (totalSteps === 0 || rect.width === 0) {
+        return 0;
+    }
+    const ratio = Math.max(0, Math.min(0.9999, (clientX - rect.left) / rect.width));
+    return Math.floor(ratio * totalSteps) + 1;
+}
+
+function seekFromTimeline(targetStep) {
+    const engine = window.currentAnimationEngine;
+    if (!engine || targetStep === engine.currentStep) {
+        return;
+    }
+    engine.pause();
+    engine.seek(targetStep);
+}
+
+function setupTimelineListeners() {
+    const timeline = document.getElementById('timeline');
+    if (!timeline) {
+        return;
+    }
+    let isDragging = false;
+    timeline.addEventListener('pointerdown', (event) => {
+        isDragging = true;
+        if (typeof timeline.setPointerCapture === 'function') {
+            timeline.setPointerCapture(event.pointerId);
+        }
+        seekFromTimeline(getTimelineStepFromPointer(timeline, event.clientX));
+    });
+    timeline.addEventListener('pointermove', (event) => {
+        if (isDragging) {
+            seekFromTimeline(getTimelineStepFromPointer(timeline, event.clientX));
+        }
+    });
+    const stopDragging = () => {
+        isDragging = false;
+    };
+    timeline.addEventListener('pointerup', stopDragging);
+    timeline.addEventListener('pointercancel', stopDragging);
+}
+
+function applyBreakpointSettings() {
+    const engine = window.currentAnimationEngine;
+    if (!engine) {
+        return;
+    }
+    const breakOnFault = document.getElementById('break-on-fault');
+    const breakOnEvict = document.getElementById('break-on-evict');
+    const evictedPage = breakOnEvict ? parseInt(breakOnEvict.value, 10) : NaN;
+    engine.setBreakpoints({
+        pauseOnFault: breakOnFault ? breakOnFault.checked : false,
+        evictedPage: Number.isNaN(evictedPage) ? null : evictedPage
+    });
+}
+
+function setupBreakpointListeners() {
+    const breakOnFault = document.getElementById('break-on-fault');
+    const breakOnEvict = document.getElementById('break-on-evict');
+    if (breakOnFault) {
+        breakOnFault.addEventListener('change', applyBreakpointSettings);
+    }
+    if (breakOnEvict) {
+        breakOnEvict.addEventListener('input', applyBreakpointSettings);
+    }
+}
+
+function showBreakpointStatus(breakpoint) {
+    const message = breakpoint.type === 'fault'
+        ? `Paused at step ${breakpoint.step}: page fault on page ${breakpoint.pageNumber}`
+        : `Paused at step ${breakpoint.step}: page ${breakpoint.pageNumber} was evicted`;
+    showAnimationStatus(message, 'info', 3000);
+}
+
 function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (event) => {
         if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
@@ -350,18 +553,12 @@ function setupKeyboardShortcuts() {
                 } else if (!state.isComplete) {
                     window.currentAnimationEngine.start();
                 }
-                updateAnimationControlStates();
-                renderCurrentAnimationState();
-                updateSimulationInfo();
                 break;
             case 'ArrowRight':
                 event.preventDefault();
                 if (window.currentAnimationEngine.canStepForward() &&
                     !window.currentAnimationEngine.getCurrentState().isPlaying) {
                     window.currentAnimationEngine.stepForward();
-                    updateAnimationControlStates();
-                    renderCurrentAnimationStateWithTransition();
-                    updateSimulationInfo();
                 }
                 break;
             case 'ArrowLeft':
@@ -369,33 +566,26 @@ function setupKeyboardShortcuts() {
                 if (window.currentAnimationEngine.canStepBackward() &&
                     !window.currentAnimationEngine.getCurrentState().isPlaying) {
                     window.currentAnimationEngine.stepBackward();
-                    updateAnimationControlStates();
-                    renderCurrentAnimationStateWithTransition();
-                    updateSimulationInfo();
                 }
                 break;
             case 'Home':
                 event.preventDefault();
                 if (!window.currentAnimationEngine.getCurrentState().isPlaying) {
-                    while (window.currentAnimationEngine.canStepBackward()) {
-                        window.currentAnimationEngine.stepBackward();
-                    }
-                    updateAnimationControlStates();
-                    renderCurrentAnimationState();
-                    updateSimulationInfo();
+                    window.currentAnimationEngine.seek(0);
                 }
                 break;
             case 'End':
                 event.preventDefault();
                 if (!window.currentAnimationEngine.getCurrentState().isPlaying) {
-                    while (window.currentAnimationEngine.canStepForward()) {
-                        window.currentAnimationEngine.stepForward();
-                    }
-                    updateAnimationControlStates();
-                    renderCurrentAnimationState();
-                    updateSimulationInfo();
+                    window.currentAnimationEngine.seek(window.currentAnimationEngine.totalSteps);
                 }
                 break;
         }
     });
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnimationEngine };
+} else if (typeof window !== 'undefined') {
+    window.AnimationEngine = AnimationEngine;
+}
@@ -0,0 +1,70 @@
+function runFIFOSummary(frameCount, pageReferences, options = {}) {
+    let algorithm;
+    if (options.processIds) {
+        const ProcessAlgorithm = typeof MultiProcessFIFO !== 'undefined'
+            ? MultiProcessFIFO
+            : require('./multi-process.js').MultiProcessFIFO;
+        algorithm = new ProcessAlgorithm(frameCount, pageReferences, options.processIds);
+    } else {
+        const Algorithm = typeof FIFOAlgorithm !== 'undefined' ? FIFOAlgorithm : require('./fifo-algorithm.js');
+        algorithm = new Algorithm(frameCount, pageReferences);
+    }
+    algorithm.setHistoryMode('summary');
+    if (options.accessModes) {
+        algorithm.setAccessModes(options.accessModes);
+    }
+    for (let i = 0; i < pageReferences.length; i++) {
+        algorithm.processPageReference(i);
+    }
+    return algorithm;
+}
+
+function countFIFOFaults(frameCount, pageReferences) {
+    return runFIFOSummary(frameCount, pageReferences).faultCount;
+}
+
+function analyzeBeladyAnomaly(pageReferences, maxFrameCount, options = {}) {
+    if (!Number.isInteger(maxFrameCount) || maxFrameCount <= 0) {
+        throw new Error('Maximum frame count must be a positive integer');
+    }
+    const calculateAccessTime = typeof calculateEffectiveAccessTime !== 'undefined'
+        ? calculateEffectiveAccessTime
+        : require('./io-cost.js').calculateEffectiveAccessTime;
+    const points = [];
+    const anomalies = [];
+    for (let frameCount = 1; frameCount <= maxFrameCount; frameCount++) {
+        const algorithm = runFIFOSummary(frameCount, pageReferences, options);
+        const faultCount = algorithm.faultCount;
+        const writeBackCount = algorithm.writeBackCount;
+        const previousPoint = points[points.length - 1];
+        if (previousPoint && faultCount > previousPoint.faultCount) {
+            anomalies.push({
+                frameCount,
+                faultCount,
+                previousFrameCount: previousPoint.frameCount,
+                previousFaultCount: previousPoint.faultCount
+            });
+        }
+        points.push({
+            frameCount,
+            faultCount,
+            writeBackCount,
+            effectiveAccessTimeNs: calculateAccessTime(pageReferences.length, faultCount, writeBackCount,
+                options.accessTimeModel).effectiveAccessTimeNs
+        });
+    }
+    return {
+        pageReferences: [...pageReferences],
+        processIds: options.processIds ? [...options.processIds] : null,
+        accessModes: options.accessModes ? [...options.accessModes] : null,
+        points,
+        anomalies,
+        hasAnomaly: anomalies.length > 0
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { analyzeBeladyAnomaly, countFIFOFaults };
+} else if (typeof window !== 'undefined') {
+    window.analyzeBeladyAnomaly = analyzeBeladyAnomaly;
+}
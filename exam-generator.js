@@ -0,0 +1,329 @@
+const EXAM_CONSTRAINTS = {
+    'fault-count': { label: 'Target fault count' },
+    belady: { label: "Exhibits Belady's anomaly" },
+    'min-replacements': { label: 'At least K replacements' }
+};
+
+const EXAM_GRID_CSS = `
+.exam-problem { margin-bottom: 28px; break-inside: avoid; page-break-inside: avoid; }
+.exam-grid { border-collapse: collapse; font-size: 13px; }
+.exam-grid th, .exam-grid td { border: 1px solid #495057; min-width: 26px; height: 24px; padding: 2px 4px; text-align: center; }
+.exam-grid th[scope="row"] { text-align: left; white-space: nowrap; background-color: #f1f3f5; }
+.exam-grid thead th { background-color: #e9ecef; }
+.exam-grid td.loaded { font-weight: bold; }
+.exam-grid .fault-row td { color: #c92a2a; font-weight: bold; }
+.exam-answer { margin: 8px 0 0; }
+@media print {
+    .exam-grid th, .exam-grid td { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+
+const EXAM_PRINT_CSS = `
+body { font-family: Arial, sans-serif; color: #212529; margin: 24px; }
+h1 { font-size: 22px; margin: 0 0 16px; }
+h2 { font-size: 17px; margin: 0 0 8px; }
+h3 { font-size: 14px; margin: 12px 0 6px; }
+${EXAM_GRID_CSS}
+@page { size: landscape; margin: 15mm; }
+@media print {
+    body { margin: 0; }
+}
+`;
+
+function resolveExamDependencies() {
+    return {
+        FIFO: typeof FIFOAlgorithm !== 'undefined' ? FIFOAlgorithm : require('./fifo-algorithm.js'),
+        countFaults: typeof countFIFOFaults !== 'undefined' ? countFIFOFaults : require('./belady-analysis.js').countFIFOFaults,
+        createRandom: typeof createSeededRandom !== 'undefined'
+            ? createSeededRandom
+            : require('./replacement-policies.js').createSeededRandom
+    };
+}
+
+function validateExamOptions(options) {
+    const { constraint, frameCount, length, pageCount } = options;
+    if (!EXAM_CONSTRAINTS[constraint]) {
+        throw new Error(`Unknown problem constraint: ${constraint}`);
+    }
+    if (!Number.isInteger(frameCount) || frameCount < 1 || frameCount > 10) {
+        throw new Error('Frame count must be between 1 and 10');
+    }
+    if (!Number.isInteger(length) || length < 1 || length > 50) {
+        throw new Error('Length must be between 1 and 50');
+    }
+    if (!Number.isInteger(pageCount) || pageCount < 1) {
+        throw new Error('Page count must be a positive integer');
+    }
+    if (!Number.isInteger(options.seed)) {
+        throw new Error('Seed must be an integer');
+    }
+    if (constraint === 'fault-count' &&
+        (!Number.isInteger(options.targetFaults) || options.targetFaults < 1 || options.targetFaults > length)) {
+        throw new Error(`Target fault count must be between 1 and ${length}`);
+    }
+    if (constraint === 'min-replacements') {
+        const maxReplacements = pageCount > frameCount ? length - frameCount : 0;
+        if (!Number.isInteger(options.minReplacements) || options.minReplacements < 0 ||
+            options.minReplacements > maxReplacements) {
+            throw new Error(`Minimum replacements must be between 0 and ${Math.max(0, maxReplacements)}`);
+        }
+    }
+    if (constraint === 'belady') {
+        if (frameCount < 3) {
+            throw new Error("Belady's anomaly problems need at least 3 frames");
+        }
+        if (pageCount < frameCount + 2) {
+            throw new Error(`Belady's anomaly problems need at least ${frameCount + 2} distinct pages`);
+        }
+        if (length < 3 * frameCount + 3) {
+            throw new Error(`Belady's anomaly problems need at least ${3 * frameCount + 3} references`);
+        }
+    }
+}
+
+function randomExamPage(random, pageCount) {
+    return 1 + Math.floor(random() * pageCount);
+}
+
+function countReplacements(frameCount, pageReferences) {
+    const { countFaults } = resolveExamDependencies();
+    return countFaults(frameCount, pageReferences) - Math.min(frameCount, new Set(pageReferences).size);
+}
+
+function searchReferences(references, random, options, getDistance) {
+    let current = references;
+    let distance = getDistance(current);
+    for (let attempt = 0; distance > 0 && attempt < options.maxAttempts; attempt++) {
+        const candidate = [...current];
+        candidate[Math.floor(random() * candidate.length)] = randomExamPage(random, options.pageCount);
+        const candidateDistance = getDistance(candidate);
+        if (candidateDistance <= distance) {
+            current = candidate;
+            distance = candidateDistance;
+        }
+    }
+    return distance === 0 ? current : null;
+}
+
+function buildBeladyReferences(random, options) {
+    const { countFaults } = resolveExamDependencies();
+    const { frameCount, pageCount, length } = options;
+    const hasAnomaly = references => countFaults(frameCount + 1, references) > countFaults(frameCount, references);
+    const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+    for (let i = pages.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [pages[i], pages[j]] = [pages[j], pages[i]];
+    }
+    const run = count => Array.from({ length: count }, (_, index) => pages[index]);
+    let references = [...run(frameCount + 1), ...run(frameCount - 1), pages[frameCount + 1], ...run(frameCount + 2)];
+    let attempts = 0;
+    while (references.length < length) {
+        if (attempts++ >= options.maxAttempts) {
+            return null;
+        }
+        const candidate = [...references];
+        candidate.splice(Math.floor(random() * (candidate.length + 1)), 0, randomExamPage(random, pageCount));
+        if (hasAnomaly(candidate)) {
+            references = candidate;
+        }
+    }
+    for (let i = 0; i < length * 4; i++) {
+        const candidate = [...references];
+        candidate[Math.floor(random() * length)] = randomExamPage(random, pageCount);
+        if (hasAnomaly(candidate)) {
+            references = candidate;
+        }
+    }
+    return references;
+}
+
+function buildProblemTrace(frameCount, pageReferences) {
+    const { FIFO } = resolveExamDependencies();
+    const algorithm = new FIFO(frameCount, pageReferences);
+    const columns = pageReferences.map((pageNumber, stepIndex) => {
+        const stepResult = algorithm.processPageReference(stepIndex);
+        return {
+            pageNumber,
+            frames: [...stepResult.frameState],
+            isFault: !stepResult.isHit,
+            loadedFrame: stepResult.isHit ? null : stepResult.frameState.indexOf(pageNumber),
+            replacedPage: stepResult.replacedPage
+        };
+    });
+    return {
+        frameCount,
+        faultCount: algorithm.faultCount,
+        replacementCount: columns.filter(column => column.replacedPage !== null).length,
+        columns
+    };
+}
+
+function generateExamProblem(options) {
+    const settings = { maxAttempts: 2000, ...options };
+    validateExamOptions(settings);
+    const { countFaults, createRandom } = resolveExamDependencies();
+    const random = createRandom(settings.seed);
+    let references;
+    if (settings.constraint === 'belady') {
+        references = buildBeladyReferences(random, settings);
+    } else {
+        const initial = Array.from({ length: settings.length }, () => randomExamPage(random, settings.pageCount));
+        const getDistance = settings.constraint === 'fault-count'
+            ? candidate => Math.abs(countFaults(settings.frameCount, candidate) - settings.targetFaults)
+            : candidate => Math.max(0, settings.minReplacements - countReplacements(settings.frameCount, candidate));
+        references = searchReferences(initial, random, settings, getDistance);
+    }
+    if (!references) {
+        throw new Error('Could not find a reference string matching the constraint; try another seed or loosen the settings');
+    }
+    const frameCounts = settings.constraint === 'belady'
+        ? [settings.frameCount, settings.frameCount + 1]
+        : [settings.frameCount];
+    return {
+        constraint: settings.constraint,
+        frameCount: settings.frameCount,
+        seed: settings.seed,
+        pageReferences: references,
+        targetFaults: settings.constraint === 'fault-count' ? settings.targetFaults : null,
+        minReplacements: settings.constraint === 'min-replacements' ? settings.minReplacements : null,
+        traces: frameCounts.map(frameCount => buildProblemTrace(frameCount, references))
+    };
+}
+
+function generateExam(options) {
+    const problemCount = options.problemCount === undefined ? 1 : options.problemCount;
+    if (!Number.isInteger(problemCount) || problemCount < 1 || problemCount > 20) {
+        throw new Error('Problem count must be between 1 and 20');
+    }
+    return {
+        title: options.title || 'FIFO Page Replacement Exercises',
+        constraint: options.constraint,
+        problems: Array.from({ length: problemCount }, (_, index) =>
+            generateExamProblem({ ...options, seed: options.seed + index }))
+    };
+}
+
+function getExamQuestion(problem) {
+    const references = problem.pageReferences.join(', ');
+    if (problem.constraint === 'belady') {
+        return `Trace FIFO page replacement on the reference string ${references}, first with ${problem.frameCount} frames ` +
+            `and then with ${problem.frameCount + 1} frames, all initially empty. Fill in the frame contents after each ` +
+            'reference and mark every page fault with F. How many page faults occur in each case, and what does the comparison show?';
+    }
+    const question = `Trace FIFO page replacement on the reference string ${references} with ${problem.frameCount} frames, ` +
+        'all initially empty. Fill in the frame contents after each reference and mark every page fault with F.';
+    return problem.constraint === 'min-replacements'
+        ? `${question} How many page faults occur, and how many of them replace a resident page?`
+        : `${question} How many page faults occur?`;
+}
+
+function getExamAnswer(problem) {
+    const counts = problem.traces.map(trace => {
+        const replacements = problem.constraint === 'min-replacements' ? ` (${trace.replacementCount} replacements)` : '';
+        return `${trace.frameCount} frames: ${trace.faultCount} page faults${replacements}.`;
+    });
+    if (problem.constraint === 'belady') {
+        const [smaller, larger] = problem.traces;
+        counts.push(`Adding a frame raises the fault count from ${smaller.faultCount} to ${larger.faultCount}, ` +
+            "an instance of Belady's anomaly.");
+    }
+    return counts.join(' ');
+}
+
+function getExamGridRows(trace, answerKey) {
+    const frameRows = Array.from({ length: trace.frameCount }, (_, frameIndex) => ({
+        label: `Frame ${frameIndex}`,
+        cells: trace.columns.map(column => ({
+            value: answerKey && column.frames[frameIndex] !== null ? `${column.frames[frameIndex]}` : '',
+            loaded: answerKey && column.loadedFrame === frameIndex
+        }))
+    }));
+    return [
+        ...frameRows,
+        {
+            label: 'Fault',
+            isFaultRow: true,
+            cells: trace.columns.map(column => ({ value: answerKey && column.isFault ? 'F' : '', loaded: false }))
+        }
+    ];
+}
+
+function formatExamMarkdown(exam, options = {}) {
+    const answerKey = Boolean(options.answerKey);
+    const lines = [`# ${exam.title}${answerKey ? ' (Answer Key)' : ''}`, ''];
+    exam.problems.forEach((problem, index) => {
+        lines.push(`## Problem ${index + 1}`, '', getExamQuestion(problem), '');
+        problem.traces.forEach(trace => {
+            lines.push(`### ${trace.frameCount} frames`, '');
+            lines.push(`| Reference | ${trace.columns.map(column => column.pageNumber).join(' | ')} |`);
+            lines.push(`|---|${trace.columns.map(() => '---').join('|')}|`);
+            getExamGridRows(trace, answerKey).forEach(row => {
+                lines.push(`| ${row.label} | ${row.cells.map(cell => (cell.loaded ? `**${cell.value}**` : cell.value || ' ')).join(' | ')} |`);
+            });
+            lines.push('');
+        });
+        lines.push(answerKey ? `**Answer:** ${getExamAnswer(problem)}` : '**Answer:** ______________________________', '');
+    });
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+function escapeExamHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatExamBodyHTML(exam, options = {}) {
+    const answerKey = Boolean(options.answerKey);
+    const problems = exam.problems.map((problem, index) => {
+        const grids = problem.traces.map(trace => {
+            const header = trace.columns.map(column => `<th scope="col">${escapeExamHTML(column.pageNumber)}</th>`).join('');
+            const rows = getExamGridRows(trace, answerKey).map(row => {
+                const cells = row.cells.map(cell =>
+                    `<td${cell.loaded ? ' class="loaded"' : ''}>${escapeExamHTML(cell.value)}</td>`).join('');
+                return `<tr${row.isFaultRow ? ' class="fault-row"' : ''}><th scope="row">${row.label}</th>${cells}</tr>`;
+            }).join('\n');
+            return `<h3>${trace.frameCount} frames</h3>\n<table class="exam-grid">\n` +
+                `<thead><tr><th scope="row">Reference</th>${header}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+        }).join('\n');
+        const answer = answerKey
+            ? `<p class="exam-answer"><strong>Answer:</strong> ${escapeExamHTML(getExamAnswer(problem))}</p>`
+            : '<p class="exam-answer"><strong>Answer:</strong> ______________________________</p>';
+        return `<section class="exam-problem">\n<h2>Problem ${index + 1}</h2>\n` +
+            `<p>${escapeExamHTML(getExamQuestion(problem))}</p>\n${grids}\n${answer}\n</section>`;
+    }).join('\n');
+    return `<h1>${escapeExamHTML(exam.title)}${answerKey ? ' (Answer Key)' : ''}</h1>\n${problems}`;
+}
+
+function formatExamHTML(exam, options = {}) {
+    const title = `${exam.title}${options.answerKey ? ' (Answer Key)' : ''}`;
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="UTF-8">',
+        `<title>${escapeExamHTML(title)}</title>`,
+        `<style>${EXAM_PRINT_CSS}</style>`,
+        '</head>',
+        '<body>',
+        formatExamBodyHTML(exam, options),
+        '</body>',
+        '</html>'
+    ].join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXAM_CONSTRAINTS,
+        EXAM_GRID_CSS,
+        generateExamProblem,
+        generateExam,
+        getExamQuestion,
+        getExamAnswer,
+        formatExamMarkdown,
+        formatExamBodyHTML,
+        formatExamHTML
+    };
+}
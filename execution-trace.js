@@ -0,0 +1,159 @@
+const EXECUTION_TRACE_COLUMNS = ['Step', 'Page Reference', 'Hit/Miss', 'Frame State', 'Fault Count', 'Fault Rate (%)', 'Replaced Frame', 'Replaced Page', 'Eviction Queue (next victim first)', 'Access', 'Dirty Frames', 'Write-back', 'Write-back Count', 'Process', 'Process Fault Count'];
+
+function labelPagesWithOwners(pages, owners) {
+    if (!Array.isArray(owners)) {
+        return pages.join(',');
+    }
+    return pages.map((page, index) => (page === null ? '' : `${owners[index]}:${page}`)).join(',');
+}
+
+function summarizeProcessFaults(traceData) {
+    const processStats = new Map();
+    traceData.forEach(row => {
+        if (!processStats.has(row.processId)) {
+            processStats.set(row.processId, { processId: row.processId, references: 0, faultCount: 0 });
+        }
+        const stats = processStats.get(row.processId);
+        stats.references++;
+        stats.faultCount = row.processFaultCount;
+    });
+    return [...processStats.values()];
+}
+
+function generateExecutionTrace(algorithm) {
+    if (!algorithm || !algorithm.getStepHistory) {
+        return [];
+    }
+    const stepHistory = algorithm.getStepHistory();
+    const traceData = [];
+    stepHistory.forEach((step, index) => {
+        traceData.push({
+            step: index + 1,
+            pageReference: step.pageNumber,
+            isHit: step.isHit,
+            frameState: labelPagesWithOwners(step.frameState, step.frameOwners),
+            faultCount: step.faultCount,
+            faultRate: step.faultRate,
+            replacedFrame: step.replacedFrameIndex,
+            replacedPage: step.replacedPage,
+            queueOrder: Array.isArray(step.queueOrder) ? labelPagesWithOwners(step.queueOrder, step.queueOwners) : null,
+            isWrite: Boolean(step.isWrite),
+            dirtyFrames: Array.isArray(step.dirtyState)
+                ? step.dirtyState.map((isDirty, frameIndex) => (isDirty ? frameIndex : -1)).filter(frameIndex => frameIndex !== -1).join(',')
+                : '',
+            writeBack: Boolean(step.writeBack),
+            writeBackCount: step.writeBackCount || 0,
+            processId: step.processId || null,
+            processFaultCount: step.processId ? step.processFaultCount : null
+        });
+    });
+    return traceData;
+}
+
+function getExecutionTraceRowValues(row) {
+    return [
+        row.step,
+        row.pageReference,
+        row.isHit ? 'Hit' : 'Miss',
+        row.frameState,
+        row.faultCount,
+        row.faultRate,
+        row.replacedFrame !== null ? row.replacedFrame : '',
+        row.replacedPage !== null ? row.replacedPage : '',
+        row.queueOrder !== null && row.queueOrder !== undefined ? row.queueOrder : '',
+        row.isWrite ? 'W' : 'R',
+        row.dirtyFrames || '',
+        row.writeBack ? 'Yes' : 'No',
+        row.writeBackCount || 0,
+        row.processId || '',
+        row.processId ? row.processFaultCount : ''
+    ];
+}
+
+function buildExecutionTraceExport(algorithm, traceData = generateExecutionTrace(algorithm), accessTimeModel = undefined) {
+    if (traceData.length === 0) {
+        throw new Error('No execution data available');
+    }
+    const ioCostModule = typeof estimateIOCost !== 'undefined'
+        ? { estimateIOCost, getIOCostModel, calculateEffectiveAccessTime, validateAccessTimeModel }
+        : require('./io-cost.js');
+    const accessTimeSettings = ioCostModule.validateAccessTimeModel(accessTimeModel);
+    const lastRow = traceData[traceData.length - 1];
+    const processMetadata = Array.isArray(algorithm.processIds)
+        ? {
+            processIds: algorithm.processIds,
+            allocationPolicy: algorithm.allocationPolicy,
+            frameAllocation: algorithm.frameAllocation,
+            processStats: summarizeProcessFaults(traceData)
+        }
+        : {};
+    return {
+        metadata: {
+            algorithm: algorithm.algorithmName || 'FIFO',
+            frameCount: algorithm.frameCount,
+            pageReferences: algorithm.pageReferences,
+            totalSteps: traceData.length,
+            accessModes: algorithm.accessModes || null,
+            ...processMetadata,
+            totalFaults: lastRow.faultCount,
+            finalFaultRate: lastRow.faultRate,
+            writeBackCount: lastRow.writeBackCount,
+            ioCost: ioCostModule.estimateIOCost(lastRow.faultCount, lastRow.writeBackCount,
+                ioCostModule.getIOCostModel(accessTimeSettings)),
+            accessTimeModel: accessTimeSettings,
+            effectiveAccessTime: ioCostModule.calculateEffectiveAccessTime(traceData.length, lastRow.faultCount,
+                lastRow.writeBackCount, accessTimeSettings),
+            exportDate: new Date().toISOString()
+        },
+        steps: traceData
+    };
+}
+
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExecutionTraceCSV(traceData) {
+    return [
+        EXECUTION_TRACE_COLUMNS.map(escapeCSVField).join(','),
+        ...traceData.map(row => getExecutionTraceRowValues(row).map(escapeCSVField).join(','))
+    ].join('\n');
+}
+
+function formatExecutionTraceJSON(algorithm, traceData = generateExecutionTrace(algorithm), accessTimeModel = undefined) {
+    return JSON.stringify(buildExecutionTraceExport(algorithm, traceData, accessTimeModel), null, 2);
+}
+
+function formatExecutionTraceMarkdown(traceData) {
+    const rows = traceData.map(getExecutionTraceRowValues);
+    return [
+        `| ${EXECUTION_TRACE_COLUMNS.join(' | ')} |`,
+        `|${EXECUTION_TRACE_COLUMNS.map(() => '---').join('|')}|`,
+        ...rows.map(values => `| ${values.join(' | ')} |`)
+    ].join('\n');
+}
+
+function formatExecutionTraceTable(traceData) {
+    const rows = traceData.map(row => getExecutionTraceRowValues(row).map(String));
+    const widths = EXECUTION_TRACE_COLUMNS.map((column, index) =>
+        Math.max(column.length, ...rows.map(values => values[index].length)));
+    const formatRow = values => values.map((value, index) => String(value).padEnd(widths[index])).join('  ').trimEnd();
+    return [
+        formatRow(EXECUTION_TRACE_COLUMNS),
+        formatRow(widths.map(width => '-'.repeat(width))),
+        ...rows.map(formatRow)
+    ].join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXECUTION_TRACE_COLUMNS,
+        generateExecutionTrace,
+        buildExecutionTraceExport,
+        formatExecutionTraceCSV,
+        formatExecutionTraceJSON,
+        formatExecutionTraceMarkdown,
+        formatExecutionTraceTable
+    };
+}
@@ -1,117 +1,84 @@
-class FIFOAlgorithm {
-    constructor(frameCount, pageReferences) {
-        if (!Number.isInteger(frameCount) || frameCount <= 0) {
-            throw new Error('Frame count must be a positive integer');
-        }
-        if (!Array.isArray(pageReferences) || pageReferences.length === 0) {
-            throw new Error('Page references must be a non-empty array');
-        }
-        for (let i = 0; i < pageReferences.length; i++) {
-            if (!Number.isInteger(pageReferences[i]) || pageReferences[i] < 0) {
-                throw new Error(`Page reference at index ${i} must be a non-negative integer`);
-            }
-        }
-        this.frameCount = frameCount;
-        this.pageReferences = [...pageReferences];
-        this.frames = new Array(frameCount).fill(null);
-        this.fifoQueue = [];
-        this.currentStep = 0;
-        this.faultCount = 0;
-        this.stepHistory = [];
+function resolveReplacementPolicy() {
+    if (typeof ReplacementPolicy !== 'undefined') {
+        return ReplacementPolicy;
     }
+    return require('./replacement-policies.js').ReplacementPolicy;
+}
 
-    processPageReference(stepIndex) {
-        if (stepIndex < 0 || stepIndex >= this.pageReferences.length) {
-            throw new Error(`Invalid step index: ${stepIndex}`);
-        }
-        const pageNumber = this.pageReferences[stepIndex];
-        const isHit = this.isPageHit(pageNumber);
-        let replacedFrameIndex = null;
-        let replacedPage = null;
-        if (!isHit) {
-            this.faultCount++;
-            const emptyFrameIndex = this.findEmptyFrameIndex();
-            if (emptyFrameIndex !== -1) {
-                this.frames[emptyFrameIndex] = pageNumber;
-                this.fifoQueue.push(emptyFrameIndex);
-            } else {
-                replacedFrameIndex = this.fifoQueue.shift();
-                replacedPage = this.frames[replacedFrameIndex];
-                this.frames[replacedFrameIndex] = pageNumber;
-                this.fifoQueue.push(replacedFrameIndex);
-            }
-        }
-        this.currentStep = stepIndex + 1;
-        const stepResult = {
-            stepIndex,
-            pageNumber,
-            isHit,
-            replacedFrameIndex,
-            replacedPage,
-            frameState: [...this.frames],
-            faultCount: this.faultCount,
-            faultRate: this.calculateFaultRate()
-        };
-        this.stepHistory.push(stepResult);
-        return stepResult;
+class FIFOAlgorithm extends resolveReplacementPolicy() {
+    constructor(frameCount, pageReferences) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'FIFO';
     }
 
-    isPageHit(pageNumber) {
-        return this.frames.includes(pageNumber);
+    resetPolicyState() {
+        this.fifoQueue = [];
     }
 
-    findEmptyFrameIndex() {
-        return this.frames.findIndex(frame => frame === null);
+    onPageLoaded(frameIndex) {
+        this.fifoQueue.push(frameIndex);
     }
 
-    calculateFaultRate() {
-        if (this.currentStep === 0) return 0;
-        return Math.round((this.faultCount / this.currentStep) * 100 * 100) / 100;
+    selectVictimFrame() {
+        return this.fifoQueue.shift();
     }
 
-    getCurrentState() {
-        return {
-            frames: [...this.frames],
-            currentStep: this.currentStep,
-            faultCount: this.faultCount,
-            faultRate: this.calculateFaultRate(),
-            frameCount: this.frameCount,
-            totalSteps: this.pageReferences.length
-        };
+    findEmptyFrameIndex() {
+        if (this.fifoQueue.length >= this.frameCount) {
+            return -1;
+        }
+        return this.frames.indexOf(null);
     }
 
     createStateSnapshot() {
         return {
             frames: [...this.frames],
             fifoQueue: [...this.fifoQueue],
+            dirtyBits: [...this.dirtyBits],
             currentStep: this.currentStep,
-            faultCount: this.faultCount
+            faultCount: this.faultCount,
+            writeBackCount: this.writeBackCount
         };
     }
 
-    getStepHistory() {
-        return [...this.stepHistory];
+    restoreStateSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.frames) || snapshot.frames.length !== this.frameCount) {
+            throw new Error('Invalid state snapshot');
+        }
+        this.frames = [...snapshot.frames];
+        this.fifoQueue = [...snapshot.fifoQueue];
+        this.dirtyBits = snapshot.dirtyBits ? [...snapshot.dirtyBits] : new Array(this.frameCount).fill(false);
+        this.currentStep = snapshot.currentStep;
+        this.faultCount = snapshot.faultCount;
+        this.writeBackCount = snapshot.writeBackCount || 0;
+        this.pageFrameIndex = new Map();
+        this.frames.forEach((frame, frameIndex) => {
+            if (frame !== null) {
+                this.pageFrameIndex.set(frame, frameIndex);
+            }
+        });
     }
 
     restoreToStep(stepIndex) {
+        if (this.historyMode === 'summary') {
+            super.restoreToStep(stepIndex);
+            return;
+        }
         if (stepIndex < 0 || stepIndex >= this.stepHistory.length) {
             throw new Error(`Invalid step index for restoration: ${stepIndex}`);
         }
-        const stepResult = this.stepHistory[stepIndex];
-        this.frames = [...stepResult.frameState];
-        this.faultCount = stepResult.faultCount;
-        this.currentStep = stepResult.stepIndex + 1;
-        this.fifoQueue = [];
-        for (let i = 0; i < this.frames.length; i++) {
-            if (this.frames[i] !== null) {
-                this.fifoQueue.push(i);
-            }
-        }
+        this.restoreStateSnapshot(this.stepHistory[stepIndex].snapshot);
+        this.stepHistory = this.stepHistory.slice(0, stepIndex + 1);
+        this.lastStepResult = this.stepHistory[stepIndex];
     }
 
     getOldestFrameIndex() {
         return this.fifoQueue.length > 0 ? this.fifoQueue[0] : -1;
     }
+
+    getEvictionOrder() {
+        return [...this.fifoQueue];
+    }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
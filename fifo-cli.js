@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { validateInputs, formatReferenceString, VALIDATION_ERROR_CODES, INPUT_LIMITS } = require('./input-validation.js');
+const { createReplacementPolicy, REPLACEMENT_POLICIES } = require('./replacement-policies.js');
+const { importAddressTrace, MEMORY_ACCESS_TYPES } = require('./address-trace.js');
+const { estimateIOCost } = require('./io-cost.js');
+const { MultiProcessFIFO, ALLOCATION_POLICIES } = require('./multi-process.js');
+const {
+    generateExecutionTrace,
+    formatExecutionTraceCSV,
+    formatExecutionTraceJSON,
+    formatExecutionTraceMarkdown,
+    formatExecutionTraceTable
+} = require('./execution-trace.js');
+
+const EXIT_CODES = {
+    SUCCESS: 0,
+    RUNTIME_ERROR: 1,
+    USAGE_ERROR: 2,
+    [VALIDATION_ERROR_CODES.FRAME_COUNT_OUT_OF_RANGE]: 3,
+    [VALIDATION_ERROR_CODES.EMPTY_REFERENCES]: 4,
+    [VALIDATION_ERROR_CODES.INVALID_REFERENCE]: 5,
+    [VALIDATION_ERROR_CODES.TOO_MANY_REFERENCES]: 6
+};
+
+const OUTPUT_FORMATS = ['table', 'csv', 'json', 'markdown', 'summary'];
+
+const FORMAT_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.json': 'json',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'table'
+};
+
+const USAGE = `Usage: node fifo-cli.js --frames <n> [options] [references...]
+
+Runs a page replacement simulation and prints the step-by-step execution trace.
+
+References are read, in order of precedence, from positional arguments,
+--refs, --input <file>, or standard input. They may be separated by commas
+or whitespace. Suffix a reference with "w" (for example 5w) to mark it as a
+write; dirty pages are written back when evicted. Prefix references with a
+process ID (for example A:3,B:1) to share the frames between processes. A JSON trace exported from
+the simulator is also accepted and supplies its own frame count.
+
+Options:
+  -f, --frames <n>      Number of memory frames (1-10, or up to ${INPUT_LIMITS.large.maxFrameCount} with --large)
+  -r, --refs <list>     Comma-separated page references
+  -i, --input <file>    Read references from a file ("-" for stdin)
+  -P, --page-size <n>   Treat the input as memory addresses (plain list or valgrind
+                        lackey output) and map them to pages of <n> bytes
+  -A, --access <types>  With --page-size, keep only these access types:
+                        ${Object.keys(MEMORY_ACCESS_TYPES).join(', ')} (default: all)
+  -L, --large           Raise the limits to ${INPUT_LIMITS.large.maxFrameCount} frames and ${INPUT_LIMITS.large.maxReferenceCount} references
+                        (use with --format summary to skip per-step history)
+  -p, --policy <id>     Replacement policy: ${Object.keys(REPLACEMENT_POLICIES).join(', ')} (default: fifo)
+  -a, --allocation <id> Frame allocation for process-tagged references:
+                        ${Object.keys(ALLOCATION_POLICIES).join(', ')} (default: global)
+  -F, --format <fmt>    Output format: ${OUTPUT_FORMATS.join(', ')} (default: table)
+  -o, --output <file>   Write the trace to a file; format follows the extension
+                        (.csv, .json, .md) unless --format is given
+  -h, --help            Show this help
+
+Exit codes:
+  0  success
+  1  unexpected runtime or I/O error
+  2  invalid command-line usage
+  3  frame count out of range
+  4  no page references given
+  5  invalid page reference
+  6  too many page references`;
+
+class UsageError extends Error {
+}
+
+function parseArguments(argv) {
+    const options = {
+        frames: null,
+        refs: null,
+        input: null,
+        policy: 'fifo',
+        format: null,
+        output: null,
+        large: false,
+        pageSize: null,
+        access: null,
+        allocation: null,
+        help: false,
+        positional: []
+    };
+    const valueOptions = {
+        '-f': 'frames', '--frames': 'frames',
+        '-r': 'refs', '--refs': 'refs',
+        '-i': 'input', '--input': 'input',
+        '-p': 'policy', '--policy': 'policy',
+        '-F': 'format', '--format': 'format',
+        '-o': 'output', '--output': 'output',
+        '-P': 'pageSize', '--page-size': 'pageSize',
+        '-A': 'access', '--access': 'access',
+        '-a': 'allocation', '--allocation': 'allocation'
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        const [flag, inlineValue] = argument.startsWith('--') ? argument.split(/=(.*)/s) : [argument];
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+        } else if (flag === '-L' || flag === '--large') {
+            options.large = true;
+        } else if (valueOptions[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`Option ${flag} requires a value`);
+            }
+            options[valueOptions[flag]] = value;
+        } else if (argument.startsWith('-') && argument !== '-' && !/^-\d/.test(argument)) {
+            throw new UsageError(`Unknown option: ${argument}`);
+        } else {
+            options.positional.push(argument);
+        }
+    }
+    if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+        throw new UsageError(`Unknown format "${options.format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (options.pageSize !== null) {
+        const pageSize = Number(options.pageSize);
+        if (!Number.isInteger(pageSize) || pageSize <= 0) {
+            throw new UsageError(`Page size must be a positive integer, got "${options.pageSize}"`);
+        }
+        options.pageSize = pageSize;
+    }
+    if (options.access !== null) {
+        if (options.pageSize === null) {
+            throw new UsageError('--access requires --page-size');
+        }
+        options.access = options.access.split(',').map(type => type.trim()).filter(type => type !== '');
+        const unknownType = options.access.find(type => !MEMORY_ACCESS_TYPES[type]);
+        if (unknownType !== undefined || options.access.length === 0) {
+            throw new UsageError(`Unknown access type "${unknownType || ''}". Expected: ${Object.keys(MEMORY_ACCESS_TYPES).join(', ')}`);
+        }
+    }
+    if (options.allocation !== null && !ALLOCATION_POLICIES[options.allocation]) {
+        throw new UsageError(`Unknown allocation "${options.allocation}". Expected one of: ${Object.keys(ALLOCATION_POLICIES).join(', ')}`);
+    }
+    if (!REPLACEMENT_POLICIES[options.policy]) {
+        throw new UsageError(`Unknown policy "${options.policy}". Expected one of: ${Object.keys(REPLACEMENT_POLICIES).join(', ')}`);
+    }
+    return options;
+}
+
+function normalizeReferenceList(text) {
+    return text.trim().split(/[\s,]+/).filter(part => part !== '').join(',');
+}
+
+function parseReferenceSource(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new UsageError(`Input is not valid JSON: ${error.message}`);
+        }
+        const metadata = data.metadata || data;
+        if (!Array.isArray(metadata.pageReferences)) {
+            throw new UsageError('JSON input must contain metadata.pageReferences');
+        }
+        return {
+            frameCount: metadata.frameCount,
+            pageReferences: formatReferenceString(metadata.pageReferences, metadata.accessModes || null, metadata.processIds || null),
+            allocationPolicy: metadata.allocationPolicy || null
+        };
+    }
+    return { frameCount: null, pageReferences: normalizeReferenceList(trimmed) };
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => {
+            data += chunk;
+        });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+async function readInputText(options) {
+    if (options.input !== null && options.input !== '-') {
+        return fs.readFileSync(options.input, 'utf8');
+    }
+    if (options.input === '-' || !process.stdin.isTTY) {
+        return readStdin();
+    }
+    return '';
+}
+
+async function resolveReferenceSource(options) {
+    if (options.pageSize !== null) {
+        const text = options.positional.length > 0 ? options.positional.join('\n') : await readInputText(options);
+        const imported = importAddressTrace(text, {
+            pageSize: options.pageSize,
+            accessTypes: options.access ? options.access.map(type => MEMORY_ACCESS_TYPES[type]) : undefined
+        });
+        return { frameCount: null, pageReferences: imported.pageReferences.join(',') };
+    }
+    if (options.positional.length > 0) {
+        return { frameCount: null, pageReferences: normalizeReferenceList(options.positional.join(',')) };
+    }
+    if (options.refs !== null) {
+        return { frameCount: null, pageReferences: normalizeReferenceList(options.refs) };
+    }
+    if (options.input !== null || !process.stdin.isTTY) {
+        return parseReferenceSource(await readInputText(options));
+    }
+    return { frameCount: null, pageReferences: '' };
+}
+
+function formatTrace(format, algorithm, traceData) {
+    switch (format) {
+        case 'csv':
+            return formatExecutionTraceCSV(traceData);
+        case 'json':
+            return formatExecutionTraceJSON(algorithm, traceData);
+        case 'markdown':
+            return formatExecutionTraceMarkdown(traceData);
+        case 'summary':
+            return formatSummary(algorithm);
+        default:
+            return `${formatExecutionTraceTable(traceData)}\n\n${formatSummary(algorithm)}`;
+    }
+}
+
+function formatSummary(algorithm) {
+    const state = algorithm.getCurrentState();
+    const summary = `${algorithm.algorithmName}: frames=${state.frameCount} steps=${state.totalSteps} ` +
+        `faults=${state.faultCount} faultRate=${state.faultRate}%`;
+    const lines = [summary];
+    if (algorithm.accessModes) {
+        const ioCost = estimateIOCost(state.faultCount, state.writeBackCount);
+        lines[0] = `${summary} writeBacks=${state.writeBackCount} io=${ioCost.totalOperations} ioTime=${ioCost.estimatedTimeMs}ms`;
+    }
+    if (state.processStats) {
+        state.processStats.forEach(stats => {
+            const frames = stats.allocatedFrames !== null ? ` frames=${stats.allocatedFrames}` : '';
+            lines.push(`  ${stats.processId}:${frames} references=${stats.references} faults=${stats.faultCount} faultRate=${stats.faultRate}%`);
+        });
+    }
+    return lines.join('\n');
+}
+
+function runSimulation(validationResult, policyId, historyMode = 'full', allocationPolicy = 'global') {
+    const { frameCount, pageReferences } = validationResult;
+    let algorithm;
+    if (validationResult.hasProcesses) {
+        algorithm = new MultiProcessFIFO(frameCount, pageReferences, validationResult.processIds);
+        algorithm.setAllocationPolicy(allocationPolicy);
+    } else {
+        algorithm = createReplacementPolicy(policyId, frameCount, pageReferences);
+    }
+    algorithm.setHistoryMode(historyMode);
+    if (validationResult.hasWrites) {
+        algorithm.setAccessModes(validationResult.accessModes);
+    }
+    for (let i = 0; i < pageReferences.length; i++) {
+        algorithm.processPageReference(i);
+    }
+    return algorithm;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.SUCCESS;
+    }
+    try {
+        const source = await resolveReferenceSource(options);
+        const frameCountInput = options.frames !== null ? options.frames : source.frameCount;
+        const limits = options.large ? INPUT_LIMITS.large : INPUT_LIMITS.standard;
+        const validationResult = validateInputs(frameCountInput, source.pageReferences, limits);
+        if (!validationResult.isValid) {
+            validationResult.errors.forEach(message => process.stderr.write(`Error: ${message}\n`));
+            return EXIT_CODES[validationResult.errorCodes[0]];
+        }
+        const extension = options.output ? path.extname(options.output).toLowerCase() : '';
+        const format = options.format || FORMAT_BY_EXTENSION[extension] || 'table';
+        const historyMode = format === 'summary' ? 'summary' : 'full';
+        if (validationResult.hasProcesses && options.policy !== 'fifo') {
+            throw new UsageError('Process-tagged references can only be simulated with the fifo policy');
+        }
+        if (!validationResult.hasProcesses && options.allocation !== null) {
+            throw new UsageError('--allocation requires process-tagged references (for example A:3,B:1)');
+        }
+        const allocationPolicy = options.allocation || source.allocationPolicy || 'global';
+        const algorithm = runSimulation(validationResult, options.policy, historyMode, allocationPolicy);
+        const traceData = historyMode === 'full' ? generateExecutionTrace(algorithm) : [];
+        if (options.output) {
+            fs.writeFileSync(options.output, `${formatTrace(format, algorithm, traceData)}\n`);
+            process.stdout.write(`${formatSummary(algorithm)}\nTrace written to ${options.output}\n`);
+        } else {
+            process.stdout.write(`${formatTrace(format, algorithm, traceData)}\n`);
+        }
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`Error: ${error.message}\n`);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+        process.stderr.write(`Error: ${error.message}\n`);
+        return EXIT_CODES.RUNTIME_ERROR;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    });
+}
+
+module.exports = { main, parseArguments, parseReferenceSource, EXIT_CODES };
@@ -0,0 +1,177 @@
+const GIF_PALETTE_SIZE = 256;
+const GIF_MAX_CODE = 4096;
+
+function quantizeFrame(rgba) {
+    const bucketCounts = new Uint32Array(32768);
+    const bucketSums = new Float64Array(32768 * 3);
+    const pixelCount = rgba.length / 4;
+    const pixelBuckets = new Uint16Array(pixelCount);
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        const offset = pixel * 4;
+        const bucket = ((rgba[offset] >> 3) << 10) | ((rgba[offset + 1] >> 3) << 5) | (rgba[offset + 2] >> 3);
+        pixelBuckets[pixel] = bucket;
+        bucketCounts[bucket]++;
+        bucketSums[bucket * 3] += rgba[offset];
+        bucketSums[bucket * 3 + 1] += rgba[offset + 1];
+        bucketSums[bucket * 3 + 2] += rgba[offset + 2];
+    }
+    const usedBuckets = [];
+    for (let bucket = 0; bucket < bucketCounts.length; bucket++) {
+        if (bucketCounts[bucket] > 0) {
+            usedBuckets.push(bucket);
+        }
+    }
+    usedBuckets.sort((a, b) => bucketCounts[b] - bucketCounts[a]);
+    const paletteBuckets = usedBuckets.slice(0, GIF_PALETTE_SIZE);
+    const palette = new Uint8Array(GIF_PALETTE_SIZE * 3);
+    paletteBuckets.forEach((bucket, index) => {
+        for (let channel = 0; channel < 3; channel++) {
+            palette[index * 3 + channel] = Math.round(bucketSums[bucket * 3 + channel] / bucketCounts[bucket]);
+        }
+    });
+    const bucketIndex = new Int16Array(32768).fill(-1);
+    paletteBuckets.forEach((bucket, index) => {
+        bucketIndex[bucket] = index;
+    });
+    usedBuckets.slice(GIF_PALETTE_SIZE).forEach(bucket => {
+        const r = bucketSums[bucket * 3] / bucketCounts[bucket];
+        const g = bucketSums[bucket * 3 + 1] / bucketCounts[bucket];
+        const b = bucketSums[bucket * 3 + 2] / bucketCounts[bucket];
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        for (let index = 0; index < paletteBuckets.length; index++) {
+            const distance = Math.pow(palette[index * 3] - r, 2) + Math.pow(palette[index * 3 + 1] - g, 2) +
+                Math.pow(palette[index * 3 + 2] - b, 2);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        }
+        bucketIndex[bucket] = nearest;
+    });
+    const indices = new Uint8Array(pixelCount);
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        indices[pixel] = bucketIndex[pixelBuckets[pixel]];
+    }
+    return { palette, indices };
+}
+
+function encodeLZW(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const writeCode = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    writeCode(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const existing = dictionary.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+        writeCode(prefix);
+        if (nextCode === GIF_MAX_CODE) {
+            writeCode(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            dictionary.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xff);
+    }
+    return bytes;
+}
+
+class GIFEncoder {
+    constructor(width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0 ||
+            width > 65535 || height > 65535) {
+            throw new Error('GIF dimensions must be between 1 and 65535 pixels');
+        }
+        this.width = width;
+        this.height = height;
+        this.frameCount = 0;
+        this.bytes = [];
+        this.writeString('GIF89a');
+        this.writeShort(width);
+        this.writeShort(height);
+        this.bytes.push(0x70, 0, 0);
+        this.bytes.push(0x21, 0xff, 0x0b);
+        this.writeString('NETSCAPE2.0');
+        this.bytes.push(0x03, 0x01);
+        this.writeShort(0);
+        this.bytes.push(0);
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.bytes.push(text.charCodeAt(i));
+        }
+    }
+
+    writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    addFrame(rgba, delayMs) {
+        if (!rgba || rgba.length !== this.width * this.height * 4) {
+            throw new Error(`Frame data must contain ${this.width}x${this.height} RGBA pixels`);
+        }
+        const { palette, indices } = quantizeFrame(rgba);
+        this.bytes.push(0x21, 0xf9, 0x04, 0x04);
+        this.writeShort(Math.max(0, Math.min(65535, Math.round(delayMs / 10))));
+        this.bytes.push(0, 0);
+        this.bytes.push(0x2c);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0x87);
+        palette.forEach(value => this.bytes.push(value));
+        this.bytes.push(8);
+        const data = encodeLZW(indices, 8);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.slice(offset, offset + 255);
+            this.bytes.push(block.length, ...block);
+        }
+        this.bytes.push(0);
+        this.frameCount++;
+    }
+
+    finish() {
+        if (this.frameCount === 0) {
+            throw new Error('A GIF needs at least one frame');
+        }
+        return new Uint8Array([...this.bytes, 0x3b]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GIFEncoder, quantizeFrame, encodeLZW };
+} else if (typeof window !== 'undefined') {
+    window.GIFEncoder = GIFEncoder;
+}
@@ -0,0 +1,85 @@
+const VALIDATION_ERROR_CODES = {
+    FRAME_COUNT_OUT_OF_RANGE: 'FRAME_COUNT_OUT_OF_RANGE',
+    EMPTY_REFERENCES: 'EMPTY_REFERENCES',
+    INVALID_REFERENCE: 'INVALID_REFERENCE',
+    TOO_MANY_REFERENCES: 'TOO_MANY_REFERENCES'
+};
+
+const INPUT_LIMITS = {
+    standard: { maxFrameCount: 10, maxReferenceCount: 50 },
+    large: { maxFrameCount: 4096, maxReferenceCount: 5000000 }
+};
+
+function validateInputs(frameCountInput, pageReferencesInput, limits = INPUT_LIMITS.standard) {
+    const errors = [];
+    const errorCodes = [];
+    const frameCount = parseInt(frameCountInput, 10);
+    if (isNaN(frameCount) || frameCount < 1 || frameCount > limits.maxFrameCount) {
+        errors.push(`Frame count must be between 1 and ${limits.maxFrameCount}`);
+        errorCodes.push(VALIDATION_ERROR_CODES.FRAME_COUNT_OUT_OF_RANGE);
+    }
+    if (!pageReferencesInput || pageReferencesInput.trim() === '') {
+        errors.push('Page references cannot be empty');
+        errorCodes.push(VALIDATION_ERROR_CODES.EMPTY_REFERENCES);
+    }
+    let pageReferences = [];
+    const accessModes = [];
+    const processIds = [];
+    if (pageReferencesInput) {
+        const parts = pageReferencesInput.split(',').map(part => part.trim());
+        for (let i = 0; i < parts.length; i++) {
+            const processMatch = parts[i].match(/^([a-z][a-z0-9_]*)\s*:\s*(.*)$/i);
+            const reference = processMatch ? processMatch[2] : parts[i];
+            if (i > 0 && Boolean(processMatch) !== (processIds.length > 0)) {
+                errors.push(`Page reference "${parts[i]}" at position ${i + 1} ${processMatch ? 'has' : 'has no'} process ID; tag every reference or none`);
+                errorCodes.push(VALIDATION_ERROR_CODES.INVALID_REFERENCE);
+                break;
+            }
+            const accessMatch = reference.match(/^(\d+)\s*([rw])$/i);
+            const pageNum = parseInt(accessMatch ? accessMatch[1] : reference, 10);
+            if (isNaN(pageNum) || pageNum < 0) {
+                errors.push(`Invalid page reference "${parts[i]}" at position ${i + 1}`);
+                errorCodes.push(VALIDATION_ERROR_CODES.INVALID_REFERENCE);
+                break;
+            }
+            pageReferences.push(pageNum);
+            accessModes.push(accessMatch ? accessMatch[2].toLowerCase() : 'r');
+            if (processMatch) {
+                processIds.push(processMatch[1]);
+            }
+        }
+        if (pageReferences.length === 0 && errors.length === 0) {
+            errors.push('At least one page reference is required');
+            errorCodes.push(VALIDATION_ERROR_CODES.EMPTY_REFERENCES);
+        }
+        if (pageReferences.length > limits.maxReferenceCount) {
+            errors.push(`Maximum ${limits.maxReferenceCount} page references allowed`);
+            errorCodes.push(VALIDATION_ERROR_CODES.TOO_MANY_REFERENCES);
+        }
+    }
+    return {
+        isValid: errors.length === 0,
+        errors: errors,
+        errorCodes: errorCodes,
+        frameCount: frameCount,
+        pageReferences: pageReferences,
+        accessModes: accessModes,
+        hasWrites: accessModes.includes('w'),
+        processIds: processIds.length > 0 ? processIds : null,
+        hasProcesses: processIds.length > 0
+    };
+}
+
+function formatReferenceString(pageReferences, accessModes = null, processIds = null) {
+    return pageReferences
+        .map((pageNumber, index) => {
+            const processPrefix = processIds ? `${processIds[index]}:` : '';
+            const accessSuffix = accessModes && accessModes[index] === 'w' ? 'w' : '';
+            return `${processPrefix}${pageNumber}${accessSuffix}`;
+        })
+        .join(',');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateInputs, formatReferenceString, VALIDATION_ERROR_CODES, INPUT_LIMITS };
+}
@@ -0,0 +1,91 @@
+const DEFAULT_IO_COST = {
+    pageReadMs: 8,
+    pageWriteMs: 8
+};
+
+const DEFAULT_ACCESS_TIME_MODEL = {
+    memoryAccessNs: 200,
+    pageFaultServiceMs: 8,
+    dirtyPagePenaltyMs: 8
+};
+
+const NANOSECONDS_PER_MILLISECOND = 1000000;
+
+function estimateIOCost(faultCount, writeBackCount, costModel = DEFAULT_IO_COST) {
+    if (!Number.isInteger(faultCount) || faultCount < 0 || !Number.isInteger(writeBackCount) || writeBackCount < 0) {
+        throw new Error('Fault and write-back counts must be non-negative integers');
+    }
+    const pageReadMs = costModel.pageReadMs !== undefined ? costModel.pageReadMs : DEFAULT_IO_COST.pageReadMs;
+    const pageWriteMs = costModel.pageWriteMs !== undefined ? costModel.pageWriteMs : DEFAULT_IO_COST.pageWriteMs;
+    return {
+        pageReads: faultCount,
+        pageWrites: writeBackCount,
+        totalOperations: faultCount + writeBackCount,
+        estimatedTimeMs: Math.round((faultCount * pageReadMs + writeBackCount * pageWriteMs) * 100) / 100
+    };
+}
+
+function getIOCostModel(accessTimeModel = DEFAULT_ACCESS_TIME_MODEL) {
+    return {
+        pageReadMs: accessTimeModel.pageFaultServiceMs,
+        pageWriteMs: accessTimeModel.dirtyPagePenaltyMs
+    };
+}
+
+function formatIOCost(ioCost) {
+    return `${ioCost.totalOperations} I/O (${ioCost.estimatedTimeMs} ms)`;
+}
+
+function validateAccessTimeModel(model = {}) {
+    const accessTimeModel = { ...DEFAULT_ACCESS_TIME_MODEL, ...model };
+    if (!Number.isFinite(accessTimeModel.memoryAccessNs) || accessTimeModel.memoryAccessNs <= 0) {
+        throw new Error('Memory access time must be a positive number');
+    }
+    if (!Number.isFinite(accessTimeModel.pageFaultServiceMs) || accessTimeModel.pageFaultServiceMs < 0) {
+        throw new Error('Page-fault service time must be a non-negative number');
+    }
+    if (!Number.isFinite(accessTimeModel.dirtyPagePenaltyMs) || accessTimeModel.dirtyPagePenaltyMs < 0) {
+        throw new Error('Dirty-page penalty must be a non-negative number');
+    }
+    return accessTimeModel;
+}
+
+function calculateEffectiveAccessTime(stepCount, faultCount, writeBackCount = 0, model = DEFAULT_ACCESS_TIME_MODEL) {
+    if (!Number.isInteger(stepCount) || stepCount < 0 || !Number.isInteger(faultCount) || faultCount < 0 || faultCount > stepCount) {
+        throw new Error('Fault count must be an integer between 0 and the number of steps');
+    }
+    const accessTimeModel = validateAccessTimeModel(model);
+    const faultProbability = stepCount === 0 ? 0 : faultCount / stepCount;
+    const writeBackProbability = stepCount === 0 ? 0 : writeBackCount / stepCount;
+    const effectiveAccessTimeNs = (1 - faultProbability) * accessTimeModel.memoryAccessNs +
+        faultProbability * accessTimeModel.pageFaultServiceMs * NANOSECONDS_PER_MILLISECOND +
+        writeBackProbability * accessTimeModel.dirtyPagePenaltyMs * NANOSECONDS_PER_MILLISECOND;
+    return {
+        faultProbability: Math.round(faultProbability * 10000) / 10000,
+        effectiveAccessTimeNs: Math.round(effectiveAccessTimeNs * 100) / 100,
+        slowdown: Math.round((effectiveAccessTimeNs / accessTimeModel.memoryAccessNs) * 100) / 100
+    };
+}
+
+function formatAccessTime(nanoseconds) {
+    if (nanoseconds >= NANOSECONDS_PER_MILLISECOND) {
+        return `${Math.round(nanoseconds / NANOSECONDS_PER_MILLISECOND * 100) / 100} ms`;
+    }
+    if (nanoseconds >= 1000) {
+        return `${Math.round(nanoseconds / 1000 * 100) / 100} µs`;
+    }
+    return `${Math.round(nanoseconds * 100) / 100} ns`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_IO_COST,
+        DEFAULT_ACCESS_TIME_MODEL,
+        estimateIOCost,
+        getIOCostModel,
+        formatIOCost,
+        validateAccessTimeModel,
+        calculateEffectiveAccessTime,
+        formatAccessTime
+    };
+}
@@ -0,0 +1,252 @@
+const ALLOCATION_POLICIES = {
+    global: { name: 'Global replacement' },
+    'local-equal': { name: 'Local replacement, equal allocation' },
+    'local-proportional': { name: 'Local replacement, proportional allocation' }
+};
+
+function resolveFIFOBaseAlgorithm() {
+    if (typeof FIFOAlgorithm !== 'undefined') {
+        return FIFOAlgorithm;
+    }
+    return require('./fifo-algorithm.js');
+}
+
+function listProcesses(processIds) {
+    return [...new Set(processIds)];
+}
+
+function computeFrameAllocation(frameCount, pageReferences, processIds, allocationPolicy) {
+    if (!ALLOCATION_POLICIES[allocationPolicy]) {
+        throw new Error(`Unknown allocation policy: ${allocationPolicy}`);
+    }
+    if (allocationPolicy === 'global') {
+        return null;
+    }
+    const processes = listProcesses(processIds);
+    if (frameCount < processes.length) {
+        throw new Error(`Local allocation needs at least ${processes.length} frames (one per process)`);
+    }
+    const sizes = processes.map(processId => new Set(
+        pageReferences.filter((_, index) => processIds[index] === processId)
+    ).size);
+    let shares;
+    if (allocationPolicy === 'local-equal') {
+        shares = processes.map(() => frameCount / processes.length);
+    } else {
+        const totalSize = sizes.reduce((sum, size) => sum + size, 0);
+        shares = sizes.map(size => (frameCount * size) / totalSize);
+    }
+    const frames = shares.map(share => Math.max(1, Math.floor(share)));
+    let allocated = frames.reduce((sum, count) => sum + count, 0);
+    while (allocated > frameCount) {
+        const largest = frames.indexOf(Math.max(...frames));
+        frames[largest]--;
+        allocated--;
+    }
+    while (allocated < frameCount) {
+        let best = 0;
+        for (let i = 1; i < processes.length; i++) {
+            if (shares[i] - frames[i] > shares[best] - frames[best]) {
+                best = i;
+            }
+        }
+        frames[best]++;
+        allocated++;
+    }
+    let firstFrame = 0;
+    return processes.map((processId, index) => {
+        const allocation = { processId, size: sizes[index], firstFrame, frameCount: frames[index] };
+        firstFrame += frames[index];
+        return allocation;
+    });
+}
+
+class MultiProcessFIFO extends resolveFIFOBaseAlgorithm() {
+    constructor(frameCount, pageReferences, processIds) {
+        super(frameCount, pageReferences);
+        if (!Array.isArray(processIds) || processIds.length !== pageReferences.length ||
+            processIds.some(processId => typeof processId !== 'string' || processId === '')) {
+            throw new Error('Every page reference needs a process ID');
+        }
+        this.algorithmName = 'Global FIFO';
+        this.processIds = [...processIds];
+        this.processes = listProcesses(processIds);
+        this.allocationPolicy = 'global';
+        this.frameAllocation = null;
+        this.reset();
+    }
+
+    setAllocationPolicy(allocationPolicy) {
+        this.frameAllocation = computeFrameAllocation(this.frameCount, this.pageReferences, this.processIds, allocationPolicy);
+        this.allocationPolicy = allocationPolicy;
+        this.algorithmName = allocationPolicy === 'global' ? 'Global FIFO' : 'Local FIFO';
+        this.reset();
+    }
+
+    getPageKey(processId, pageNumber) {
+        return `${processId}:${pageNumber}`;
+    }
+
+    getFrameIndexOfPage(pageNumber, processId) {
+        const pageKey = this.getPageKey(processId, pageNumber);
+        return this.pageFrameIndex.has(pageKey) ? this.pageFrameIndex.get(pageKey) : -1;
+    }
+
+    getAllocation(processId) {
+        return this.frameAllocation ? this.frameAllocation.find(allocation => allocation.processId === processId) : null;
+    }
+
+    findFreeFrameFor(processId) {
+        const allocation = this.getAllocation(processId);
+        if (!allocation) {
+            return this.findEmptyFrameIndex();
+        }
+        for (let i = allocation.firstFrame; i < allocation.firstFrame + allocation.frameCount; i++) {
+            if (this.frames[i] === null) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    findVictimQueuePosition(processId) {
+        if (!this.frameAllocation) {
+            return 0;
+        }
+        return this.fifoQueue.findIndex(frameIndex => this.frameOwners[frameIndex] === processId);
+    }
+
+    processPageReference(stepIndex) {
+        if (stepIndex < 0 || stepIndex >= this.pageReferences.length) {
+            throw new Error(`Invalid step index: ${stepIndex}`);
+        }
+        const pageNumber = this.pageReferences[stepIndex];
+        const processId = this.processIds[stepIndex];
+        const pageKey = this.getPageKey(processId, pageNumber);
+        const isHit = this.pageFrameIndex.has(pageKey);
+        const isWrite = this.isWriteReference(stepIndex);
+        const stats = this.processStats[processId];
+        let frameIndex;
+        let replacedFrameIndex = null;
+        let replacedPage = null;
+        let replacedProcessId = null;
+        let writeBack = false;
+        stats.references++;
+        if (isHit) {
+            frameIndex = this.pageFrameIndex.get(pageKey);
+            this.markFrameWritten(frameIndex, isWrite);
+        } else {
+            this.faultCount++;
+            stats.faultCount++;
+            frameIndex = this.findFreeFrameFor(processId);
+            if (frameIndex === -1) {
+                frameIndex = this.fifoQueue.splice(this.findVictimQueuePosition(processId), 1)[0];
+                replacedFrameIndex = frameIndex;
+                replacedPage = this.frames[frameIndex];
+                replacedProcessId = this.frameOwners[frameIndex];
+                writeBack = this.writeBackFrame(frameIndex);
+                this.pageFrameIndex.delete(this.getPageKey(replacedProcessId, replacedPage));
+            }
+            this.frames[frameIndex] = pageNumber;
+            this.frameOwners[frameIndex] = processId;
+            this.fifoQueue.push(frameIndex);
+            this.pageFrameIndex.set(pageKey, frameIndex);
+            this.dirtyBits[frameIndex] = isWrite;
+        }
+        this.currentStep = stepIndex + 1;
+        const stepResult = {
+            stepIndex,
+            pageNumber,
+            processId,
+            frameIndex,
+            isHit,
+            isWrite,
+            replacedFrameIndex,
+            replacedPage,
+            replacedProcessId,
+            writeBack,
+            faultCount: this.faultCount,
+            writeBackCount: this.writeBackCount,
+            processFaultCount: stats.faultCount,
+            faultRate: this.calculateFaultRate()
+        };
+        this.lastStepResult = stepResult;
+        if (this.historyMode === 'summary') {
+            return stepResult;
+        }
+        stepResult.frameState = [...this.frames];
+        stepResult.frameOwners = [...this.frameOwners];
+        stepResult.dirtyState = [...this.dirtyBits];
+        stepResult.queueOrder = this.fifoQueue.map(queuedFrameIndex => this.frames[queuedFrameIndex]);
+        stepResult.queueOwners = this.fifoQueue.map(queuedFrameIndex => this.frameOwners[queuedFrameIndex]);
+        stepResult.snapshot = this.createStateSnapshot();
+        this.stepHistory.push(stepResult);
+        return stepResult;
+    }
+
+    getProcessStats() {
+        return this.processes.map(processId => {
+            const stats = this.processStats[processId];
+            const allocation = this.getAllocation(processId);
+            return {
+                processId,
+                allocatedFrames: allocation ? allocation.frameCount : null,
+                residentPages: this.frameOwners.filter(owner => owner === processId).length,
+                references: stats.references,
+                faultCount: stats.faultCount,
+                faultRate: stats.references === 0 ? 0 : Math.round((stats.faultCount / stats.references) * 100 * 100) / 100
+            };
+        });
+    }
+
+    getCurrentState() {
+        return {
+            ...super.getCurrentState(),
+            frameOwners: [...this.frameOwners],
+            allocationPolicy: this.allocationPolicy,
+            processStats: this.getProcessStats()
+        };
+    }
+
+    createStateSnapshot() {
+        const processStats = {};
+        this.processes.forEach(processId => {
+            processStats[processId] = { ...this.processStats[processId] };
+        });
+        return {
+            ...super.createStateSnapshot(),
+            frameOwners: [...this.frameOwners],
+            processStats
+        };
+    }
+
+    restoreStateSnapshot(snapshot) {
+        super.restoreStateSnapshot(snapshot);
+        this.frameOwners = [...snapshot.frameOwners];
+        this.processStats = {};
+        this.processes.forEach(processId => {
+            this.processStats[processId] = { ...snapshot.processStats[processId] };
+        });
+        this.pageFrameIndex = new Map();
+        this.frames.forEach((frame, frameIndex) => {
+            if (frame !== null) {
+                this.pageFrameIndex.set(this.getPageKey(this.frameOwners[frameIndex], frame), frameIndex);
+            }
+        });
+    }
+
+    reset() {
+        super.reset();
+        this.frameOwners = new Array(this.frameCount).fill(null);
+        this.processStats = {};
+        (this.processes || []).forEach(processId => {
+            this.processStats[processId] = { references: 0, faultCount: 0 };
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MultiProcessFIFO, ALLOCATION_POLICIES, computeFrameAllocation };
+} else if (typeof window !== 'undefined') {
+    window.MultiProcessFIFO = MultiProcessFIFO;
+}
@@ -0,0 +1,140 @@
+class PolicyComparison {
+    constructor(policyIds, frameCount, pageReferences) {
+        if (!Array.isArray(policyIds) || policyIds.length < 2) {
+            throw new Error('Select at least two policies to compare');
+        }
+        const createPolicy = resolveCreateReplacementPolicy();
+        this.policyIds = [...policyIds];
+        this.algorithms = policyIds.map(policyId => createPolicy(policyId, frameCount, pageReferences));
+        this.algorithmName = this.algorithms.map(algorithm => algorithm.algorithmName).join(' vs ');
+        this.frameCount = frameCount;
+        this.pageReferences = [...pageReferences];
+        this.historyMode = 'full';
+        this.lastStepResult = null;
+        this.currentStep = 0;
+        this.stepHistory = [];
+    }
+
+    setHistoryMode(historyMode) {
+        this.algorithms.forEach(algorithm => algorithm.setHistoryMode(historyMode));
+        this.historyMode = historyMode;
+        this.reset();
+    }
+
+    setAccessModes(accessModes) {
+        this.algorithms.forEach(algorithm => algorithm.setAccessModes(accessModes));
+        this.reset();
+    }
+
+    get baseline() {
+        return this.algorithms[0];
+    }
+
+    processPageReference(stepIndex) {
+        const results = this.algorithms.map(algorithm => algorithm.processPageReference(stepIndex));
+        this.currentStep = stepIndex + 1;
+        const stepResult = {
+            ...results[0],
+            results
+        };
+        this.lastStepResult = stepResult;
+        if (this.historyMode !== 'summary') {
+            this.stepHistory.push(stepResult);
+        }
+        return stepResult;
+    }
+
+    getCurrentState() {
+        return {
+            ...this.baseline.getCurrentState(),
+            currentStep: this.currentStep,
+            algorithms: this.algorithms.map(algorithm => ({
+                algorithmName: algorithm.algorithmName,
+                ...algorithm.getCurrentState(),
+                oldestFrameIndex: algorithm.getOldestFrameIndex ? algorithm.getOldestFrameIndex() : -1
+            }))
+        };
+    }
+
+    getStepHistory() {
+        return [...this.stepHistory];
+    }
+
+    restoreToStep(stepIndex) {
+        const recordedSteps = this.historyMode === 'summary' ? this.currentStep : this.stepHistory.length;
+        if (stepIndex < 0 || stepIndex >= recordedSteps) {
+            throw new Error(`Invalid step index for restoration: ${stepIndex}`);
+        }
+        this.algorithms.forEach(algorithm => algorithm.restoreToStep(stepIndex));
+        this.stepHistory = this.stepHistory.slice(0, stepIndex + 1);
+        this.currentStep = stepIndex + 1;
+        const results = this.algorithms.map(algorithm => algorithm.getLastStepResult());
+        this.lastStepResult = { ...results[0], results };
+    }
+
+    reset() {
+        this.algorithms.forEach(algorithm => algorithm.reset());
+        this.stepHistory = [];
+        this.lastStepResult = null;
+        this.currentStep = 0;
+    }
+
+    getLastStepResult() {
+        return this.lastStepResult;
+    }
+
+    getOldestFrameIndex() {
+        return this.baseline.getOldestFrameIndex ? this.baseline.getOldestFrameIndex() : -1;
+    }
+
+    findFirstDivergence(algorithmIndex, otherIndex = 0) {
+        for (let i = 0; i < this.stepHistory.length; i++) {
+            const results = this.stepHistory[i].results;
+            if (!haveSameFrameContents(results[algorithmIndex].frameState, results[otherIndex].frameState)) {
+                return i + 1;
+            }
+        }
+        return null;
+    }
+
+    findFirstOverallDivergence() {
+        for (let i = 0; i < this.stepHistory.length; i++) {
+            const results = this.stepHistory[i].results;
+            if (results.some(result => !haveSameFrameContents(result.frameState, results[0].frameState))) {
+                return i + 1;
+            }
+        }
+        return null;
+    }
+
+    getComparisonSummary() {
+        return {
+            divergenceStep: this.findFirstOverallDivergence(),
+            algorithms: this.algorithms.map((algorithm, index) => ({
+                algorithmName: algorithm.algorithmName,
+                faultCount: algorithm.faultCount,
+                faultRate: algorithm.calculateFaultRate(),
+                divergesFromBaselineAt: index === 0 ? null : this.findFirstDivergence(index)
+            }))
+        };
+    }
+}
+
+function haveSameFrameContents(framesA, framesB) {
+    const contentsA = framesA.filter(frame => frame !== null).sort((a, b) => a - b);
+    const contentsB = framesB.filter(frame => frame !== null).sort((a, b) => a - b);
+    return contentsA.length === contentsB.length && contentsA.every((page, index) => page === contentsB[index]);
+}
+
+function resolveCreateReplacementPolicy() {
+    if (typeof createReplacementPolicy !== 'undefined') {
+        return createReplacementPolicy;
+    }
+    return require('./replacement-policies.js').createReplacementPolicy;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PolicyComparison, haveSameFrameContents };
+} else if (typeof window !== 'undefined') {
+    window.PolicyComparison = PolicyComparison;
+}
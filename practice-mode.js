@@ -0,0 +1,144 @@
+const PRACTICE_OUTCOMES = ['hit', 'miss'];
+
+function parseFrameStateAnswer(text, frameCount) {
+    const values = String(text === null || text === undefined ? '' : text).split(',').map(value => value.trim());
+    if (values.length !== frameCount) {
+        throw new Error(`Enter ${frameCount} frame value${frameCount === 1 ? '' : 's'} separated by commas (use - for an empty frame)`);
+    }
+    return values.map(value => (value === '' || value === '-' ? null : value.replace(/\s+/g, '')));
+}
+
+function normalizeFrameLabel(label) {
+    return label === null || label === undefined ? null : String(label).toLowerCase();
+}
+
+class PracticeSession {
+    constructor(engine) {
+        if (!engine || !engine.algorithm) {
+            throw new Error('Practice mode needs an initialized simulation');
+        }
+        if (Array.isArray(engine.algorithm.algorithms)) {
+            throw new Error('Practice mode is not available in comparison mode');
+        }
+        this.engine = engine;
+        this.algorithm = engine.algorithm;
+        this.attempts = [];
+        this.correctCount = 0;
+        this.startedAt = new Date().toISOString();
+    }
+
+    getPendingReference() {
+        if (this.engine.currentStep >= this.engine.totalSteps) {
+            return null;
+        }
+        const stepIndex = this.engine.currentStep;
+        return {
+            step: stepIndex + 1,
+            pageNumber: this.algorithm.pageReferences[stepIndex],
+            processId: this.algorithm.processIds ? this.algorithm.processIds[stepIndex] : null,
+            isWrite: this.algorithm.isWriteReference ? this.algorithm.isWriteReference(stepIndex) : false
+        };
+    }
+
+    getFrameLabels() {
+        const state = this.algorithm.getCurrentState();
+        return state.frames.map((page, frameIndex) => {
+            if (page === null) {
+                return null;
+            }
+            return state.frameOwners ? `${state.frameOwners[frameIndex]}:${page}` : `${page}`;
+        });
+    }
+
+    validateAnswer(answer) {
+        if (!answer || !PRACTICE_OUTCOMES.includes(answer.outcome)) {
+            throw new Error('Choose whether the reference is a hit or a miss');
+        }
+        const frameCount = this.algorithm.frameCount;
+        if (answer.victimFrame !== null && (!Number.isInteger(answer.victimFrame) ||
+            answer.victimFrame < 0 || answer.victimFrame >= frameCount)) {
+            throw new Error(`Victim frame must be between 0 and ${frameCount - 1}`);
+        }
+        if (!Array.isArray(answer.frames) || answer.frames.length !== frameCount) {
+            throw new Error(`Predict the contents of all ${frameCount} frames`);
+        }
+    }
+
+    submitAnswer(answer) {
+        const pending = this.getPendingReference();
+        if (!pending) {
+            throw new Error('Every page reference has already been answered');
+        }
+        this.validateAnswer(answer);
+        const stepResult = this.engine.stepForward();
+        if (!stepResult) {
+            throw new Error(`Could not process step ${pending.step}`);
+        }
+        const expected = {
+            outcome: stepResult.isHit ? 'hit' : 'miss',
+            victimFrame: stepResult.replacedFrameIndex !== null && stepResult.replacedFrameIndex !== undefined
+                ? stepResult.replacedFrameIndex
+                : null,
+            frames: this.getFrameLabels()
+        };
+        const mistakes = [];
+        if (answer.outcome !== expected.outcome) {
+            mistakes.push('outcome');
+        }
+        if (answer.victimFrame !== expected.victimFrame) {
+            mistakes.push('victimFrame');
+        }
+        if (answer.frames.some((label, frameIndex) => normalizeFrameLabel(label) !== normalizeFrameLabel(expected.frames[frameIndex]))) {
+            mistakes.push('frames');
+        }
+        const attempt = {
+            ...pending,
+            answer: { outcome: answer.outcome, victimFrame: answer.victimFrame, frames: [...answer.frames] },
+            expected,
+            correct: mistakes.length === 0,
+            mistakes
+        };
+        this.attempts.push(attempt);
+        if (attempt.correct) {
+            this.correctCount++;
+        }
+        return attempt;
+    }
+
+    getScore() {
+        const total = this.attempts.length;
+        return {
+            correct: this.correctCount,
+            total,
+            percentage: total === 0 ? 0 : Math.round((this.correctCount / total) * 100 * 100) / 100
+        };
+    }
+
+    isComplete() {
+        return this.getPendingReference() === null;
+    }
+
+    getAttemptLog() {
+        return {
+            metadata: {
+                algorithm: this.algorithm.algorithmName || 'FIFO',
+                frameCount: this.algorithm.frameCount,
+                pageReferences: [...this.algorithm.pageReferences],
+                startedAt: this.startedAt,
+                exportedAt: new Date().toISOString(),
+                score: this.getScore()
+            },
+            attempts: this.attempts.map(attempt => ({ ...attempt }))
+        };
+    }
+}
+
+function formatPracticeLogJSON(session) {
+    return JSON.stringify(session.getAttemptLog(), null, 2);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PracticeSession, PRACTICE_OUTCOMES, parseFrameStateAnswer, formatPracticeLogJSON };
+} else if (typeof window !== 'undefined') {
+    window.PracticeSession = PracticeSession;
+}
@@ -0,0 +1,128 @@
+function resolveSeededRandom(seed) {
+    const createRandom = typeof createSeededRandom !== 'undefined'
+        ? createSeededRandom
+        : require('./replacement-policies.js').createSeededRandom;
+    return createRandom(seed);
+}
+
+function validateGeneratorOptions(options) {
+    const { length, pageCount } = options;
+    if (!Number.isInteger(length) || length <= 0) {
+        throw new Error('Length must be a positive integer');
+    }
+    if (!Number.isInteger(pageCount) || pageCount <= 0) {
+        throw new Error('Page count must be a positive integer');
+    }
+    if (!Number.isInteger(options.seed)) {
+        throw new Error('Seed must be an integer');
+    }
+}
+
+function randomPage(random, pageCount) {
+    return 1 + Math.floor(random() * pageCount);
+}
+
+function generateUniformReferences(options) {
+    validateGeneratorOptions(options);
+    const random = resolveSeededRandom(options.seed);
+    return Array.from({ length: options.length }, () => randomPage(random, options.pageCount));
+}
+
+function generateWorkingSetReferences(options) {
+    validateGeneratorOptions(options);
+    const random = resolveSeededRandom(options.seed);
+    const workingSetSize = Math.min(options.workingSetSize || 3, options.pageCount);
+    const phaseLength = Math.max(1, options.phaseLength || 10);
+    const references = [];
+    let workingSet = [];
+    for (let i = 0; i < options.length; i++) {
+        if (i % phaseLength === 0) {
+            const pages = Array.from({ length: options.pageCount }, (_, index) => index + 1);
+            for (let j = pages.length - 1; j > 0; j--) {
+                const k = Math.floor(random() * (j + 1));
+                [pages[j], pages[k]] = [pages[k], pages[j]];
+            }
+            workingSet = pages.slice(0, workingSetSize);
+        }
+        references.push(workingSet[Math.floor(random() * workingSet.length)]);
+    }
+    return references;
+}
+
+function generateLoopingReferences(options) {
+    validateGeneratorOptions(options);
+    const random = resolveSeededRandom(options.seed);
+    const loopLength = Math.min(Math.max(1, options.loopLength || 4), options.pageCount);
+    const firstPage = 1 + Math.floor(random() * (options.pageCount - loopLength + 1));
+    return Array.from({ length: options.length }, (_, index) => firstPage + (index % loopLength));
+}
+
+function generateZipfReferences(options) {
+    validateGeneratorOptions(options);
+    const random = resolveSeededRandom(options.seed);
+    const exponent = options.exponent !== undefined ? options.exponent : 1;
+    if (!(exponent >= 0)) {
+        throw new Error('Zipf exponent must be zero or greater');
+    }
+    const weights = Array.from({ length: options.pageCount }, (_, rank) => 1 / Math.pow(rank + 1, exponent));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const cumulative = [];
+    let runningTotal = 0;
+    weights.forEach(weight => {
+        runningTotal += weight / totalWeight;
+        cumulative.push(runningTotal);
+    });
+    return Array.from({ length: options.length }, () => {
+        const sample = random();
+        const rank = cumulative.findIndex(threshold => sample < threshold);
+        return (rank === -1 ? options.pageCount - 1 : rank) + 1;
+    });
+}
+
+function generateMarkovReferences(options) {
+    validateGeneratorOptions(options);
+    const random = resolveSeededRandom(options.seed);
+    const localityProbability = options.localityProbability !== undefined ? options.localityProbability : 0.8;
+    if (!(localityProbability >= 0 && localityProbability <= 1)) {
+        throw new Error('Locality probability must be between 0 and 1');
+    }
+    const references = [randomPage(random, options.pageCount)];
+    while (references.length < options.length) {
+        const currentPage = references[references.length - 1];
+        if (random() < localityProbability) {
+            const offset = Math.floor(random() * 3) - 1;
+            references.push(((currentPage - 1 + offset + options.pageCount) % options.pageCount) + 1);
+        } else {
+            references.push(randomPage(random, options.pageCount));
+        }
+    }
+    return references;
+}
+
+const REFERENCE_GENERATORS = {
+    uniform: { label: 'Uniform Random', generate: generateUniformReferences },
+    'working-set': { label: 'Working Set (Locality Phases)', generate: generateWorkingSetReferences },
+    loop: { label: 'Looping Sequential Scan', generate: generateLoopingReferences },
+    zipf: { label: 'Zipf Distribution', generate: generateZipfReferences },
+    markov: { label: 'Markov (Neighbor Locality)', generate: generateMarkovReferences }
+};
+
+function generateReferenceString(modelId, options) {
+    const generator = REFERENCE_GENERATORS[modelId];
+    if (!generator) {
+        throw new Error(`Unknown reference model: ${modelId}`);
+    }
+    return generator.generate(options);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REFERENCE_GENERATORS,
+        generateReferenceString,
+        generateUniformReferences,
+        generateWorkingSetReferences,
+        generateLoopingReferences,
+        generateZipfReferences,
+        generateMarkovReferences
+    };
+}
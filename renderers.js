@@ -0,0 +1,146 @@
+function formatFramePage(policyState, frameIndex) {
+    const page = policyState.frames[frameIndex];
+    if (page === null) {
+        return null;
+    }
+    return policyState.frameOwners ? `${policyState.frameOwners[frameIndex]}:${page}` : `${page}`;
+}
+
+function getPolicyStates(algorithmState) {
+    return Array.isArray(algorithmState.algorithms) ? algorithmState.algorithms : [algorithmState];
+}
+
+function buildFrameRows(algorithm, state) {
+    const policies = getPolicyStates(state.algorithmState);
+    const rows = [];
+    policies.forEach(policyState => {
+        const prefix = policies.length > 1 ? `${policyState.algorithmName} frame` : 'Frame';
+        policyState.frames.forEach((page, frameIndex) => {
+            rows.push([`${prefix} ${frameIndex}`, formatFramePage(policyState, frameIndex) || 'Empty']);
+        });
+    });
+    return rows;
+}
+
+function describeStepResult(stepResult, algorithmState) {
+    const page = stepResult.processId ? `${stepResult.processId}:${stepResult.pageNumber}` : `${stepResult.pageNumber}`;
+    const reference = `page ${page}${stepResult.isWrite ? ' (write)' : ''}`;
+    const describeOutcome = result => {
+        if (result.isHit) {
+            return 'hit';
+        }
+        return result.replacedPage !== null && result.replacedPage !== undefined
+            ? `fault, evicted page ${result.replacedPage}`
+            : 'fault';
+    };
+    if (Array.isArray(stepResult.results)) {
+        const outcomes = stepResult.results.map((result, index) =>
+            `${algorithmState.algorithms[index].algorithmName} ${describeOutcome(result)}`);
+        return `${reference}: ${outcomes.join(', ')}`;
+    }
+    return `${reference} ${describeOutcome(stepResult)}`;
+}
+
+function formatFrameContents(algorithmState) {
+    const policies = getPolicyStates(algorithmState);
+    return policies.map(policyState => {
+        const frames = policyState.frames.map((page, frameIndex) => formatFramePage(policyState, frameIndex) || '-');
+        return policies.length > 1 ? `${policyState.algorithmName} [${frames.join(' ')}]` : `[${frames.join(' ')}]`;
+    }).join(' ');
+}
+
+function formatEngineEvent(state, event) {
+    const position = `${state.currentStep}/${state.totalSteps}`;
+    const algorithmState = state.algorithmState;
+    switch (event.type) {
+        case 'step':
+            if (!event.stepResult || state.currentStep === 0) {
+                return `Step ${position}: no references processed | frames ${formatFrameContents(algorithmState)}`;
+            }
+            return `Step ${position}: ${describeStepResult(event.stepResult, algorithmState)} | ` +
+                `frames ${formatFrameContents(algorithmState)} | faults ${algorithmState.faultCount}`;
+        case 'play':
+            return `Playing from step ${position} at ${state.speed}ms per step`;
+        case 'pause':
+            if (event.breakpoint) {
+                const reason = event.breakpoint.type === 'fault'
+                    ? `page fault on page ${event.breakpoint.pageNumber}`
+                    : `page ${event.breakpoint.pageNumber} was evicted`;
+                return `Paused at step ${position}: ${reason}`;
+            }
+            return `Paused at step ${position}`;
+        case 'complete':
+            return `Complete after ${state.totalSteps} steps: ${algorithmState.faultCount} faults ` +
+                `(${algorithmState.faultRate}% fault rate)`;
+        default:
+            return `${event.type} at step ${position}`;
+    }
+}
+
+class CanvasRenderer {
+    constructor(renderingContext, drawState) {
+        if (!renderingContext || typeof drawState !== 'function') {
+            throw new Error('Canvas renderer needs a rendering context and a draw function');
+        }
+        this.renderingContext = renderingContext;
+        this.drawState = drawState;
+    }
+
+    render(state, event) {
+        this.drawState(this.renderingContext, event.algorithm, state);
+    }
+}
+
+class TableRenderer {
+    constructor(tableBody, buildRows = buildFrameRows) {
+        if (!tableBody) {
+            throw new Error('Table renderer needs a table body element');
+        }
+        this.tableBody = tableBody;
+        this.buildRows = buildRows;
+    }
+
+    render(state, event) {
+        const documentRef = this.tableBody.ownerDocument || document;
+        this.tableBody.innerHTML = '';
+        this.buildRows(event.algorithm, state).forEach(values => {
+            const row = documentRef.createElement('tr');
+            values.forEach((value, index) => {
+                const cell = documentRef.createElement(index === 0 ? 'th' : 'td');
+                if (index === 0) {
+                    cell.setAttribute('scope', 'row');
+                }
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.tableBody.appendChild(row);
+        });
+    }
+}
+
+class TextRenderer {
+    constructor(write = null) {
+        this.write = write;
+        this.lines = [];
+    }
+
+    render(state, event) {
+        const line = formatEngineEvent(state, event);
+        this.lines.push(line);
+        if (this.write) {
+            this.write(line);
+        }
+    }
+
+    getText() {
+        return this.lines.join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CanvasRenderer, TableRenderer, TextRenderer, buildFrameRows, formatEngineEvent };
+} else if (typeof window !== 'undefined') {
+    window.CanvasRenderer = CanvasRenderer;
+    window.TableRenderer = TableRenderer;
+    window.TextRenderer = TextRenderer;
+}
@@ -0,0 +1,568 @@
+class ReplacementPolicy {
+    constructor(frameCount, pageReferences) {
+        if (!Number.isInteger(frameCount) || frameCount <= 0) {
+            throw new Error('Frame count must be a positive integer');
+        }
+        if (!Array.isArray(pageReferences) || pageReferences.length === 0) {
+            throw new Error('Page references must be a non-empty array');
+        }
+        for (let i = 0; i < pageReferences.length; i++) {
+            if (!Number.isInteger(pageReferences[i]) || pageReferences[i] < 0) {
+                throw new Error(`Page reference at index ${i} must be a non-negative integer`);
+            }
+        }
+        this.algorithmName = 'Policy';
+        this.frameCount = frameCount;
+        this.pageReferences = [...pageReferences];
+        this.frames = new Array(frameCount).fill(null);
+        this.pageFrameIndex = new Map();
+        this.historyMode = 'full';
+        this.accessModes = null;
+        this.dirtyBits = new Array(frameCount).fill(false);
+        this.writeBackCount = 0;
+        this.lastStepResult = null;
+        this.currentStep = 0;
+        this.faultCount = 0;
+        this.stepHistory = [];
+        this.resetPolicyState();
+    }
+
+    setHistoryMode(historyMode) {
+        if (historyMode !== 'full' && historyMode !== 'summary') {
+            throw new Error(`Unknown history mode: ${historyMode}`);
+        }
+        this.historyMode = historyMode;
+        this.reset();
+    }
+
+    setAccessModes(accessModes) {
+        if (accessModes !== null && (!Array.isArray(accessModes) || accessModes.length !== this.pageReferences.length ||
+            accessModes.some(mode => mode !== 'r' && mode !== 'w'))) {
+            throw new Error('Access modes must give "r" or "w" for every page reference');
+        }
+        this.accessModes = accessModes ? [...accessModes] : null;
+        this.reset();
+    }
+
+    isWriteReference(stepIndex) {
+        return this.accessModes !== null && this.accessModes[stepIndex] === 'w';
+    }
+
+    markFrameWritten(frameIndex, isWrite) {
+        if (isWrite) {
+            this.dirtyBits[frameIndex] = true;
+        }
+    }
+
+    writeBackFrame(frameIndex) {
+        const writeBack = this.dirtyBits[frameIndex];
+        if (writeBack) {
+            this.writeBackCount++;
+        }
+        return writeBack;
+    }
+
+    resetPolicyState() {
+    }
+
+    onPageHit(frameIndex, stepIndex) {
+    }
+
+    onPageLoaded(frameIndex, stepIndex) {
+    }
+
+    selectVictimFrame(stepIndex) {
+        throw new Error(`${this.algorithmName} does not implement victim selection`);
+    }
+
+    processPageReference(stepIndex) {
+        if (stepIndex < 0 || stepIndex >= this.pageReferences.length) {
+            throw new Error(`Invalid step index: ${stepIndex}`);
+        }
+        const pageNumber = this.pageReferences[stepIndex];
+        const isHit = this.isPageHit(pageNumber);
+        const isWrite = this.isWriteReference(stepIndex);
+        let replacedFrameIndex = null;
+        let replacedPage = null;
+        let writeBack = false;
+        if (isHit) {
+            const frameIndex = this.pageFrameIndex.get(pageNumber);
+            this.markFrameWritten(frameIndex, isWrite);
+            this.onPageHit(frameIndex, stepIndex);
+        } else {
+            this.faultCount++;
+            let targetFrameIndex = this.findEmptyFrameIndex();
+            if (targetFrameIndex === -1) {
+                targetFrameIndex = this.selectVictimFrame(stepIndex);
+                replacedFrameIndex = targetFrameIndex;
+                replacedPage = this.frames[targetFrameIndex];
+                writeBack = this.writeBackFrame(targetFrameIndex);
+            }
+            this.frames[targetFrameIndex] = pageNumber;
+            this.dirtyBits[targetFrameIndex] = isWrite;
+            if (replacedPage !== null) {
+                this.pageFrameIndex.delete(replacedPage);
+            }
+            this.pageFrameIndex.set(pageNumber, targetFrameIndex);
+            this.onPageLoaded(targetFrameIndex, stepIndex);
+        }
+        this.currentStep = stepIndex + 1;
+        const stepResult = {
+            stepIndex,
+            pageNumber,
+            isHit,
+            isWrite,
+            replacedFrameIndex,
+            replacedPage,
+            writeBack,
+            faultCount: this.faultCount,
+            writeBackCount: this.writeBackCount,
+            faultRate: this.calculateFaultRate()
+        };
+        this.lastStepResult = stepResult;
+        if (this.historyMode === 'summary') {
+            return stepResult;
+        }
+        const evictionOrder = this.getEvictionOrder();
+        const snapshot = this.createStateSnapshot();
+        stepResult.frameState = [...this.frames];
+        stepResult.dirtyState = [...this.dirtyBits];
+        stepResult.queueOrder = evictionOrder ? evictionOrder.map(frameIndex => this.frames[frameIndex]) : null;
+        if (snapshot) {
+            stepResult.snapshot = snapshot;
+        }
+        this.stepHistory.push(stepResult);
+        return stepResult;
+    }
+
+    isPageHit(pageNumber) {
+        return this.pageFrameIndex.has(pageNumber);
+    }
+
+    getFrameIndexOfPage(pageNumber) {
+        return this.pageFrameIndex.has(pageNumber) ? this.pageFrameIndex.get(pageNumber) : -1;
+    }
+
+    findEmptyFrameIndex() {
+        if (this.pageFrameIndex.size >= this.frameCount) {
+            return -1;
+        }
+        return this.frames.indexOf(null);
+    }
+
+    calculateFaultRate() {
+        if (this.currentStep === 0) return 0;
+        return Math.round((this.faultCount / this.currentStep) * 100 * 100) / 100;
+    }
+
+    getCurrentState() {
+        return {
+            frames: [...this.frames],
+            currentStep: this.currentStep,
+            faultCount: this.faultCount,
+            faultRate: this.calculateFaultRate(),
+            dirtyBits: [...this.dirtyBits],
+            writeBackCount: this.writeBackCount,
+            frameCount: this.frameCount,
+            totalSteps: this.pageReferences.length
+        };
+    }
+
+    getStepHistory() {
+        return [...this.stepHistory];
+    }
+
+    createStateSnapshot() {
+        return null;
+    }
+
+    restoreToStep(stepIndex) {
+        const recordedSteps = this.historyMode === 'summary' ? this.currentStep : this.stepHistory.length;
+        if (stepIndex < 0 || stepIndex >= recordedSteps) {
+            throw new Error(`Invalid step index for restoration: ${stepIndex}`);
+        }
+        this.reset();
+        for (let i = 0; i <= stepIndex; i++) {
+            this.processPageReference(i);
+        }
+    }
+
+    reset() {
+        this.frames = new Array(this.frameCount).fill(null);
+        this.pageFrameIndex = new Map();
+        this.dirtyBits = new Array(this.frameCount).fill(false);
+        this.writeBackCount = 0;
+        this.lastStepResult = null;
+        this.currentStep = 0;
+        this.faultCount = 0;
+        this.stepHistory = [];
+        this.resetPolicyState();
+    }
+
+    getLastStepResult() {
+        return this.lastStepResult;
+    }
+
+    getOldestFrameIndex() {
+        return -1;
+    }
+
+    getEvictionOrder() {
+        return null;
+    }
+
+    getLoadedFrameIndices() {
+        return this.frames.map((frame, index) => frame === null ? -1 : index).filter(index => index !== -1);
+    }
+}
+
+class LRUAlgorithm extends ReplacementPolicy {
+    constructor(frameCount, pageReferences) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'LRU';
+    }
+
+    resetPolicyState() {
+        this.lastUsedStep = new Array(this.frameCount).fill(-1);
+    }
+
+    onPageHit(frameIndex, stepIndex) {
+        this.lastUsedStep[frameIndex] = stepIndex;
+    }
+
+    onPageLoaded(frameIndex, stepIndex) {
+        this.lastUsedStep[frameIndex] = stepIndex;
+    }
+
+    selectVictimFrame() {
+        let victimIndex = 0;
+        for (let i = 1; i < this.frameCount; i++) {
+            if (this.lastUsedStep[i] < this.lastUsedStep[victimIndex]) {
+                victimIndex = i;
+            }
+        }
+        return victimIndex;
+    }
+
+    getOldestFrameIndex() {
+        return this.findEmptyFrameIndex() === -1 ? this.selectVictimFrame() : -1;
+    }
+
+    getEvictionOrder() {
+        return this.getLoadedFrameIndices().sort((a, b) => this.lastUsedStep[a] - this.lastUsedStep[b]);
+    }
+}
+
+class OptimalAlgorithm extends ReplacementPolicy {
+    constructor(frameCount, pageReferences) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'OPT';
+    }
+
+    resetPolicyState() {
+        if (!this.nextUseIndex) {
+            this.nextUseIndex = this.buildNextUseIndex();
+        }
+        this.frameNextUse = new Array(this.frameCount).fill(-1);
+        this.victimHeap = [];
+    }
+
+    buildNextUseIndex() {
+        const nextUseIndex = new Int32Array(this.pageReferences.length);
+        const upcoming = new Map();
+        for (let i = this.pageReferences.length - 1; i >= 0; i--) {
+            const pageNumber = this.pageReferences[i];
+            nextUseIndex[i] = upcoming.has(pageNumber) ? upcoming.get(pageNumber) : this.pageReferences.length;
+            upcoming.set(pageNumber, i);
+        }
+        return nextUseIndex;
+    }
+
+    onPageHit(frameIndex, stepIndex) {
+        this.trackNextUse(frameIndex, stepIndex);
+    }
+
+    onPageLoaded(frameIndex, stepIndex) {
+        this.trackNextUse(frameIndex, stepIndex);
+    }
+
+    trackNextUse(frameIndex, stepIndex) {
+        this.frameNextUse[frameIndex] = this.nextUseIndex[stepIndex];
+        if (this.victimHeap.length >= 4 * this.frameCount) {
+            this.victimHeap = [];
+            this.getLoadedFrameIndices().forEach(loadedIndex => this.pushVictimCandidate(loadedIndex));
+        } else {
+            this.pushVictimCandidate(frameIndex);
+        }
+    }
+
+    isBetterVictim(a, b) {
+        return a.nextUse > b.nextUse || (a.nextUse === b.nextUse && a.frameIndex < b.frameIndex);
+    }
+
+    pushVictimCandidate(frameIndex) {
+        const heap = this.victimHeap;
+        const candidate = { frameIndex, nextUse: this.frameNextUse[frameIndex] };
+        let index = heap.length;
+        heap.push(candidate);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.isBetterVictim(candidate, heap[parent])) {
+                break;
+            }
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = candidate;
+    }
+
+    popVictimCandidate() {
+        const heap = this.victimHeap;
+        const last = heap.pop();
+        if (heap.length === 0) {
+            return;
+        }
+        let index = 0;
+        for (;;) {
+            let best = 2 * index + 1;
+            if (best >= heap.length) {
+                break;
+            }
+            if (best + 1 < heap.length && this.isBetterVictim(heap[best + 1], heap[best])) {
+                best++;
+            }
+            if (!this.isBetterVictim(heap[best], last)) {
+                break;
+            }
+            heap[index] = heap[best];
+            index = best;
+        }
+        heap[index] = last;
+    }
+
+    selectVictimFrame() {
+        while (this.victimHeap.length > 0) {
+            const top = this.victimHeap[0];
+            if (this.frameNextUse[top.frameIndex] === top.nextUse) {
+                return top.frameIndex;
+            }
+            this.popVictimCandidate();
+        }
+        return 0;
+    }
+
+    getOldestFrameIndex() {
+        if (this.findEmptyFrameIndex() !== -1) {
+            return -1;
+        }
+        return this.selectVictimFrame();
+    }
+}
+
+class ClockAlgorithm extends ReplacementPolicy {
+    constructor(frameCount, pageReferences) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'Clock';
+    }
+
+    resetPolicyState() {
+        this.referenceBits = new Array(this.frameCount).fill(0);
+        this.clockHand = 0;
+    }
+
+    onPageHit(frameIndex) {
+        this.referenceBits[frameIndex] = 1;
+    }
+
+    onPageLoaded(frameIndex) {
+        this.referenceBits[frameIndex] = 1;
+        if (frameIndex === this.clockHand) {
+            this.clockHand = (this.clockHand + 1) % this.frameCount;
+        }
+    }
+
+    selectVictimFrame() {
+        while (this.referenceBits[this.clockHand] === 1) {
+            this.referenceBits[this.clockHand] = 0;
+            this.clockHand = (this.clockHand + 1) % this.frameCount;
+        }
+        return this.clockHand;
+    }
+
+    getOldestFrameIndex() {
+        if (this.findEmptyFrameIndex() !== -1) {
+            return -1;
+        }
+        for (let offset = 0; offset < this.frameCount; offset++) {
+            const frameIndex = (this.clockHand + offset) % this.frameCount;
+            if (this.referenceBits[frameIndex] === 0) {
+                return frameIndex;
+            }
+        }
+        return this.clockHand;
+    }
+}
+
+class LFUAlgorithm extends ReplacementPolicy {
+    constructor(frameCount, pageReferences) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'LFU';
+    }
+
+    resetPolicyState() {
+        this.useCounts = new Array(this.frameCount).fill(0);
+        this.loadedAtStep = new Array(this.frameCount).fill(-1);
+    }
+
+    onPageHit(frameIndex) {
+        this.useCounts[frameIndex]++;
+    }
+
+    onPageLoaded(frameIndex, stepIndex) {
+        this.useCounts[frameIndex] = 1;
+        this.loadedAtStep[frameIndex] = stepIndex;
+    }
+
+    prefersVictim(candidateIndex, currentIndex) {
+        if (this.useCounts[candidateIndex] !== this.useCounts[currentIndex]) {
+            return this.useCounts[candidateIndex] < this.useCounts[currentIndex];
+        }
+        return this.loadedAtStep[candidateIndex] < this.loadedAtStep[currentIndex];
+    }
+
+    selectVictimFrame() {
+        let victimIndex = 0;
+        for (let i = 1; i < this.frameCount; i++) {
+            if (this.prefersVictim(i, victimIndex)) {
+                victimIndex = i;
+            }
+        }
+        return victimIndex;
+    }
+
+    getOldestFrameIndex() {
+        return this.findEmptyFrameIndex() === -1 ? this.selectVictimFrame() : -1;
+    }
+
+    getEvictionOrder() {
+        return this.getLoadedFrameIndices().sort((a, b) => {
+            if (this.prefersVictim(a, b)) return -1;
+            if (this.prefersVictim(b, a)) return 1;
+            return 0;
+        });
+    }
+}
+
+class MFUAlgorithm extends LFUAlgorithm {
+    constructor(frameCount, pageReferences) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'MFU';
+    }
+
+    prefersVictim(candidateIndex, currentIndex) {
+        if (this.useCounts[candidateIndex] !== this.useCounts[currentIndex]) {
+            return this.useCounts[candidateIndex] > this.useCounts[currentIndex];
+        }
+        return this.loadedAtStep[candidateIndex] < this.loadedAtStep[currentIndex];
+    }
+}
+
+class RandomAlgorithm extends ReplacementPolicy {
+    constructor(frameCount, pageReferences, seed = 1) {
+        super(frameCount, pageReferences);
+        this.algorithmName = 'Random';
+        this.seed = seed;
+        this.resetPolicyState();
+    }
+
+    resetPolicyState() {
+        this.random = createSeededRandom(this.seed);
+    }
+
+    selectVictimFrame() {
+        return Math.floor(this.random() * this.frameCount);
+    }
+}
+
+function createSeededRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const REPLACEMENT_POLICIES = {
+    fifo: {
+        label: 'FIFO (First In, First Out)',
+        create: (frameCount, pageReferences) => new (resolveFIFOAlgorithm())(frameCount, pageReferences)
+    },
+    lru: {
+        label: 'LRU (Least Recently Used)',
+        create: (frameCount, pageReferences) => new LRUAlgorithm(frameCount, pageReferences)
+    },
+    opt: {
+        label: 'OPT (Belady Optimal)',
+        create: (frameCount, pageReferences) => new OptimalAlgorithm(frameCount, pageReferences)
+    },
+    clock: {
+        label: 'Clock (Second Chance)',
+        create: (frameCount, pageReferences) => new ClockAlgorithm(frameCount, pageReferences)
+    },
+    lfu: {
+        label: 'LFU (Least Frequently Used)',
+        create: (frameCount, pageReferences) => new LFUAlgorithm(frameCount, pageReferences)
+    },
+    mfu: {
+        label: 'MFU (Most Frequently Used)',
+        create: (frameCount, pageReferences) => new MFUAlgorithm(frameCount, pageReferences)
+    },
+    random: {
+        label: 'Random',
+        create: (frameCount, pageReferences) => new RandomAlgorithm(frameCount, pageReferences)
+    }
+};
+
+function resolveFIFOAlgorithm() {
+    if (typeof FIFOAlgorithm !== 'undefined') {
+        return FIFOAlgorithm;
+    }
+    return require('./fifo-algorithm.js');
+}
+
+function createReplacementPolicy(policyId, frameCount, pageReferences) {
+    const policy = REPLACEMENT_POLICIES[policyId];
+    if (!policy) {
+        throw new Error(`Unknown replacement policy: ${policyId}`);
+    }
+    return policy.create(frameCount, pageReferences);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ReplacementPolicy,
+        LRUAlgorithm,
+        OptimalAlgorithm,
+        ClockAlgorithm,
+        LFUAlgorithm,
+        MFUAlgorithm,
+        RandomAlgorithm,
+        REPLACEMENT_POLICIES,
+        createReplacementPolicy,
+        createSeededRandom
+    };
+} else if (typeof window !== 'undefined') {
+    window.ReplacementPolicy = ReplacementPolicy;
+    window.LRUAlgorithm = LRUAlgorithm;
+    window.OptimalAlgorithm = OptimalAlgorithm;
+    window.ClockAlgorithm = ClockAlgorithm;
+    window.LFUAlgorithm = LFUAlgorithm;
+    window.MFUAlgorithm = MFUAlgorithm;
+    window.RandomAlgorithm = RandomAlgorithm;
+    window.REPLACEMENT_POLICIES = REPLACEMENT_POLICIES;
+    window.createReplacementPolicy = createReplacementPolicy;
+    window.createSeededRandom = createSeededRandom;
+}
@@ -2,6 +2,59 @@ let canvas;
 let ctx;
 let canvasWidth = 1200;
 let canvasHeight = 400;
+let visualizationMode = 'frames';
+let historyGridScrollColumn = 0;
+let historyGridLastStep = -1;
+let queueStripTransition = null;
+let transitionFrameRequested = false;
+let frameTween = null;
+let colorPalette = 'standard';
+let lastStepAnnouncement = '';
+let currentExam = null;
+let createSimulationAlgorithm = null;
+let recordingInProgress = false;
+
+const AGGREGATED_FRAME_THRESHOLD = 32;
+const AGGREGATED_TIMELINE_CELLS = 200;
+const RECORDING_MAX_STEPS = 500;
+const QUEUE_STRIP_OFFSET = 60;
+const WORKING_SET_CHART_COLUMNS = 1050;
+const FRAME_COLOR_PALETTES = {
+    standard: {
+        hit: { fill: '#27ae60', stroke: '#1e8449', text: '#ffffff' },
+        miss: { fill: '#e74c3c', stroke: '#c0392b', text: '#ffffff' },
+        replacement: { fill: '#f39c12', stroke: '#d68910', text: '#ffffff' },
+        oldest: { fill: '#f8f9fa', stroke: '#fd7e14', text: '#212529' },
+        default: { fill: '#f8f9fa', stroke: '#6c757d', text: '#212529' },
+        empty: { fill: '#ffffff', stroke: '#dee2e6', text: '#6c757d' }
+    },
+    'high-contrast': {
+        hit: { fill: '#005a00', stroke: '#000000', text: '#ffffff' },
+        miss: { fill: '#a50000', stroke: '#000000', text: '#ffffff' },
+        replacement: { fill: '#ffd700', stroke: '#000000', text: '#000000' },
+        oldest: { fill: '#ffffff', stroke: '#0000cc', text: '#000000' },
+        default: { fill: '#ffffff', stroke: '#000000', text: '#000000' },
+        empty: { fill: '#ffffff', stroke: '#595959', text: '#000000' }
+    },
+    colorblind: {
+        hit: { fill: '#0072b2', stroke: '#004c77', text: '#ffffff' },
+        miss: { fill: '#d55e00', stroke: '#8f3f00', text: '#ffffff' },
+        replacement: { fill: '#e69f00', stroke: '#9c6b00', text: '#000000' },
+        oldest: { fill: '#f8f9fa', stroke: '#cc79a7', text: '#212529' },
+        default: { fill: '#f8f9fa', stroke: '#6c757d', text: '#212529' },
+        empty: { fill: '#ffffff', stroke: '#dee2e6', text: '#6c757d' }
+    }
+};
+const PROCESS_COLORS = [
+    { fill: '#d6eaf8', stroke: '#2e86c1' },
+    { fill: '#e8daef', stroke: '#8e44ad' },
+    { fill: '#d1f2eb', stroke: '#17a589' },
+    { fill: '#fdebd0', stroke: '#ca6f1e' },
+    { fill: '#fadbd8', stroke: '#cb4335' },
+    { fill: '#f9e79f', stroke: '#b7950b' },
+    { fill: '#d5d8dc', stroke: '#566573' },
+    { fill: '#d4efdf', stroke: '#229954' }
+];
 
 const Performance = {
     metrics: {
@@ -10,13 +63,26 @@ const Performance = {
         lastFrameTime: 0,
         averageFrameTime: 0
     },
+    previousFrameTimestamp: null,
     startMeasure(operation) {
         return performance.now();
     },
     endMeasure(operation, startTime) {
         const duration = performance.now() - startTime;
-        if (duration > 16.67) {
+        this.metrics.renderTime = duration;
+        return duration;
+    },
+    recordFrame(timestamp) {
+        if (this.previousFrameTimestamp !== null) {
+            const frameTime = timestamp - this.previousFrameTimestamp;
+            this.metrics.animationFrames++;
+            this.metrics.lastFrameTime = frameTime;
+            this.metrics.averageFrameTime += (frameTime - this.metrics.averageFrameTime) / this.metrics.animationFrames;
         }
+        this.previousFrameTimestamp = timestamp;
+    },
+    resetFrameClock() {
+        this.previousFrameTimestamp = null;
     },
     optimizeCanvas() {
         if (canvas && ctx) {
@@ -137,28 +203,31 @@ function calculateFrameLayout(frameCount) {
 }
 
 function getFrameColors(state) {
-    const colors = {
-        hit: { fill: '#27ae60', stroke: '#1e8449', text: '#ffffff' },
-        miss: { fill: '#e74c3c', stroke: '#c0392b', text: '#ffffff' },
-        replacement: { fill: '#f39c12', stroke: '#d68910', text: '#ffffff' },
-        oldest: { fill: '#f8f9fa', stroke: '#fd7e14', text: '#212529' },
-        default: { fill: '#f8f9fa', stroke: '#6c757d', text: '#212529' },
-        empty: { fill: '#ffffff', stroke: '#dee2e6', text: '#6c757d' }
-    };
+    const colors = FRAME_COLOR_PALETTES[colorPalette] || FRAME_COLOR_PALETTES.standard;
     return colors[state] || colors.default;
 }
 
-function drawMemoryFrames(frames, highlightInfo = {}, currentPage = null, oldestFrameIndex = -1) {
+function setColorPalette(paletteId) {
+    if (!FRAME_COLOR_PALETTES[paletteId]) {
+        throw new Error(`Unknown color palette: ${paletteId}`);
+    }
+    colorPalette = paletteId;
+    if (document.body) {
+        Object.keys(FRAME_COLOR_PALETTES).forEach(id => document.body.classList.remove(`palette-${id}`));
+        document.body.classList.add(`palette-${paletteId}`);
+    }
+}
+
+function drawMemoryFrames(frames, highlightInfo = {}, currentPage = null, oldestFrameIndex = -1, algorithmName = 'FIFO') {
     if (!frames || frames.length === 0) {
         return;
     }
     if (frames.length > 6) {
-        drawMemoryFramesGrid(frames, highlightInfo, currentPage, oldestFrameIndex);
-        return;
+        return drawMemoryFramesGrid(frames, highlightInfo, currentPage, oldestFrameIndex, algorithmName);
     }
     clearCanvas();
     const layout = calculateFrameLayout(frames.length);
-    drawText('Memory Frames (FIFO Order)', canvasWidth / 2, 35, '#2c3e50', '24px Arial');
+    drawText(`Memory Frames (${algorithmName} Order)`, canvasWidth / 2, 35, '#2c3e50', '24px Arial');
 
     frames.forEach((frameContent, index) => {
         const x = layout.startX + (index * (layout.frameWidth + layout.spacing));
@@ -166,8 +235,11 @@ function drawMemoryFrames(frames, highlightInfo = {}, currentPage = null, oldest
         drawSingleFrame(frameContent, index, x, y, layout.frameWidth, layout.frameHeight,
             highlightInfo, oldestFrameIndex);
     });
+    drawFrameTween(highlightInfo.tween);
 
-    drawFrameLegend(layout.startY + layout.frameHeight + 60);
+    const legendY = layout.startY + layout.frameHeight + 60;
+    drawFrameLegend(legendY);
+    return legendY;
 }
 
 function drawFrameLegend(startY) {
@@ -195,35 +267,39 @@ function drawFrameLegend(startY) {
 
 
 
-function getResponsiveFrameLayout(frameCount, availableWidth) {
+function getResponsiveFrameLayout(frameCount, availableWidth, availableHeight = Infinity) {
     const minFrameWidth = 100;
     const maxFrameWidth = 140;
     const spacing = 50;
-    let frameWidth = (availableWidth - ((frameCount - 1) * spacing)) / frameCount;
-    frameWidth = Math.max(minFrameWidth, Math.min(maxFrameWidth, frameWidth));
+    const rowSpacing = 30;
+    const maxRows = 3;
+    const frameWidth = (availableWidth - ((frameCount - 1) * spacing)) / frameCount;
     if (frameWidth < minFrameWidth && frameCount > 6) {
-        const framesPerRow = Math.floor(availableWidth / (minFrameWidth + spacing));
+        const framesPerRow = Math.max(Math.floor((availableWidth + spacing) / (minFrameWidth + spacing)),
+            Math.ceil(frameCount / maxRows));
         const rows = Math.ceil(frameCount / framesPerRow);
         return {
-            frameWidth: minFrameWidth,
-            frameHeight: 80,
+            frameWidth: Math.min(minFrameWidth, (availableWidth - (framesPerRow - 1) * spacing) / framesPerRow),
+            frameHeight: Math.max(30, Math.min(80, (availableHeight - (rows - 1) * rowSpacing) / rows)),
             framesPerRow,
             rows,
             spacing,
+            rowSpacing,
             layout: 'grid'
         };
     }
     return {
-        frameWidth,
+        frameWidth: Math.min(maxFrameWidth, frameWidth),
         frameHeight: 100,
         framesPerRow: frameCount,
         rows: 1,
         spacing,
+        rowSpacing: spacing,
         layout: 'horizontal'
     };
 }
 
-function drawMemoryFramesGrid(frames, highlightInfo = {}, currentPage = null, oldestFrameIndex = -1) {
+function drawMemoryFramesGrid(frames, highlightInfo = {}, currentPage = null, oldestFrameIndex = -1, algorithmName = 'FIFO') {
     if (!frames || frames.length === 0) {
         return;
     }
@@ -231,16 +307,17 @@ function drawMemoryFramesGrid(frames, highlightInfo = {}, currentPage = null, ol
     const canvasDims = getCanvasDimensions();
     const margin = 30;
     const availableWidth = canvasDims.width - (2 * margin);
-    const layout = getResponsiveFrameLayout(frames.length, availableWidth);
-    drawText('Memory Frames (FIFO Order)', canvasWidth / 2, 35, '#2c3e50', '24px Arial');
-
     const startY = 60;
+    const layout = getResponsiveFrameLayout(frames.length, availableWidth,
+        canvasDims.height - startY - QUEUE_STRIP_OFFSET - 130);
+    drawText(`Memory Frames (${algorithmName} Order)`, canvasWidth / 2, 35, '#2c3e50', '24px Arial');
+
     if (layout.layout === 'grid') {
         for (let i = 0; i < frames.length; i++) {
             const row = Math.floor(i / layout.framesPerRow);
             const col = i % layout.framesPerRow;
             const x = margin + col * (layout.frameWidth + layout.spacing);
-            const y = startY + row * (layout.frameHeight + layout.spacing);
+            const y = startY + row * (layout.frameHeight + layout.rowSpacing);
             drawSingleFrame(frames[i], i, x, y, layout.frameWidth, layout.frameHeight,
                 highlightInfo, oldestFrameIndex);
         }
@@ -255,8 +332,10 @@ function drawMemoryFramesGrid(frames, highlightInfo = {}, currentPage = null, ol
         }
     }
 
-    const legendY = startY + (layout.rows * (layout.frameHeight + layout.spacing)) + 30;
+    drawFrameTween(highlightInfo.tween);
+    const legendY = startY + (layout.rows * (layout.frameHeight + layout.rowSpacing)) + 30;
     drawFrameLegend(legendY);
+    return legendY;
 }
 
 function drawSingleFrame(frameContent, frameIndex, x, y, width, height, highlightInfo, oldestFrameIndex) {
@@ -272,7 +351,11 @@ function drawSingleFrame(frameContent, frameIndex, x, y, width, height, highligh
     } else if (frameContent === null) {
         frameState = 'empty';
     }
-    const colors = getFrameColors(frameState);
+    const owner = highlightInfo.frameOwners ? highlightInfo.frameOwners[frameIndex] : null;
+    const processColors = owner ? getProcessColors(owner, highlightInfo.processes) : null;
+    const colors = processColors && (frameState === 'default' || frameState === 'oldest')
+        ? { ...getFrameColors(frameState), fill: processColors.fill }
+        : getFrameColors(frameState);
     if (frameState === 'hit' || frameState === 'miss' || frameState === 'replacement') {
         ctx.save();
         ctx.shadowColor = colors.stroke;
@@ -284,11 +367,22 @@ function drawSingleFrame(frameContent, frameIndex, x, y, width, height, highligh
     } else {
         drawRoundedRectangle(x, y, width, height, 6, colors.fill, colors.stroke);
     }
+    if (processColors) {
+        drawRoundedRectangle(x + 6, y + height - 10, width - 12, 5, 2, processColors.stroke, processColors.stroke);
+    }
+    const tween = highlightInfo.tween && highlightInfo.tween.frameIndex === frameIndex ? highlightInfo.tween : null;
+    if (tween) {
+        tween.rect = { x, y, width, height };
+    }
     const fontSize = Math.min(14, width / 8);
-    drawText(`F${frameIndex}`, x + width / 2, y - 12, '#6c757d', `${fontSize}px Arial`);
+    const partitionOwner = highlightInfo.framePartitions ? highlightInfo.framePartitions[frameIndex] : null;
+    drawText(partitionOwner ? `F${frameIndex} [${partitionOwner}]` : `F${frameIndex}`, x + width / 2, y - 12, '#6c757d', `${fontSize}px Arial`);
     if (frameContent !== null) {
-        const contentFontSize = Math.min(24, width / 4);
-        drawText(`${frameContent}`, x + width / 2, y + height / 2, colors.text, `${contentFontSize}px Arial`);
+        if (!tween || tween.type === 'hit') {
+            const contentFontSize = Math.min(24, width / 4);
+            const contentLabel = owner ? `${owner}:${frameContent}` : `${frameContent}`;
+            drawText(contentLabel, x + width / 2, y + height / 2, colors.text, `${contentFontSize}px Arial`);
+        }
     } else {
         const emptyFontSize = Math.min(16, width / 6);
         drawText('Empty', x + width / 2, y + height / 2, colors.text, `${emptyFontSize}px Arial`);
@@ -296,6 +390,42 @@ function drawSingleFrame(frameContent, frameIndex, x, y, width, height, highligh
     if (oldestFrameIndex === frameIndex && frameContent !== null && width > 120) {
         drawText('← Next', x + width + 20, y + height / 2, '#fd7e14', '16px Arial');
     }
+    if (highlightInfo.dirtyFrames && highlightInfo.dirtyFrames[frameIndex] && frameContent !== null) {
+        drawRoundedRectangle(x + width - 24, y + 4, 20, 18, 4, '#8e44ad', '#6c3483');
+        drawText('D', x + width - 14, y + 13, '#ffffff', 'bold 12px Arial');
+    }
+    if (highlightInfo.writeBackFrame === frameIndex) {
+        drawText(`Wrote back page ${highlightInfo.writeBackPage}`, x + width / 2, y + height + 14, '#8e44ad', '12px Arial');
+    }
+}
+
+function getProcessColors(processId, processes = []) {
+    const processIndex = Math.max(0, processes.indexOf(processId));
+    return PROCESS_COLORS[processIndex % PROCESS_COLORS.length];
+}
+
+function getFramePartitions(algorithm) {
+    if (!algorithm.frameAllocation) {
+        return null;
+    }
+    const partitions = new Array(algorithm.frameCount).fill(null);
+    algorithm.frameAllocation.forEach(allocation => {
+        partitions.fill(allocation.processId, allocation.firstFrame, allocation.firstFrame + allocation.frameCount);
+    });
+    return partitions;
+}
+
+function drawProcessLegend(processes, processStats) {
+    const itemWidth = Math.min(200, canvasWidth / Math.max(processes.length, 1));
+    const startX = (canvasWidth - processes.length * itemWidth) / 2;
+    const legendY = canvasHeight - 14;
+    processes.forEach((processId, index) => {
+        const colors = getProcessColors(processId, processes);
+        const stats = processStats.find(entry => entry.processId === processId);
+        const x = startX + index * itemWidth;
+        drawRoundedRectangle(x + 10, legendY - 7, 14, 14, 3, colors.fill, colors.stroke);
+        drawText(`${processId}: ${stats ? stats.faultCount : 0} faults`, x + 24 + (itemWidth - 34) / 2, legendY, '#2c3e50', '13px Arial');
+    });
 }
 
 function renderFIFOState(algorithm, animationState) {
@@ -306,11 +436,23 @@ function renderFIFOState(algorithm, animationState) {
         if (!canvas || !ctx) {
             return;
         }
+        if (Array.isArray(algorithm.algorithms)) {
+            renderComparisonState(algorithm, animationState);
+            return;
+        }
         const currentState = algorithm.getCurrentState();
         if (!currentState) {
             return;
         }
         const frames = currentState.frames || [];
+        if (frames.length > AGGREGATED_FRAME_THRESHOLD || algorithm.historyMode === 'summary') {
+            drawAggregatedFrames(algorithm, animationState);
+            return;
+        }
+        if (visualizationMode === 'grid') {
+            drawHistoryGrid(algorithm, animationState);
+            return;
+        }
         const currentStep = animationState.currentStep || 0;
         const pageReferences = algorithm.pageReferences || [];
         const currentPage = currentStep < pageReferences.length ? pageReferences[currentStep] : null;
@@ -318,8 +460,11 @@ function renderFIFOState(algorithm, animationState) {
         const currentStepData = stepHistory[currentStep - 1];
         let highlightInfo = {};
         if (currentStepData) {
+            const touchedFrameIndex = currentStepData.frameIndex !== undefined
+                ? currentStepData.frameIndex
+                : frames.findIndex(frame => frame === currentPage);
             if (currentStepData.isHit) {
-                const hitFrameIndex = frames.findIndex(frame => frame === currentPage);
+                const hitFrameIndex = touchedFrameIndex;
                 if (hitFrameIndex !== -1) {
                     highlightInfo.hitFrame = hitFrameIndex;
                 }
@@ -327,7 +472,7 @@ function renderFIFOState(algorithm, animationState) {
                 if (currentStepData.replacedFrameIndex !== null && currentStepData.replacedFrameIndex !== undefined) {
                     highlightInfo.replacementFrame = currentStepData.replacedFrameIndex;
                 } else {
-                    const modifiedFrameIndex = frames.findIndex(frame => frame === currentPage);
+                    const modifiedFrameIndex = touchedFrameIndex;
                     if (modifiedFrameIndex !== -1) {
                         highlightInfo.missFrame = modifiedFrameIndex;
                     }
@@ -340,9 +485,39 @@ function renderFIFOState(algorithm, animationState) {
                 faultCount: currentStepData.faultCount,
                 faultRate: currentStepData.faultRate
             };
+            if (currentStepData.writeBack) {
+                highlightInfo.writeBackFrame = currentStepData.replacedFrameIndex;
+                highlightInfo.writeBackPage = currentStepData.replacedPage;
+            }
+        }
+        const tweenFrameIndex = currentStepData ? getStepFrameIndex(currentStepData, frames) : -1;
+        const labelPage = (page, processId) => (processId ? `${processId}:${page}` : `${page}`);
+        highlightInfo.tween = getFrameTween(currentStep, pageReferences.length, currentStepData, tweenFrameIndex,
+            currentStepData ? labelPage(currentStepData.pageNumber, currentStepData.processId) : null,
+            currentStepData && currentStepData.replacedPage !== null && currentStepData.replacedPage !== undefined
+                ? labelPage(currentStepData.replacedPage, currentStepData.replacedProcessId)
+                : null);
+        if (algorithm.accessModes) {
+            highlightInfo.dirtyFrames = currentState.dirtyBits;
+        }
+        if (currentState.frameOwners) {
+            highlightInfo.frameOwners = currentState.frameOwners;
+            highlightInfo.processes = algorithm.processes;
+            highlightInfo.framePartitions = getFramePartitions(algorithm);
+        }
+        const oldestFrameIndex = !animationState.practiceMode && algorithm.getOldestFrameIndex ? algorithm.getOldestFrameIndex() : -1;
+        const legendY = drawMemoryFrames(frames, highlightInfo, currentPage, oldestFrameIndex, algorithm.algorithmName || 'FIFO');
+        const evictionOrder = !animationState.practiceMode && algorithm.getEvictionOrder ? algorithm.getEvictionOrder() : null;
+        if (evictionOrder) {
+            const queueOrder = evictionOrder.map(frameIndex => frames[frameIndex]);
+            const previousStepData = stepHistory[currentStep - 2];
+            drawQueueStrip(queueOrder, getQueueStripProgress(currentStep,
+                previousStepData ? previousStepData.queueOrder : [], queueOrder), algorithm.algorithmName || 'FIFO',
+                legendY + QUEUE_STRIP_OFFSET);
+        }
+        if (currentState.processStats) {
+            drawProcessLegend(algorithm.processes, currentState.processStats);
         }
-        const oldestFrameIndex = algorithm.getOldestFrameIndex ? algorithm.getOldestFrameIndex() : -1;
-        drawMemoryFrames(frames, highlightInfo, currentPage, oldestFrameIndex);
     } catch (error) {
         try {
             clearCanvas();
@@ -352,366 +527,2114 @@ function renderFIFOState(algorithm, animationState) {
     }
 }
 
-function exportCanvasScreenshot(filename = 'fifo-simulation.png') {
-    try {
-        if (!canvas) {
-            throw new Error('Canvas not available for export');
-        }
-        const dataURL = canvas.toDataURL('image/png');
-        const link = document.createElement('a');
-        link.download = filename;
-        link.href = dataURL;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        showAnimationStatus('Screenshot exported successfully!', 'success');
-        return true;
-    } catch (error) {
-        showAnimationStatus(`Failed to export screenshot: ${error.message}`, 'error');
-        return false;
-    }
+function getHistoryGridLayout(frameCount, columnCount) {
+    const labelWidth = 110;
+    const margin = 20;
+    const titleHeight = 50;
+    const scrollbarHeight = 14;
+    const rowCount = frameCount + 3;
+    const rowHeight = Math.min(40, (canvasHeight - titleHeight - margin - scrollbarHeight) / rowCount);
+    const columnWidth = 44;
+    const gridWidth = canvasWidth - labelWidth - 2 * margin;
+    const visibleColumns = Math.max(1, Math.floor(gridWidth / columnWidth));
+    return {
+        labelWidth,
+        margin,
+        titleHeight,
+        rowHeight,
+        columnWidth,
+        visibleColumns,
+        gridLeft: margin + labelWidth,
+        scrollbarY: titleHeight + rowCount * rowHeight + 6,
+        scrollbarHeight,
+        maxScrollColumn: Math.max(0, columnCount - visibleColumns)
+    };
 }
 
-function generateExecutionTrace(algorithm) {
-    if (!algorithm || !algorithm.getStepHistory) {
-        return [];
+function scrollHistoryGrid(columnDelta) {
+    if (!window.currentFIFOAlgorithm) {
+        return;
     }
+    const layout = getHistoryGridLayout(window.currentFIFOAlgorithm.frameCount, window.currentFIFOAlgorithm.pageReferences.length);
+    historyGridScrollColumn = Math.max(0, Math.min(layout.maxScrollColumn, historyGridScrollColumn + columnDelta));
+    renderCurrentAnimationState();
+}
+
+function drawHistoryGrid(algorithm, animationState) {
+    clearCanvas();
+    const pageReferences = algorithm.pageReferences;
     const stepHistory = algorithm.getStepHistory();
-    const traceData = [];
-    stepHistory.forEach((step, index) => {
-        traceData.push({
-            step: index + 1,
-            pageReference: step.pageNumber,
-            isHit: step.isHit,
-            frameState: step.frameState.join(','),
-            faultCount: step.faultCount,
-            faultRate: step.faultRate,
-            replacedFrame: step.replacedFrameIndex,
-            replacedPage: step.replacedPage
-        });
+    const currentStep = animationState.currentStep || 0;
+    const layout = getHistoryGridLayout(algorithm.frameCount, pageReferences.length);
+    if (currentStep !== historyGridLastStep) {
+        const currentColumn = Math.max(0, currentStep - 1);
+        if (currentColumn < historyGridScrollColumn) {
+            historyGridScrollColumn = currentColumn;
+        } else if (currentColumn >= historyGridScrollColumn + layout.visibleColumns) {
+            historyGridScrollColumn = currentColumn - layout.visibleColumns + 1;
+        }
+        historyGridLastStep = currentStep;
+    }
+    historyGridScrollColumn = Math.max(0, Math.min(layout.maxScrollColumn, historyGridScrollColumn));
+    const firstColumn = historyGridScrollColumn;
+    const lastColumn = Math.min(pageReferences.length, firstColumn + layout.visibleColumns);
+    const algorithmName = algorithm.algorithmName || 'FIFO';
+    drawText(`${algorithmName} Frame History (steps ${firstColumn + 1}-${lastColumn} of ${pageReferences.length})`,
+        canvasWidth / 2, 25, '#2c3e50', '20px Arial');
+
+    const rowLabels = ['Reference', ...Array.from({ length: algorithm.frameCount }, (_, index) => `Frame ${index}`), 'Fault', 'Evicted'];
+    const fontSize = Math.min(16, layout.rowHeight * 0.45);
+    rowLabels.forEach((label, row) => {
+        const y = layout.titleHeight + row * layout.rowHeight + layout.rowHeight / 2;
+        drawText(label, layout.margin + layout.labelWidth / 2, y, '#6c757d', `bold ${fontSize}px Arial`);
     });
-    return traceData;
-}
 
-function exportExecutionTraceCSV(algorithm, filename = 'fifo-execution-trace.csv') {
-    try {
-        const traceData = generateExecutionTrace(algorithm);
-        if (traceData.length === 0) {
-            throw new Error('No execution data available');
-        }
-        const headers = ['Step', 'Page Reference', 'Hit/Miss', 'Frame State', 'Fault Count', 'Fault Rate (%)', 'Replaced Frame', 'Replaced Page'];
-        const csvContent = [
-            headers.join(','),
-            ...traceData.map(row => [
-                row.step,
-                row.pageReference,
-                row.isHit ? 'Hit' : 'Miss',
-                `"${row.frameState}"`,
-                row.faultCount,
-                row.faultRate,
-                row.replacedFrame !== null ? row.replacedFrame : '',
-                row.replacedPage !== null ? row.replacedPage : ''
-            ].join(','))
-        ].join('\n');
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        if (link.download !== undefined) {
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            link.setAttribute('download', filename);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+    for (let column = firstColumn; column < lastColumn; column++) {
+        const x = layout.gridLeft + (column - firstColumn) * layout.columnWidth;
+        const step = stepHistory[column];
+        const isCurrent = column === currentStep - 1;
+        if (isCurrent) {
+            drawRoundedRectangle(x + 1, layout.titleHeight - 4, layout.columnWidth - 2,
+                rowLabels.length * layout.rowHeight + 8, 4, '#eaf2f8', '#3498db');
         }
-        showAnimationStatus('Execution trace exported successfully!', 'success');
-        return true;
-    } catch (error) {
-        showAnimationStatus('Failed to export execution trace', 'error');
-        return false;
+        const referenceY = layout.titleHeight + layout.rowHeight / 2;
+        drawText(`${pageReferences[column]}`, x + layout.columnWidth / 2, referenceY,
+            step ? '#2c3e50' : '#adb5bd', `bold ${fontSize}px Arial`);
+        for (let frameIndex = 0; frameIndex < algorithm.frameCount; frameIndex++) {
+            const cellY = layout.titleHeight + (frameIndex + 1) * layout.rowHeight;
+            const highlight = getStepHighlightState(step, frameIndex);
+            const colors = getFrameColors(highlight || (step && step.frameState[frameIndex] !== null ? 'default' : 'empty'));
+            drawRectangle(x + 3, cellY + 2, layout.columnWidth - 6, layout.rowHeight - 4, colors.fill, colors.stroke);
+            if (step && step.frameState[frameIndex] !== null) {
+                drawText(`${step.frameState[frameIndex]}`, x + layout.columnWidth / 2, cellY + layout.rowHeight / 2,
+                    colors.text, `${fontSize}px Arial`);
+            }
+        }
+        if (step) {
+            const faultY = layout.titleHeight + (algorithm.frameCount + 1) * layout.rowHeight + layout.rowHeight / 2;
+            drawText(step.isHit ? '' : 'F', x + layout.columnWidth / 2, faultY, '#c0392b', `bold ${fontSize}px Arial`);
+            if (step.replacedPage !== null && step.replacedPage !== undefined) {
+                drawText(`${step.replacedPage}`, x + layout.columnWidth / 2, faultY + layout.rowHeight,
+                    '#d68910', `${fontSize}px Arial`);
+            }
+        }
+    }
+
+    if (layout.maxScrollColumn > 0) {
+        const trackWidth = layout.visibleColumns * layout.columnWidth;
+        const thumbWidth = Math.max(20, trackWidth * (layout.visibleColumns / pageReferences.length));
+        const thumbX = layout.gridLeft + (trackWidth - thumbWidth) * (historyGridScrollColumn / layout.maxScrollColumn);
+        drawRoundedRectangle(layout.gridLeft, layout.scrollbarY, trackWidth, layout.scrollbarHeight, 6, '#f1f3f5', '#dee2e6');
+        drawRoundedRectangle(thumbX, layout.scrollbarY, thumbWidth, layout.scrollbarHeight, 6, '#adb5bd', null);
     }
 }
 
-function exportExecutionTraceJSON(algorithm, filename = 'fifo-execution-trace.json') {
-    try {
-        const traceData = generateExecutionTrace(algorithm);
-        if (traceData.length === 0) {
-            throw new Error('No execution data available');
-        }
-        const exportData = {
-            metadata: {
-                algorithm: 'FIFO',
-                frameCount: algorithm.frameCount,
-                pageReferences: algorithm.pageReferences,
-                totalSteps: traceData.length,
-                totalFaults: traceData[traceData.length - 1].faultCount,
-                finalFaultRate: traceData[traceData.length - 1].faultRate,
-                exportDate: new Date().toISOString()
-            },
-            steps: traceData
-        };
-        const jsonContent = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
-        const link = document.createElement('a');
-        if (link.download !== undefined) {
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            link.setAttribute('download', filename);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-        }
-        showAnimationStatus('Execution trace exported successfully!', 'success');
-        return true;
-    } catch (error) {
-        showAnimationStatus('Failed to export execution trace', 'error');
-        return false;
+function getStepHighlightState(stepData, frameIndex) {
+    if (!stepData) {
+        return null;
+    }
+    if (stepData.isHit) {
+        return stepData.frameState[frameIndex] === stepData.pageNumber ? 'hit' : null;
+    }
+    if (stepData.replacedFrameIndex !== null && stepData.replacedFrameIndex !== undefined) {
+        return stepData.replacedFrameIndex === frameIndex ? 'replacement' : null;
     }
+    return stepData.frameState[frameIndex] === stepData.pageNumber ? 'miss' : null;
 }
 
-function showExportTraceDialog(algorithm) {
-    const modal = document.createElement('div');
-    modal.className = 'export-modal';
-    modal.innerHTML = `
-        <div class="export-modal-content">
-            <h3>Export Execution Trace</h3>
-            <p>Choose the format for exporting the simulation trace:</p>
-            <div class="export-options">
-                <button id="export-csv" class="export-option-btn">
-                    <span class="export-icon">📊</span>
-                    <span class="export-label">CSV Format</span>
-                    <span class="export-desc">Spreadsheet compatible</span>
-                </button>
-                <button id="export-json" class="export-option-btn">
-                    <span class="export-icon">📄</span>
-                    <span class="export-label">JSON Format</span>
-                    <span class="export-desc">Structured data</span>
-                </button>
-            </div>
-            <button id="cancel-export" class="cancel-btn">Cancel</button>
-        </div>
-    `;
-    document.body.appendChild(modal);
-    document.getElementById('export-csv').addEventListener('click', () => {
-        exportExecutionTraceCSV(algorithm);
-        document.body.removeChild(modal);
-    });
-    document.getElementById('export-json').addEventListener('click', () => {
-        exportExecutionTraceJSON(algorithm);
-        document.body.removeChild(modal);
-    });
-    document.getElementById('cancel-export').addEventListener('click', () => {
-        document.body.removeChild(modal);
-    });
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            document.body.removeChild(modal);
-        }
+function renderComparisonState(comparison, animationState) {
+    clearCanvas();
+    const currentStep = animationState.currentStep || 0;
+    const state = comparison.getCurrentState();
+    const stepData = comparison.getStepHistory()[currentStep - 1];
+    const rowCount = state.algorithms.length;
+    const titleHeight = 60;
+    const labelWidth = 220;
+    const margin = 30;
+    const rowHeight = Math.min(90, (canvasHeight - titleHeight - margin) / rowCount);
+    const frameGap = 12;
+    const frameWidth = Math.min(90, (canvasWidth - labelWidth - 2 * margin - (comparison.frameCount - 1) * frameGap) / comparison.frameCount);
+    const frameHeight = rowHeight * 0.7;
+    const pageLabel = stepData ? `Page ${stepData.pageNumber}` : 'Not started';
+    drawText(`Policy Comparison - Step ${currentStep} / ${state.totalSteps} (${pageLabel})`, canvasWidth / 2, 30, '#2c3e50', '22px Arial');
+
+    state.algorithms.forEach((algorithmState, row) => {
+        const rowY = titleHeight + row * rowHeight;
+        const frameY = rowY + (rowHeight - frameHeight) / 2;
+        const rowStepData = stepData ? stepData.results[row] : null;
+        const labelFontSize = Math.min(18, rowHeight / 3);
+        drawText(algorithmState.algorithmName, margin + labelWidth / 2, frameY + frameHeight / 2 - labelFontSize / 2 - 2,
+            '#2c3e50', `bold ${labelFontSize}px Arial`);
+        drawText(`${algorithmState.faultCount} faults (${algorithmState.faultRate}%)`, margin + labelWidth / 2,
+            frameY + frameHeight / 2 + labelFontSize / 2 + 2, '#6c757d', `${labelFontSize * 0.85}px Arial`);
+        algorithmState.frames.forEach((frameContent, frameIndex) => {
+            const x = margin + labelWidth + frameIndex * (frameWidth + frameGap);
+            let frameState = getStepHighlightState(rowStepData, frameIndex);
+            if (!frameState) {
+                if (frameContent === null) {
+                    frameState = 'empty';
+                } else if (algorithmState.oldestFrameIndex === frameIndex) {
+                    frameState = 'oldest';
+                } else {
+                    frameState = 'default';
+                }
+            }
+            const colors = getFrameColors(frameState);
+            drawRoundedRectangle(x, frameY, frameWidth, frameHeight, 6, colors.fill, colors.stroke);
+            const contentFontSize = Math.min(22, frameHeight / 2.5, frameWidth / 3);
+            drawText(frameContent === null ? '-' : `${frameContent}`, x + frameWidth / 2, frameY + frameHeight / 2,
+                colors.text, `${contentFontSize}px Arial`);
+        });
     });
 }
 
-function validateInputs(frameCountInput, pageReferencesInput) {
-    const errors = [];
-    const frameCount = parseInt(frameCountInput, 10);
-    if (isNaN(frameCount) || frameCount < 1 || frameCount > 10) {
-        errors.push('Frame count must be between 1 and 10');
-    }
-    if (!pageReferencesInput || pageReferencesInput.trim() === '') {
-        errors.push('Page references cannot be empty');
-    }
-    let pageReferences = [];
-    if (pageReferencesInput) {
-        const parts = pageReferencesInput.split(',').map(part => part.trim());
-        for (let i = 0; i < parts.length; i++) {
-            const pageNum = parseInt(parts[i], 10);
-            if (isNaN(pageNum) || pageNum < 0) {
-                errors.push(`Invalid page reference "${parts[i]}" at position ${i + 1}`);
-                break;
+function drawAggregatedFrames(algorithm, animationState) {
+    clearCanvas();
+    const frames = algorithm.getCurrentState().frames;
+    const currentStep = animationState.currentStep || 0;
+    const stepData = algorithm.getLastStepResult && currentStep === algorithm.currentStep
+        ? algorithm.getLastStepResult()
+        : null;
+    const margin = 30;
+    const titleHeight = 60;
+    const statsHeight = 90;
+    const columns = Math.min(64, frames.length);
+    const maxRows = 8;
+    const framesPerCell = Math.max(1, Math.ceil(frames.length / (columns * maxRows)));
+    const cellCount = Math.ceil(frames.length / framesPerCell);
+    const rows = Math.ceil(cellCount / columns);
+    const cellGap = 2;
+    const cellWidth = (canvasWidth - 2 * margin - (columns - 1) * cellGap) / columns;
+    const cellHeight = Math.min(30, (canvasHeight - titleHeight - statsHeight - (rows - 1) * cellGap) / rows);
+    const gridHeight = rows * cellHeight + (rows - 1) * cellGap;
+    const cellLabel = framesPerCell === 1 ? 'one frame per cell' : `${framesPerCell} frames per cell`;
+    drawText(`Memory Frames (${algorithm.algorithmName || 'FIFO'} Order) - ${frames.length} frames, ${cellLabel}`,
+        canvasWidth / 2, 30, '#2c3e50', '22px Arial');
+
+    const loadedColors = getFrameColors('default');
+    const emptyColors = getFrameColors('empty');
+    const oldestFrameIndex = algorithm.getOldestFrameIndex ? algorithm.getOldestFrameIndex() : -1;
+    const hitFrameIndex = stepData && stepData.isHit && algorithm.getFrameIndexOfPage
+        ? algorithm.getFrameIndexOfPage(stepData.pageNumber)
+        : -1;
+    let loadedCount = 0;
+    for (let cellIndex = 0; cellIndex < cellCount; cellIndex++) {
+        const firstFrame = cellIndex * framesPerCell;
+        const lastFrame = Math.min(frames.length, firstFrame + framesPerCell) - 1;
+        let cellLoaded = 0;
+        for (let frameIndex = firstFrame; frameIndex <= lastFrame; frameIndex++) {
+            if (frames[frameIndex] !== null) {
+                cellLoaded++;
             }
-            pageReferences.push(pageNum);
         }
-        if (pageReferences.length === 0 && errors.length === 0) {
-            errors.push('At least one page reference is required');
+        loadedCount += cellLoaded;
+        const containsFrame = frameIndex => frameIndex >= firstFrame && frameIndex <= lastFrame;
+        let colors = cellLoaded === 0 ? emptyColors : loadedColors;
+        if (stepData && !stepData.isHit && containsFrame(stepData.replacedFrameIndex)) {
+            colors = getFrameColors('replacement');
+        } else if (containsFrame(hitFrameIndex)) {
+            colors = getFrameColors('hit');
+        } else if (stepData && !stepData.isHit && stepData.replacedFrameIndex === null &&
+            containsFrame(algorithm.getFrameIndexOfPage ? algorithm.getFrameIndexOfPage(stepData.pageNumber) : -1)) {
+            colors = getFrameColors('miss');
+        } else if (containsFrame(oldestFrameIndex)) {
+            colors = getFrameColors('oldest');
         }
-        if (pageReferences.length > 50) {
-            errors.push('Maximum 50 page references allowed');
+        const x = margin + (cellIndex % columns) * (cellWidth + cellGap);
+        const y = titleHeight + Math.floor(cellIndex / columns) * (cellHeight + cellGap);
+        drawRectangle(x, y, cellWidth, cellHeight, colors.fill, colors.stroke);
+        if (cellLoaded > 0 && cellLoaded < lastFrame - firstFrame + 1) {
+            const fillHeight = cellHeight * (1 - cellLoaded / (lastFrame - firstFrame + 1));
+            drawRectangle(x, y, cellWidth, fillHeight, emptyColors.fill, null);
         }
     }
-    return {
-        isValid: errors.length === 0,
-        errors: errors,
-        frameCount: frameCount,
-        pageReferences: pageReferences
-    };
-}
 
-function displayError(message) {
-    const errorDisplay = document.getElementById('error-display');
-    if (errorDisplay) {
-        errorDisplay.textContent = message;
-        errorDisplay.style.display = 'block';
-        setTimeout(() => {
-            errorDisplay.style.display = 'none';
-        }, 5000);
+    const statsY = titleHeight + gridHeight + 30;
+    const state = algorithm.getCurrentState();
+    drawText(`Step ${currentStep} / ${state.totalSteps}   Loaded frames: ${loadedCount} / ${frames.length}   ` +
+        `Faults: ${state.faultCount}   Fault rate: ${state.faultRate}%`, canvasWidth / 2, statsY, '#2c3e50', '18px Arial');
+    let stepSummary = 'Not started';
+    if (stepData) {
+        if (stepData.isHit) {
+            stepSummary = `Page ${stepData.pageNumber}: hit in frame ${hitFrameIndex}`;
+        } else if (stepData.replacedFrameIndex !== null) {
+            stepSummary = `Page ${stepData.pageNumber}: fault, evicted page ${stepData.replacedPage} from frame ${stepData.replacedFrameIndex}`;
+        } else {
+            stepSummary = `Page ${stepData.pageNumber}: fault, loaded into an empty frame`;
+        }
     }
+    drawText(stepSummary, canvasWidth / 2, statsY + 30, '#6c757d', '16px Arial');
 }
 
-function hideError() {
-    const errorDisplay = document.getElementById('error-display');
-    if (errorDisplay) {
-        errorDisplay.style.display = 'none';
-    }
+function getTransitionDuration(maxDuration) {
+    return window.currentAnimationEngine
+        ? Math.min(maxDuration, window.currentAnimationEngine.speed * 0.6)
+        : Math.min(maxDuration, 300);
 }
 
-function showLoadingState(message) {
-    const initializeBtn = document.getElementById('initialize-btn');
-    if (initializeBtn) {
-        initializeBtn.disabled = true;
-        initializeBtn.textContent = message;
+function requestTransitionFrame() {
+    if (transitionFrameRequested) {
+        return;
     }
+    transitionFrameRequested = true;
+    const requestFrame = window.requestAnimationFrame
+        ? window.requestAnimationFrame.bind(window)
+        : callback => setTimeout(() => callback(performance.now()), 16);
+    requestFrame(timestamp => {
+        transitionFrameRequested = false;
+        Performance.recordFrame(timestamp);
+        const startTime = Performance.startMeasure('transition');
+        renderCurrentAnimationState();
+        Performance.endMeasure('transition', startTime);
+    });
 }
 
-function hideLoadingState() {
-    const initializeBtn = document.getElementById('initialize-btn');
-    if (initializeBtn) {
-        initializeBtn.disabled = false;
-        initializeBtn.textContent = 'Initialize Simulation';
+function getQueueStripProgress(currentStep, previousOrder, queueOrder) {
+    const now = performance.now();
+    if (!queueStripTransition || queueStripTransition.step !== currentStep) {
+        const isSingleStepForward = queueStripTransition && currentStep === queueStripTransition.step + 1;
+        queueStripTransition = {
+            step: currentStep,
+            fromOrder: isSingleStepForward && previousOrder ? [...previousOrder] : [...queueOrder],
+            startTime: now,
+            duration: isSingleStepForward ? getTransitionDuration(450) : 0
+        };
+        if (queueStripTransition.duration > 0) {
+            Performance.resetFrameClock();
+        }
+    }
+    const progress = queueStripTransition.duration > 0
+        ? Math.min(1, (now - queueStripTransition.startTime) / queueStripTransition.duration)
+        : 1;
+    if (progress < 1) {
+        requestTransitionFrame();
     }
+    return { fromOrder: queueStripTransition.fromOrder, progress };
 }
 
-function initializeSimulation(event) {
-    event.preventDefault();
-    hideError();
-    const frameCountInput = document.getElementById('frame-count').value;
-    const pageReferencesInput = document.getElementById('page-references').value;
-    const validationResult = validateInputs(frameCountInput, pageReferencesInput);
-    if (!validationResult.isValid) {
-        displayError(validationResult.errors.join('. '));
-        return;
-    }
-    showLoadingState('Initializing simulation...');
-    try {
-        if (!canvas) {
-            throw new Error('Canvas not initialized');
+function getFrameTween(currentStep, totalSteps, currentStepData, frameIndex, pageLabel, evictedLabel) {
+    const now = performance.now();
+    if (!frameTween || frameTween.step !== currentStep) {
+        const isSingleStepForward = frameTween && currentStep === frameTween.step + 1 && currentStepData && frameIndex !== -1;
+        let type = null;
+        if (currentStepData) {
+            type = currentStepData.isHit ? 'hit' : (evictedLabel !== null ? 'replace' : 'load');
+        }
+        frameTween = {
+            step: currentStep,
+            type,
+            frameIndex,
+            pageLabel,
+            evictedLabel,
+            originX: totalSteps > 0 ? ((currentStep - 0.5) / totalSteps) * canvasWidth : canvasWidth / 2,
+            startTime: now,
+            duration: isSingleStepForward ? getTransitionDuration(600) : 0
+        };
+        if (frameTween.duration > 0) {
+            Performance.resetFrameClock();
         }
-        const fifoAlgorithm = new FIFOAlgorithm(
-            validationResult.frameCount,
-            validationResult.pageReferences
-        );
-        const animationEngine = new AnimationEngine(null, fifoAlgorithm);
-        window.currentFIFOAlgorithm = fifoAlgorithm;
-        window.currentAnimationEngine = animationEngine;
-        enableAnimationControls();
-        updateAnimationControlStates();
-        updateExportButtonStates(true, false);
-        renderCurrentAnimationState();
-        updateSimulationInfo();
-        showSuccessMessage();
-    } catch (error) {
-        displayError(`Initialization failed: ${error.message}`);
-    } finally {
-        hideLoadingState();
     }
+    const progress = frameTween.duration > 0
+        ? Math.min(1, (now - frameTween.startTime) / frameTween.duration)
+        : 1;
+    if (progress >= 1) {
+        return null;
+    }
+    requestTransitionFrame();
+    return { ...frameTween, progress };
 }
 
-function updateSimulationInfo() {
-    if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+function drawFrameTween(tween) {
+    if (!tween || !tween.rect) {
         return;
     }
-    const algorithmState = window.currentFIFOAlgorithm.getCurrentState();
-    const animationState = window.currentAnimationEngine.getCurrentState();
-    const currentPageElement = document.getElementById('current-page');
-    const stepCounterElement = document.getElementById('step-counter');
-    const faultCountElement = document.getElementById('fault-count');
-    const faultRateElement = document.getElementById('fault-rate');
-    if (currentPageElement) {
-        const currentPage = animationState.currentStep > 0 && animationState.currentStep <= window.currentFIFOAlgorithm.pageReferences.length
-            ? window.currentFIFOAlgorithm.pageReferences[animationState.currentStep - 1]
-            : '-';
-        currentPageElement.textContent = currentPage;
-    }
-    if (stepCounterElement) {
-        stepCounterElement.textContent = `${animationState.currentStep} / ${algorithmState.totalSteps}`;
-    }
-    if (faultCountElement) {
-        faultCountElement.textContent = algorithmState.faultCount;
+    const { x, y, width, height } = tween.rect;
+    const easedProgress = 1 - Math.pow(1 - tween.progress, 3);
+    const fontSize = Math.min(24, width / 4);
+    if (tween.type === 'hit') {
+        const colors = getFrameColors('hit');
+        const spread = 14 * easedProgress;
+        ctx.save();
+        ctx.globalAlpha = 1 - easedProgress;
+        ctx.lineWidth = 3;
+        drawRoundedRectangle(x - spread, y - spread, width + spread * 2, height + spread * 2, 6 + spread / 2, null, colors.stroke);
+        ctx.restore();
+        return;
     }
-    if (faultRateElement) {
-        faultRateElement.textContent = `${algorithmState.faultRate}%`;
+    if (tween.type === 'replace') {
+        const colors = getFrameColors('replacement');
+        ctx.save();
+        ctx.globalAlpha = 1 - easedProgress;
+        drawText(tween.evictedLabel, x + width / 2, y + height / 2 - easedProgress * height, colors.fill, `bold ${fontSize}px Arial`);
+        ctx.restore();
     }
-
+    const colors = getFrameColors(tween.type === 'replace' ? 'replacement' : 'miss');
+    const boxSize = Math.min(48, width - 8);
+    const targetX = x + width / 2;
+    const targetY = y + height / 2;
+    const pageX = tween.originX + (targetX - tween.originX) * easedProgress;
+    const pageY = canvasHeight + (targetY - canvasHeight) * easedProgress;
+    drawRoundedRectangle(pageX - boxSize / 2, pageY - boxSize / 2, boxSize, boxSize, 6, colors.fill, colors.stroke);
+    drawText(tween.pageLabel, pageX, pageY, colors.text, `bold ${Math.min(fontSize, boxSize / 2)}px Arial`);
 }
 
-function updateOperationExplanation() {
-    if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+function drawQueueStrip(queueOrder, transition, algorithmName, stripY) {
+    const boxSize = 44;
+    const spacing = 56;
+    const maxSlots = Math.max(queueOrder.length, transition.fromOrder.length, 1);
+    const stripWidth = (maxSlots - 1) * spacing + boxSize;
+    const startX = (canvasWidth - stripWidth) / 2;
+    const slotX = position => startX + position * spacing;
+    const easedProgress = 1 - Math.pow(1 - transition.progress, 3);
+    const title = algorithmName === 'FIFO' ? 'FIFO Queue' : `${algorithmName} Eviction Order`;
+    drawText(title, canvasWidth / 2, stripY - 22, '#2c3e50', 'bold 16px Arial');
+    if (queueOrder.length === 0 && transition.fromOrder.length === 0) {
+        drawText('(empty)', canvasWidth / 2, stripY + boxSize / 2, '#6c757d', '14px Arial');
         return;
     }
-    const animationState = window.currentAnimationEngine.getCurrentState();
-    const stepHistory = window.currentFIFOAlgorithm.getStepHistory();
-    const explanationElement = document.getElementById('operation-explanation');
-    const operationTypeElement = document.getElementById('operation-type');
-    const modifiedFrameElement = document.getElementById('modified-frame');
-    const previousValueElement = document.getElementById('previous-value');
-    if (animationState.currentStep === 0) {
-        if (explanationElement) {
+    drawText('next victim', startX - 60, stripY + boxSize / 2, '#fd7e14', 'bold 14px Arial');
+    drawText('most recent', startX + stripWidth + 60, stripY + boxSize / 2, '#3498db', 'bold 14px Arial');
+
+    transition.fromOrder.forEach((page, previousIndex) => {
+        if (!queueOrder.includes(page)) {
+            const x = slotX(previousIndex) - easedProgress * spacing;
+            ctx.save();
+            ctx.globalAlpha = 1 - easedProgress;
+            const colors = getFrameColors('replacement');
+            drawRoundedRectangle(x, stripY, boxSize, boxSize, 6, colors.fill, colors.stroke);
+            drawText(`${page}`, x + boxSize / 2, stripY + boxSize / 2, colors.text, 'bold 18px Arial');
+            ctx.restore();
+        }
+    });
+
+    queueOrder.forEach((page, index) => {
+        const previousIndex = transition.fromOrder.indexOf(page);
+        const isEnqueued = previousIndex === -1;
+        const fromPosition = isEnqueued ? index + 1 : previousIndex;
+        const x = slotX(fromPosition + (index - fromPosition) * easedProgress);
+        let colorState = 'default';
+        if (index === 0) {
+            colorState = 'oldest';
+        } else if (isEnqueued) {
+            colorState = 'miss';
+        }
+        const colors = getFrameColors(colorState);
+        ctx.save();
+        ctx.globalAlpha = isEnqueued ? easedProgress : 1;
+        drawRoundedRectangle(x, stripY, boxSize, boxSize, 6, colors.fill, colors.stroke);
+        drawText(`${page}`, x + boxSize / 2, stripY + boxSize / 2, colors.text, 'bold 18px Arial');
+        ctx.restore();
+        if (index < queueOrder.length - 1) {
+            drawText('→', x + boxSize + (spacing - boxSize) / 2, stripY + boxSize / 2, '#adb5bd', '14px Arial');
+        }
+    });
+}
+
+function drawBeladyChart(analysis, metric = 'faults') {
+    clearCanvas();
+    const points = analysis.points;
+    const showAccessTime = metric === 'eat';
+    const valueOf = point => (showAccessTime ? point.effectiveAccessTimeNs : point.faultCount);
+    const formatValue = value => (showAccessTime ? formatAccessTime(value) : `${value}`);
+    const chartLeft = 90;
+    const chartRight = canvasWidth - 60;
+    const chartTop = 70;
+    const chartBottom = canvasHeight - 60;
+    const maxValue = Math.max(...points.map(valueOf), 1);
+    const xFor = frameCount => points.length === 1
+        ? (chartLeft + chartRight) / 2
+        : chartLeft + ((frameCount - 1) / (points.length - 1)) * (chartRight - chartLeft);
+    const yFor = value => chartBottom - (value / maxValue) * (chartBottom - chartTop);
+    const anomalyFrameCounts = new Set(analysis.anomalies.map(anomaly => anomaly.frameCount));
+    const chartName = showAccessTime ? 'Effective Access Time vs. Frame Count' : 'Page Faults vs. Frame Count';
+    const title = analysis.hasAnomaly ? `${chartName} - Belady's Anomaly Detected` : chartName;
+    drawText(title, canvasWidth / 2, 30, analysis.hasAnomaly ? '#c0392b' : '#2c3e50', '22px Arial');
+
+    ctx.save();
+    ctx.strokeStyle = '#6c757d';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(chartLeft, chartTop);
+    ctx.lineTo(chartLeft, chartBottom);
+    ctx.lineTo(chartRight, chartBottom);
+    ctx.stroke();
+    ctx.restore();
+    drawText('Frames', (chartLeft + chartRight) / 2, canvasHeight - 20, '#6c757d', '14px Arial');
+    drawText(showAccessTime ? 'EAT' : 'Faults', 40, (chartTop + chartBottom) / 2, '#6c757d', '14px Arial');
+    drawText(formatValue(maxValue), chartLeft - 20, chartTop - 16, '#6c757d', '12px Arial');
+    drawText('0', chartLeft - 20, chartBottom, '#6c757d', '12px Arial');
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    for (let i = 1; i < points.length; i++) {
+        ctx.strokeStyle = anomalyFrameCounts.has(points[i].frameCount) ? '#e74c3c' : '#3498db';
+        ctx.beginPath();
+        ctx.moveTo(xFor(points[i - 1].frameCount), yFor(valueOf(points[i - 1])));
+        ctx.lineTo(xFor(points[i].frameCount), yFor(valueOf(points[i])));
+        ctx.stroke();
+    }
+    ctx.restore();
+
+    points.forEach(point => {
+        const x = xFor(point.frameCount);
+        const y = yFor(valueOf(point));
+        const isAnomaly = anomalyFrameCounts.has(point.frameCount);
+        const colors = getFrameColors(isAnomaly ? 'miss' : 'default');
+        const radius = isAnomaly ? 8 : 6;
+        drawRoundedRectangle(x - radius, y - radius, radius * 2, radius * 2, radius, colors.fill, colors.stroke);
+        drawText(formatValue(valueOf(point)), x, y - 20, isAnomaly ? '#c0392b' : '#2c3e50', '14px Arial');
+        drawText(`${point.frameCount}`, x, chartBottom + 18, '#6c757d', '12px Arial');
+    });
+}
+
+function bucketWorkingSetPoints(points, bucketCount) {
+    const bucketSize = Math.max(1, Math.ceil(points.length / bucketCount));
+    const buckets = [];
+    for (let start = 0; start < points.length; start += bucketSize) {
+        const bucketPoints = points.slice(start, start + bucketSize);
+        buckets.push({
+            startStep: bucketPoints[0].step,
+            endStep: bucketPoints[bucketPoints.length - 1].step,
+            workingSetSize: Math.max(...bucketPoints.map(point => point.workingSetSize)),
+            windowFaultCount: Math.max(...bucketPoints.map(point => point.windowFaultCount)),
+            hasFault: bucketPoints.some(point => point.isFault),
+            isThrashing: bucketPoints.some(point => point.isThrashing)
+        });
+    }
+    return buckets;
+}
+
+function drawWorkingSetChart(analysis) {
+    clearCanvas();
+    const chartLeft = 90;
+    const chartRight = canvasWidth - 60;
+    const chartTop = 90;
+    const chartBottom = canvasHeight - 110;
+    const stripTop = canvasHeight - 85;
+    const stripHeight = 20;
+    const buckets = analysis.buckets || bucketWorkingSetPoints(analysis.points, chartRight - chartLeft);
+    const columnWidth = (chartRight - chartLeft) / buckets.length;
+    const maxValue = Math.max(analysis.maxWorkingSetSize, analysis.frameCount,
+        ...buckets.map(bucket => bucket.windowFaultCount), 1) + 1;
+    const xFor = index => chartLeft + (index + 0.5) * columnWidth;
+    const yFor = value => chartBottom - (value / maxValue) * (chartBottom - chartTop);
+    const hasThrashing = analysis.thrashingRanges.length > 0;
+    const title = `Working Set W(t, ${analysis.windowSize}) vs. ${analysis.algorithmName} Faults`;
+    drawText(hasThrashing ? `${title} - Thrashing Detected` : title, canvasWidth / 2, 30,
+        hasThrashing ? '#c0392b' : '#2c3e50', '22px Arial');
+    drawText('— Working-set size', canvasWidth / 2 - 220, 60, '#3498db', '13px Arial');
+    drawText('— Faults in window', canvasWidth / 2 - 50, 60, '#f39c12', '13px Arial');
+    drawText(`- - ${analysis.frameCount} frames`, canvasWidth / 2 + 100, 60, '#e74c3c', '13px Arial');
+    drawText('■ Thrashing', canvasWidth / 2 + 220, 60, '#f5b7b1', '13px Arial');
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(231, 76, 60, 0.15)';
+    buckets.forEach((bucket, index) => {
+        if (bucket.isThrashing) {
+            ctx.fillRect(chartLeft + index * columnWidth, chartTop, columnWidth, chartBottom - chartTop);
+        }
+    });
+    ctx.restore();
+
+    ctx.save();
+    ctx.strokeStyle = '#6c757d';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(chartLeft, chartTop);
+    ctx.lineTo(chartLeft, chartBottom);
+    ctx.lineTo(chartRight, chartBottom);
+    ctx.stroke();
+    ctx.strokeStyle = '#e74c3c';
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(chartLeft, yFor(analysis.frameCount));
+    ctx.lineTo(chartRight, yFor(analysis.frameCount));
+    ctx.stroke();
+    ctx.restore();
+    drawText('Pages', 40, (chartTop + chartBottom) / 2, '#6c757d', '14px Arial');
+    drawText(`${maxValue}`, chartLeft - 20, chartTop, '#6c757d', '12px Arial');
+    drawText('0', chartLeft - 20, chartBottom, '#6c757d', '12px Arial');
+
+    [['workingSetSize', '#3498db'], ['windowFaultCount', '#f39c12']].forEach(([field, color]) => {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        buckets.forEach((bucket, index) => {
+            if (index === 0) {
+                ctx.moveTo(xFor(index), yFor(bucket[field]));
+            } else {
+                ctx.lineTo(xFor(index), yFor(bucket[field]));
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    });
+
+    drawText('Faults', 40, stripTop + stripHeight / 2, '#6c757d', '14px Arial');
+    buckets.forEach((bucket, index) => {
+        const colors = getFrameColors(bucket.hasFault ? 'miss' : 'hit');
+        ctx.save();
+        ctx.fillStyle = colors.fill;
+        ctx.fillRect(chartLeft + index * columnWidth, stripTop, Math.max(columnWidth - 1, 1), stripHeight);
+        ctx.restore();
+    });
+    const labelEvery = Math.max(1, Math.ceil(buckets.length / 20));
+    buckets.forEach((bucket, index) => {
+        if (index % labelEvery === 0 || index === buckets.length - 1) {
+            drawText(`${bucket.endStep}`, xFor(index), stripTop + stripHeight + 16, '#6c757d', '12px Arial');
+        }
+    });
+    drawText('Step', (chartLeft + chartRight) / 2, canvasHeight - 20, '#6c757d', '14px Arial');
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    if (link.download === undefined) {
+        return false;
+    }
+    link.setAttribute('href', URL.createObjectURL(blob));
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    return true;
+}
+
+function exportCanvasScreenshot(filename = 'fifo-simulation.png') {
+    try {
+        if (!canvas) {
+            throw new Error('Canvas not available for export');
+        }
+        const dataURL = canvas.toDataURL('image/png');
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = dataURL;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        showAnimationStatus('Screenshot exported successfully!', 'success');
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to export screenshot: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function withRenderingContext(renderingContext, draw) {
+    const previousContext = ctx;
+    ctx = renderingContext;
+    try {
+        setupCanvasDefaults();
+        return draw();
+    } finally {
+        ctx = previousContext;
+    }
+}
+
+function settleTransitions(currentStep) {
+    frameTween = frameTween && frameTween.step === currentStep ? { ...frameTween, duration: 0 } : null;
+    queueStripTransition = queueStripTransition && queueStripTransition.step === currentStep
+        ? { ...queueStripTransition, duration: 0 }
+        : null;
+}
+
+function withOffscreenRendering(renderingContext, currentStep, draw) {
+    const savedState = { frameTween, queueStripTransition, historyGridScrollColumn, historyGridLastStep };
+    try {
+        settleTransitions(currentStep);
+        return withRenderingContext(renderingContext, draw);
+    } finally {
+        frameTween = savedState.frameTween;
+        queueStripTransition = savedState.queueStripTransition;
+        historyGridScrollColumn = savedState.historyGridScrollColumn;
+        historyGridLastStep = savedState.historyGridLastStep;
+    }
+}
+
+function buildVisualizationSVG(algorithm, animationState) {
+    if (!algorithm || !animationState) {
+        throw new Error('No simulation to export');
+    }
+    const includeHistoryGrid = !Array.isArray(algorithm.algorithms) && algorithm.historyMode !== 'summary' &&
+        algorithm.frameCount <= AGGREGATED_FRAME_THRESHOLD;
+    const svgContext = new SVGRenderingContext(canvasWidth, includeHistoryGrid ? canvasHeight * 2 : canvasHeight);
+    const previousMode = visualizationMode;
+    try {
+        withOffscreenRendering(svgContext, animationState.currentStep || 0, () => {
+            visualizationMode = 'frames';
+            renderFIFOState(algorithm, animationState);
+            if (includeHistoryGrid) {
+                svgContext.translate(0, canvasHeight);
+                visualizationMode = 'grid';
+                renderFIFOState(algorithm, animationState);
+            }
+        });
+    } finally {
+        visualizationMode = previousMode;
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${svgContext.toSVG()}`;
+}
+
+function exportVisualizationSVG(filename = 'fifo-simulation.svg') {
+    try {
+        if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+            throw new Error('No simulation to export');
+        }
+        const svgContent = buildVisualizationSVG(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState());
+        const blob = new Blob([svgContent], { type: 'image/svg+xml;charset=utf-8;' });
+        if (!downloadBlob(blob, filename)) {
+            throw new Error('File downloads are not supported in this browser');
+        }
+        showAnimationStatus('SVG exported successfully!', 'success');
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to export SVG: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function printVisualizationPDF() {
+    try {
+        if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+            throw new Error('No simulation to export');
+        }
+        const svgContent = buildVisualizationSVG(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState())
+            .replace(/^<\?xml[^>]*>\n/, '');
+        const printFrame = document.createElement('iframe');
+        printFrame.setAttribute('aria-hidden', 'true');
+        printFrame.style.position = 'fixed';
+        printFrame.style.width = '0';
+        printFrame.style.height = '0';
+        printFrame.style.border = '0';
+        document.body.appendChild(printFrame);
+        const frameWindow = printFrame.contentWindow;
+        frameWindow.document.open();
+        frameWindow.document.write('<!DOCTYPE html><html><head><title>FIFO Simulation</title><style>' +
+            '@page { size: landscape; margin: 10mm; } body { margin: 0; } svg { width: 100%; height: auto; }' +
+            `</style></head><body>${svgContent}</body></html>`);
+        frameWindow.document.close();
+        frameWindow.addEventListener('afterprint', () => {
+            if (printFrame.parentNode) {
+                printFrame.parentNode.removeChild(printFrame);
+            }
+        });
+        frameWindow.focus();
+        frameWindow.print();
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to print visualization: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function getRecordingDelay() {
+    const speedSlider = document.getElementById('speed-slider');
+    const speed = speedSlider ? parseInt(speedSlider.value, 10) : NaN;
+    if (speed > 0) {
+        return speed;
+    }
+    return window.currentAnimationEngine ? window.currentAnimationEngine.speed : 1000;
+}
+
+function createRecordingEngine() {
+    if (!createSimulationAlgorithm || !window.currentAnimationEngine) {
+        throw new Error('Initialize a simulation before recording');
+    }
+    const engine = new AnimationEngine(null, createSimulationAlgorithm());
+    if (engine.totalSteps > RECORDING_MAX_STEPS) {
+        throw new Error(`Recording is limited to ${RECORDING_MAX_STEPS} steps`);
+    }
+    engine.setSpeed(getRecordingDelay());
+    return engine;
+}
+
+function waitForDelay(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+function drawRecordingFrame(renderingContext, algorithm, animationState) {
+    withOffscreenRendering(renderingContext, animationState.currentStep, () => {
+        renderFIFOState(algorithm, animationState);
+    });
+}
+
+function captureRecordingFrames(engine, renderingContext, onFrame) {
+    const recordingRenderer = engine.addRenderer(new CanvasRenderer(renderingContext, drawRecordingFrame));
+    const captureStep = () => Promise.resolve(onFrame(engine.currentStep)).then(() => {
+        if (engine.currentStep >= engine.totalSteps) {
+            return engine.currentStep;
+        }
+        engine.stepForward();
+        return captureStep();
+    });
+    const detachRenderer = () => engine.removeRenderer(recordingRenderer);
+    engine.render();
+    return captureStep().then(step => {
+        detachRenderer();
+        return step;
+    }, error => {
+        detachRenderer();
+        throw error;
+    });
+}
+
+function recordSimulationGIF(engine, recordingCanvas, renderingContext) {
+    const encoder = new GIFEncoder(recordingCanvas.width, recordingCanvas.height);
+    return captureRecordingFrames(engine, renderingContext, step => {
+        encoder.addFrame(renderingContext.getImageData(0, 0, recordingCanvas.width, recordingCanvas.height).data, engine.speed);
+        showAnimationStatus(`Recording step ${step} of ${engine.totalSteps}...`, 'info');
+        return waitForDelay(0);
+    }).then(() => new Blob([encoder.finish()], { type: 'image/gif' }));
+}
+
+function recordSimulationWebM(engine, recordingCanvas, renderingContext) {
+    if (typeof MediaRecorder === 'undefined' || typeof recordingCanvas.captureStream !== 'function') {
+        return Promise.reject(new Error('WebM recording is not supported in this browser'));
+    }
+    const stream = recordingCanvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = event => {
+        if (event.data && event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    };
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+    const stopTracks = () => stream.getTracks().forEach(streamTrack => streamTrack.stop());
+    recorder.start();
+    return captureRecordingFrames(engine, renderingContext, step => {
+        if (typeof track.requestFrame === 'function') {
+            track.requestFrame();
+        }
+        showAnimationStatus(`Recording step ${step} of ${engine.totalSteps}...`, 'info');
+        return waitForDelay(engine.speed);
+    }).then(() => {
+        recorder.stop();
+        return stopped;
+    }, error => {
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+        stopTracks();
+        throw error;
+    }).then(() => {
+        stopTracks();
+        return new Blob(chunks, { type: 'video/webm' });
+    });
+}
+
+function updateRecordButtonState() {
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) {
+        recordBtn.disabled = recordingInProgress || !window.currentAnimationEngine;
+        recordBtn.textContent = recordingInProgress ? 'Recording...' : 'Record Run';
+    }
+}
+
+function recordSimulation(format = 'gif') {
+    if (recordingInProgress) {
+        return Promise.resolve(false);
+    }
+    let engine;
+    let recordingCanvas;
+    let renderingContext;
+    try {
+        engine = createRecordingEngine();
+        recordingCanvas = document.createElement('canvas');
+        recordingCanvas.width = canvasWidth;
+        recordingCanvas.height = canvasHeight;
+        renderingContext = recordingCanvas.getContext('2d');
+        if (!renderingContext) {
+            throw new Error('Canvas 2D context not supported in this browser');
+        }
+    } catch (error) {
+        showAnimationStatus(`Failed to record simulation: ${error.message}`, 'error');
+        return Promise.resolve(false);
+    }
+    const isWebM = format === 'webm';
+    recordingInProgress = true;
+    updateRecordButtonState();
+    const recording = isWebM
+        ? recordSimulationWebM(engine, recordingCanvas, renderingContext)
+        : recordSimulationGIF(engine, recordingCanvas, renderingContext);
+    return recording.then(blob => {
+        if (!downloadBlob(blob, `fifo-simulation.${isWebM ? 'webm' : 'gif'}`)) {
+            throw new Error('File downloads are not supported in this browser');
+        }
+        showAnimationStatus('Recording exported successfully!', 'success');
+        return true;
+    }).catch(error => {
+        showAnimationStatus(`Failed to record simulation: ${error.message}`, 'error');
+        return false;
+    }).then(result => {
+        recordingInProgress = false;
+        updateRecordButtonState();
+        return result;
+    });
+}
+
+function generateExportableTrace(algorithm) {
+    if (algorithm && algorithm.historyMode === 'summary') {
+        throw new Error('Per-step traces are not kept for large traces');
+    }
+    const traceData = generateExecutionTrace(algorithm);
+    if (traceData.length === 0) {
+        throw new Error('No execution data available');
+    }
+    return traceData;
+}
+
+function exportExecutionTraceCSV(algorithm, filename = 'fifo-execution-trace.csv') {
+    try {
+        const traceData = generateExportableTrace(algorithm);
+        const csvContent = formatExecutionTraceCSV(traceData);
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        if (!downloadBlob(blob, filename)) {
+            throw new Error('File downloads are not supported in this browser');
+        }
+        showAnimationStatus('Execution trace exported successfully!', 'success');
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to export execution trace: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function exportExecutionTraceJSON(algorithm, filename = 'fifo-execution-trace.json') {
+    try {
+        const jsonContent = formatExecutionTraceJSON(algorithm, generateExportableTrace(algorithm), getAccessTimeModel());
+        const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+        if (!downloadBlob(blob, filename)) {
+            throw new Error('File downloads are not supported in this browser');
+        }
+        showAnimationStatus('Execution trace exported successfully!', 'success');
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to export execution trace: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function showExportTraceDialog(algorithm) {
+    const modal = document.createElement('div');
+    modal.className = 'export-modal';
+    modal.innerHTML = `
+        <div class="export-modal-content">
+            <h3>Export Execution Trace</h3>
+            <p>Choose the format for exporting the simulation trace:</p>
+            <div class="export-options">
+                <button id="export-csv" class="export-option-btn">
+                    <span class="export-icon">📊</span>
+                    <span class="export-label">CSV Format</span>
+                    <span class="export-desc">Spreadsheet compatible</span>
+                </button>
+                <button id="export-json" class="export-option-btn">
+                    <span class="export-icon">📄</span>
+                    <span class="export-label">JSON Format</span>
+                    <span class="export-desc">Structured data</span>
+                </button>
+            </div>
+            <button id="cancel-export" class="cancel-btn">Cancel</button>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    document.getElementById('export-csv').addEventListener('click', () => {
+        exportExecutionTraceCSV(algorithm);
+        document.body.removeChild(modal);
+    });
+    document.getElementById('export-json').addEventListener('click', () => {
+        exportExecutionTraceJSON(algorithm);
+        document.body.removeChild(modal);
+    });
+    document.getElementById('cancel-export').addEventListener('click', () => {
+        document.body.removeChild(modal);
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            document.body.removeChild(modal);
+        }
+    });
+}
+
+function displayError(message) {
+    const errorDisplay = document.getElementById('error-display');
+    if (errorDisplay) {
+        errorDisplay.textContent = message;
+        errorDisplay.style.display = 'block';
+        setTimeout(() => {
+            errorDisplay.style.display = 'none';
+        }, 5000);
+    }
+}
+
+function hideError() {
+    const errorDisplay = document.getElementById('error-display');
+    if (errorDisplay) {
+        errorDisplay.style.display = 'none';
+    }
+}
+
+function showLoadingState(message) {
+    const initializeBtn = document.getElementById('initialize-btn');
+    if (initializeBtn) {
+        initializeBtn.disabled = true;
+        initializeBtn.textContent = message;
+    }
+}
+
+function hideLoadingState() {
+    const initializeBtn = document.getElementById('initialize-btn');
+    if (initializeBtn) {
+        initializeBtn.disabled = false;
+        initializeBtn.textContent = 'Initialize Simulation';
+    }
+}
+
+function initializeSimulation(event) {
+    if (event) {
+        event.preventDefault();
+    }
+    hideError();
+    const frameCountInput = document.getElementById('frame-count').value;
+    const pageReferencesInput = document.getElementById('page-references').value;
+    const policySelect = document.getElementById('replacement-policy');
+    const policyId = policySelect ? policySelect.value : 'fifo';
+    const comparisonPolicies = getSelectedComparisonPolicies();
+    const largeTraceMode = isLargeTraceModeEnabled();
+    const validationResult = validateInputs(frameCountInput, pageReferencesInput, getInputLimits());
+    if (comparisonPolicies && comparisonPolicies.length < 2) {
+        validationResult.errors.push('Select at least two policies to compare');
+        validationResult.isValid = false;
+    }
+    if (comparisonPolicies && largeTraceMode) {
+        validationResult.errors.push('Policy comparison is not available in large trace mode');
+        validationResult.isValid = false;
+    }
+    if (validationResult.hasProcesses && (comparisonPolicies || policyId !== 'fifo')) {
+        validationResult.errors.push('Process-tagged references can only be simulated with FIFO');
+        validationResult.isValid = false;
+    }
+    if (!validationResult.isValid) {
+        displayError(validationResult.errors.join('. '));
+        return;
+    }
+    const allocationSelect = document.getElementById('allocation-policy');
+    const allocationPolicy = allocationSelect ? allocationSelect.value : 'global';
+    showLoadingState('Initializing simulation...');
+    try {
+        if (!canvas) {
+            throw new Error('Canvas not initialized');
+        }
+        const createAlgorithm = () => {
+            let created;
+            if (validationResult.hasProcesses) {
+                created = new MultiProcessFIFO(validationResult.frameCount, validationResult.pageReferences, validationResult.processIds);
+                created.setAllocationPolicy(allocationPolicy);
+            } else if (comparisonPolicies) {
+                created = new PolicyComparison(comparisonPolicies, validationResult.frameCount, validationResult.pageReferences);
+            } else {
+                created = createReplacementPolicy(policyId, validationResult.frameCount, validationResult.pageReferences);
+            }
+            if (largeTraceMode) {
+                created.setHistoryMode('summary');
+            }
+            if (validationResult.hasWrites) {
+                created.setAccessModes(validationResult.accessModes);
+            }
+            return created;
+        };
+        const algorithm = createAlgorithm();
+        const timelineSource = largeTraceMode
+            ? computeFaultBuckets(algorithm, AGGREGATED_TIMELINE_CELLS)
+            : computeFullRunHistory(algorithm);
+        algorithm.reset();
+        const animationEngine = new AnimationEngine(null, algorithm);
+        animationEngine.setAccessTimeModel(getAccessTimeModel());
+        const speedSlider = document.getElementById('speed-slider');
+        if (speedSlider) {
+            animationEngine.setSpeed(parseInt(speedSlider.value, 10));
+        }
+        if (window.currentAnimationEngine) {
+            window.currentAnimationEngine.dispose();
+        }
+        window.currentFIFOAlgorithm = algorithm;
+        window.currentAnimationEngine = animationEngine;
+        createSimulationAlgorithm = createAlgorithm;
+        attachPageRenderers(animationEngine);
+        applyBreakpointSettings();
+        applyPracticeMode();
+        if (largeTraceMode) {
+            buildAggregatedTimeline(timelineSource, validationResult.pageReferences.length);
+        } else {
+            buildTimeline(timelineSource);
+        }
+        enableAnimationControls();
+        updateExportButtonStates(true, false);
+        animationEngine.render();
+        showSuccessMessage();
+    } catch (error) {
+        displayError(`Initialization failed: ${error.message}`);
+    } finally {
+        hideLoadingState();
+    }
+}
+
+function drawSimulationState(renderingContext, algorithm, animationState) {
+    withRenderingContext(renderingContext, () => {
+        renderFIFOState(algorithm, animationState);
+    });
+}
+
+function updatePageView(animationState, event) {
+    if (event.type === 'pause' && event.breakpoint) {
+        showBreakpointStatus(event.breakpoint);
+    }
+    updateAnimationControlStates();
+    updateSimulationInfo();
+}
+
+function attachPageRenderers(engine) {
+    engine.addRenderer(new CanvasRenderer(ctx, drawSimulationState));
+    const frameStateTableBody = document.getElementById('frame-state-table-body');
+    if (frameStateTableBody) {
+        engine.addRenderer(new TableRenderer(frameStateTableBody, (algorithm, animationState) =>
+            buildFrameStateRows(algorithm, { hideNextVictim: animationState.practiceMode })));
+    }
+    engine.addRenderer({ render: updatePageView });
+}
+
+function computeFullRunHistory(algorithm) {
+    for (let i = 0; i < algorithm.pageReferences.length; i++) {
+        algorithm.processPageReference(i);
+    }
+    return algorithm.getStepHistory();
+}
+
+function computeFaultBuckets(algorithm, bucketCount) {
+    const totalSteps = algorithm.pageReferences.length;
+    const bucketSize = Math.max(1, Math.ceil(totalSteps / bucketCount));
+    const buckets = [];
+    for (let i = 0; i < totalSteps; i++) {
+        if (i % bucketSize === 0) {
+            buckets.push({ firstStep: i + 1, lastStep: Math.min(totalSteps, i + bucketSize), faultCount: 0 });
+        }
+        if (!algorithm.processPageReference(i).isHit) {
+            buckets[buckets.length - 1].faultCount++;
+        }
+    }
+    return buckets;
+}
+
+function isLargeTraceModeEnabled() {
+    const largeTraceToggle = document.getElementById('large-trace-mode');
+    return Boolean(largeTraceToggle && largeTraceToggle.checked);
+}
+
+function getInputLimits() {
+    return isLargeTraceModeEnabled() ? INPUT_LIMITS.large : INPUT_LIMITS.standard;
+}
+
+function updateInputLimitHints() {
+    const limits = getInputLimits();
+    const frameCountInput = document.getElementById('frame-count');
+    const frameCountHelp = document.getElementById('frame-count-help');
+    const pageReferencesHelp = document.getElementById('page-references-help');
+    if (frameCountInput) {
+        frameCountInput.max = limits.maxFrameCount;
+    }
+    if (frameCountHelp) {
+        frameCountHelp.textContent = `Enter a positive integer (1-${limits.maxFrameCount})`;
+    }
+    if (pageReferencesHelp) {
+        pageReferencesHelp.textContent = `Enter up to ${limits.maxReferenceCount.toLocaleString()} comma-separated integers; add w for writes (e.g., 5w) and a process prefix to share frames (e.g., A:3)`;
+    }
+}
+
+function getAccessTimeModel() {
+    const readNumber = (id, fallback) => {
+        const input = document.getElementById(id);
+        return input && input.value.trim() !== '' ? Number(input.value) : fallback;
+    };
+    return validateAccessTimeModel({
+        memoryAccessNs: readNumber('memory-access-time', DEFAULT_ACCESS_TIME_MODEL.memoryAccessNs),
+        pageFaultServiceMs: readNumber('fault-service-time', DEFAULT_ACCESS_TIME_MODEL.pageFaultServiceMs),
+        dirtyPagePenaltyMs: readNumber('dirty-page-penalty', DEFAULT_ACCESS_TIME_MODEL.dirtyPagePenaltyMs)
+    });
+}
+
+function applyAccessTimeModel() {
+    try {
+        const accessTimeModel = getAccessTimeModel();
+        hideError();
+        if (window.currentAnimationEngine) {
+            window.currentAnimationEngine.setAccessTimeModel(accessTimeModel);
+            updateSimulationInfo();
+        }
+    } catch (error) {
+        displayError(error.message);
+    }
+}
+
+function updateSimulationInfo() {
+    if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+        return;
+    }
+    const algorithmState = window.currentFIFOAlgorithm.getCurrentState();
+    const animationState = window.currentAnimationEngine.getCurrentState();
+    const currentPageElement = document.getElementById('current-page');
+    const stepCounterElement = document.getElementById('step-counter');
+    const faultCountElement = document.getElementById('fault-count');
+    const faultRateElement = document.getElementById('fault-rate');
+    const effectiveAccessTimeElement = document.getElementById('effective-access-time');
+    const writeBackCountElement = document.getElementById('write-back-count');
+    const ioCostElement = document.getElementById('io-cost');
+    if (currentPageElement) {
+        const currentPage = animationState.currentStep > 0 && animationState.currentStep <= window.currentFIFOAlgorithm.pageReferences.length
+            ? window.currentFIFOAlgorithm.pageReferences[animationState.currentStep - 1]
+            : '-';
+        currentPageElement.textContent = currentPage;
+    }
+    if (stepCounterElement) {
+        stepCounterElement.textContent = `${animationState.currentStep} / ${algorithmState.totalSteps}`;
+    }
+    if (faultCountElement) {
+        faultCountElement.textContent = algorithmState.faultCount;
+    }
+    if (faultRateElement) {
+        faultRateElement.textContent = `${algorithmState.faultRate}%`;
+    }
+    if (effectiveAccessTimeElement) {
+        effectiveAccessTimeElement.textContent = animationState.currentStep > 0 && animationState.effectiveAccessTime
+            ? formatAccessTime(animationState.effectiveAccessTime.effectiveAccessTimeNs)
+            : '-';
+    }
+    if (writeBackCountElement) {
+        writeBackCountElement.textContent = algorithmState.writeBackCount;
+    }
+    if (ioCostElement) {
+        ioCostElement.textContent = formatIOCost(estimateIOCost(algorithmState.faultCount, algorithmState.writeBackCount,
+            getIOCostModel(window.currentAnimationEngine.accessTimeModel || DEFAULT_ACCESS_TIME_MODEL)));
+    }
+    updateComparisonInfo(window.currentFIFOAlgorithm);
+    updateProcessInfo(algorithmState);
+    updateTimelinePosition(animationState.currentStep);
+    updateOperationExplanation();
+    announceStep();
+}
+
+function updateComparisonInfo(algorithm) {
+    const comparisonInfo = document.getElementById('comparison-info');
+    if (!comparisonInfo) {
+        return;
+    }
+    if (!algorithm || typeof algorithm.getComparisonSummary !== 'function') {
+        comparisonInfo.style.display = 'none';
+        return;
+    }
+    comparisonInfo.style.display = 'block';
+    const summary = algorithm.getComparisonSummary();
+    const divergenceElement = document.getElementById('comparison-divergence');
+    if (divergenceElement) {
+        divergenceElement.textContent = summary.divergenceStep !== null
+            ? `Step ${summary.divergenceStep} (page ${algorithm.pageReferences[summary.divergenceStep - 1]})`
+            : 'None yet';
+    }
+    const tableBody = document.getElementById('comparison-table-body');
+    if (!tableBody) {
+        return;
+    }
+    const fewestFaults = Math.min(...summary.algorithms.map(entry => entry.faultCount));
+    tableBody.innerHTML = '';
+    summary.algorithms.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        if (algorithm.currentStep > 0 && entry.faultCount === fewestFaults) {
+            row.className = 'best-policy';
+        }
+        let divergence = 'Baseline';
+        if (index > 0) {
+            divergence = entry.divergesFromBaselineAt !== null ? `Step ${entry.divergesFromBaselineAt}` : 'Not yet';
+        }
+        [entry.algorithmName, entry.faultCount, `${entry.faultRate}%`, divergence].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+}
+
+function updateProcessInfo(algorithmState) {
+    const processInfo = document.getElementById('process-info');
+    if (!processInfo) {
+        return;
+    }
+    if (!algorithmState || !algorithmState.processStats) {
+        processInfo.style.display = 'none';
+        return;
+    }
+    processInfo.style.display = 'block';
+    const allocationElement = document.getElementById('process-allocation');
+    if (allocationElement) {
+        allocationElement.textContent = ALLOCATION_POLICIES[algorithmState.allocationPolicy].name;
+    }
+    const tableBody = document.getElementById('process-table-body');
+    if (!tableBody) {
+        return;
+    }
+    tableBody.innerHTML = '';
+    algorithmState.processStats.forEach(stats => {
+        const row = document.createElement('tr');
+        const frames = stats.allocatedFrames !== null ? stats.allocatedFrames : `${stats.residentPages} (shared)`;
+        [stats.processId, frames, stats.references, stats.faultCount, `${stats.faultRate}%`].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+}
+
+function getSelectedComparisonPolicies() {
+    const comparisonMode = document.getElementById('comparison-mode');
+    if (!comparisonMode || !comparisonMode.checked) {
+        return null;
+    }
+    return Array.from(document.querySelectorAll('input[name="comparePolicy"]:checked'))
+        .map(checkbox => checkbox.value);
+}
+
+function getStepFrameIndex(stepResult, frames) {
+    if (stepResult.frameIndex !== undefined) {
+        return stepResult.frameIndex;
+    }
+    if (stepResult.replacedFrameIndex !== null && stepResult.replacedFrameIndex !== undefined) {
+        return stepResult.replacedFrameIndex;
+    }
+    return frames.indexOf(stepResult.pageNumber);
+}
+
+function describePageReference(stepResult) {
+    const page = stepResult.processId ? `process ${stepResult.processId} page ${stepResult.pageNumber}` : `page ${stepResult.pageNumber}`;
+    return stepResult.isWrite ? `${page} (write)` : page;
+}
+
+function describeStepOutcome(stepResult, frameIndex) {
+    if (stepResult.isHit) {
+        return `hit in frame ${frameIndex}`;
+    }
+    if (stepResult.replacedFrameIndex === null || stepResult.replacedFrameIndex === undefined) {
+        return `page fault, loaded into empty frame ${frameIndex}`;
+    }
+    const victim = stepResult.replacedProcessId
+        ? `process ${stepResult.replacedProcessId} page ${stepResult.replacedPage}`
+        : `page ${stepResult.replacedPage}`;
+    const outcome = `page fault, replaced ${victim} in frame ${stepResult.replacedFrameIndex}`;
+    return stepResult.writeBack ? `${outcome}, writing the dirty page back to disk` : outcome;
+}
+
+function buildStepAnnouncement(algorithm, currentStep) {
+    const totalSteps = algorithm.pageReferences.length;
+    const stepResult = algorithm.getLastStepResult();
+    if (currentStep === 0 || !stepResult) {
+        return `Simulation at step 0 of ${totalSteps}. No page references processed yet.`;
+    }
+    if (Array.isArray(stepResult.results)) {
+        const outcomes = stepResult.results.map((result, index) => {
+            const policy = algorithm.algorithms[index];
+            return `${policy.algorithmName}: ${describeStepOutcome(result, getStepFrameIndex(result, policy.frames))}`;
+        });
+        return `Step ${currentStep} of ${totalSteps}, ${describePageReference(stepResult)}. ${outcomes.join('; ')}.`;
+    }
+    const frames = algorithm.getCurrentState().frames;
+    const outcome = describeStepOutcome(stepResult, getStepFrameIndex(stepResult, frames));
+    return `Step ${currentStep} of ${totalSteps}, ${describePageReference(stepResult)}: ${outcome}. ` +
+        `${stepResult.faultCount} page fault${stepResult.faultCount === 1 ? '' : 's'} so far.`;
+}
+
+function announceStep() {
+    if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+        return;
+    }
+    const announcement = buildStepAnnouncement(window.currentFIFOAlgorithm, window.currentAnimationEngine.currentStep);
+    const announcer = document.getElementById('step-announcer');
+    if (!announcer || announcement === lastStepAnnouncement) {
+        return;
+    }
+    lastStepAnnouncement = announcement;
+    announcer.textContent = announcement;
+}
+
+function describeFrameStatus(frameIndex, stepResult, stepFrameIndex, oldestFrameIndex, dirtyBits) {
+    const status = [];
+    if (stepResult && frameIndex === stepFrameIndex) {
+        if (stepResult.isHit) {
+            status.push('Hit');
+        } else if (stepResult.replacedFrameIndex !== null && stepResult.replacedFrameIndex !== undefined) {
+            status.push(`Replaced page ${stepResult.replacedPage}`);
+        } else {
+            status.push('Loaded');
+        }
+    }
+    if (frameIndex === oldestFrameIndex) {
+        status.push('Next victim');
+    }
+    if (dirtyBits && dirtyBits[frameIndex]) {
+        status.push('Dirty');
+    }
+    return status.length > 0 ? status.join(', ') : '-';
+}
+
+function buildFrameStateRows(algorithm, options = {}) {
+    const stepResult = algorithm.getLastStepResult();
+    const policies = Array.isArray(algorithm.algorithms) ? algorithm.algorithms : [algorithm];
+    const rows = [];
+    policies.forEach((policy, policyIndex) => {
+        const state = policy.getCurrentState();
+        const policyStep = stepResult && Array.isArray(stepResult.results) ? stepResult.results[policyIndex] : stepResult;
+        const prefix = policies.length > 1 ? `${policy.algorithmName} frame` : 'Frame';
+        if (state.frames.length > AGGREGATED_FRAME_THRESHOLD) {
+            const occupied = state.frames.filter(frame => frame !== null).length;
+            rows.push([`${prefix}s 0-${state.frames.length - 1}`, `${occupied} of ${state.frames.length} occupied`,
+                policyStep ? describeStepOutcome(policyStep, getStepFrameIndex(policyStep, state.frames)) : '-']);
+            return;
+        }
+        const stepFrameIndex = policyStep ? getStepFrameIndex(policyStep, state.frames) : -1;
+        const oldestFrameIndex = !options.hideNextVictim && policy.getOldestFrameIndex ? policy.getOldestFrameIndex() : -1;
+        state.frames.forEach((frame, frameIndex) => {
+            let page = frame === null ? 'Empty' : `${frame}`;
+            if (frame !== null && state.frameOwners) {
+                page = `${state.frameOwners[frameIndex]}:${frame}`;
+            }
+            rows.push([`${prefix} ${frameIndex}`, page, describeFrameStatus(frameIndex, policyStep, stepFrameIndex,
+                oldestFrameIndex, policy.accessModes ? state.dirtyBits : null)]);
+        });
+    });
+    return rows;
+}
+
+function updateOperationExplanation() {
+    if (!window.currentFIFOAlgorithm || !window.currentAnimationEngine) {
+        return;
+    }
+    const animationState = window.currentAnimationEngine.getCurrentState();
+    const explanationElement = document.getElementById('operation-explanation');
+    const operationTypeElement = document.getElementById('operation-type');
+    const modifiedFrameElement = document.getElementById('modified-frame');
+    const previousValueElement = document.getElementById('previous-value');
+    const currentStepData = animationState.currentStep > 0 ? window.currentFIFOAlgorithm.getLastStepResult() : null;
+    if (!currentStepData) {
+        if (explanationElement) {
             explanationElement.textContent = "Simulation ready. Click 'Start' or 'Step Forward' to begin processing page references and see detailed explanations of each FIFO algorithm operation.";
             explanationElement.className = "explanation-text initial";
         }
-        if (operationTypeElement) operationTypeElement.textContent = '-';
-        if (modifiedFrameElement) modifiedFrameElement.textContent = '-';
-        if (previousValueElement) previousValueElement.textContent = '-';
+        if (operationTypeElement) {
+            operationTypeElement.textContent = '-';
+            operationTypeElement.className = 'operation-badge initial';
+        }
+        if (modifiedFrameElement) modifiedFrameElement.textContent = '-';
+        if (previousValueElement) previousValueElement.textContent = '-';
+        return;
+    }
+    const frameIndex = getStepFrameIndex(currentStepData, window.currentFIFOAlgorithm.getCurrentState().frames);
+    let explanation = '';
+    let operationType = '';
+    let operationClass = '';
+    let modifiedFrame = '-';
+    let previousValue = '-';
+    if (currentStepData.isHit) {
+        operationType = 'Page Hit';
+        operationClass = 'hit';
+        explanation = `Page ${currentStepData.pageNumber} was found in memory. No page fault occurred, and no frames were modified. This is the most efficient outcome as no disk I/O is required.`;
+        if (frameIndex !== -1) {
+            modifiedFrame = `Frame ${frameIndex}`;
+            previousValue = `${currentStepData.pageNumber} (unchanged)`;
+        }
+    } else if (currentStepData.replacedFrameIndex !== null) {
+        operationType = 'Page Replacement';
+        operationClass = 'replacement';
+        explanation = `Page ${currentStepData.pageNumber} was not in memory, causing a page fault. All frames were full, so page ${currentStepData.replacedPage} was chosen as the victim by the ${window.currentFIFOAlgorithm.algorithmName || 'FIFO'} algorithm. Frame ${currentStepData.replacedFrameIndex} now contains page ${currentStepData.pageNumber}.`;
+        modifiedFrame = `Frame ${currentStepData.replacedFrameIndex}`;
+        previousValue = `${currentStepData.replacedPage}`;
+    } else {
+        operationType = 'Page Fault (Empty Frame)';
+        operationClass = 'miss';
+        explanation = `Page ${currentStepData.pageNumber} was not in memory, causing a page fault. An empty frame was available, so page ${currentStepData.pageNumber} was loaded without replacing any existing pages.`;
+        if (frameIndex !== -1) {
+            modifiedFrame = `Frame ${frameIndex}`;
+            previousValue = 'Empty';
+        }
+    }
+    if (explanationElement) {
+        explanationElement.textContent = explanation;
+        explanationElement.className = `explanation-text ${operationClass}`;
+    }
+    if (operationTypeElement) {
+        operationTypeElement.textContent = operationType;
+        operationTypeElement.className = `operation-badge ${operationClass}`;
+    }
+    if (modifiedFrameElement) {
+        modifiedFrameElement.textContent = modifiedFrame;
+    }
+    if (previousValueElement) {
+        previousValueElement.textContent = previousValue;
+    }
+}
+
+function runBeladyAnalysis() {
+    const pageReferencesInput = document.getElementById('page-references').value;
+    const maxFramesInput = document.getElementById('belady-max-frames');
+    const maxFrameCount = maxFramesInput ? parseInt(maxFramesInput.value, 10) : 5;
+    const validationResult = validateInputs(maxFrameCount, pageReferencesInput, getInputLimits());
+    if (!validationResult.isValid) {
+        displayError(validationResult.errors.join('. '));
+        return null;
+    }
+    hideError();
+    if (window.currentAnimationEngine) {
+        window.currentAnimationEngine.pause();
+    }
+    const metricSelect = document.getElementById('belady-metric');
+    let analysis;
+    try {
+        analysis = analyzeBeladyAnomaly(validationResult.pageReferences, validationResult.frameCount, {
+            accessModes: validationResult.hasWrites ? validationResult.accessModes : null,
+            processIds: validationResult.processIds,
+            accessTimeModel: getAccessTimeModel()
+        });
+    } catch (error) {
+        displayError(error.message);
+        return null;
+    }
+    drawBeladyChart(analysis, metricSelect ? metricSelect.value : 'faults');
+    renderBeladyResults(analysis);
+    return analysis;
+}
+
+function renderBeladyResults(analysis) {
+    const resultsElement = document.getElementById('belady-results');
+    if (!resultsElement) {
+        return;
+    }
+    resultsElement.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.className = 'analysis-summary';
+    summary.textContent = analysis.hasAnomaly
+        ? `Belady's anomaly found at ${analysis.anomalies.length} point(s):`
+        : `No anomaly: faults never increase between 1 and ${analysis.points.length} frames.`;
+    resultsElement.appendChild(summary);
+    if (!analysis.hasAnomaly) {
+        return;
+    }
+    const list = document.createElement('ul');
+    analysis.anomalies.forEach(anomaly => {
+        const item = document.createElement('li');
+        const description = document.createElement('span');
+        description.textContent = `${anomaly.previousFrameCount} frames: ${anomaly.previousFaultCount} faults → ` +
+            `${anomaly.frameCount} frames: ${anomaly.faultCount} faults`;
+        item.appendChild(description);
+        [anomaly.previousFrameCount, anomaly.frameCount].forEach(frameCount => {
+            const traceButton = document.createElement('button');
+            traceButton.className = 'trace-link-btn';
+            traceButton.textContent = `View trace with ${frameCount} frames`;
+            traceButton.addEventListener('click', () => {
+                loadSimulationConfiguration(frameCount, analysis.pageReferences, 'fifo', analysis.accessModes, analysis.processIds);
+            });
+            item.appendChild(traceButton);
+        });
+        list.appendChild(item);
+    });
+    resultsElement.appendChild(list);
+}
+
+function runWorkingSetAnalysis() {
+    const frameCountInput = document.getElementById('frame-count').value;
+    const pageReferencesInput = document.getElementById('page-references').value;
+    const validationResult = validateInputs(frameCountInput, pageReferencesInput, getInputLimits());
+    if (!validationResult.isValid) {
+        displayError(validationResult.errors.join('. '));
+        return null;
+    }
+    const windowInput = document.getElementById('working-set-window');
+    const windowSize = windowInput ? Number(windowInput.value) : 5;
+    hideError();
+    if (window.currentAnimationEngine) {
+        window.currentAnimationEngine.pause();
+    }
+    const allocationSelect = document.getElementById('allocation-policy');
+    let analysis;
+    try {
+        analysis = analyzeWorkingSet(validationResult.pageReferences, windowSize, validationResult.frameCount, {
+            processIds: validationResult.processIds,
+            allocationPolicy: allocationSelect ? allocationSelect.value : 'global',
+            bucketCount: isLargeTraceModeEnabled() ? WORKING_SET_CHART_COLUMNS : undefined
+        });
+    } catch (error) {
+        displayError(error.message);
+        return null;
+    }
+    analysis.accessModes = validationResult.hasWrites ? validationResult.accessModes : null;
+    drawWorkingSetChart(analysis);
+    renderWorkingSetResults(analysis);
+    return analysis;
+}
+
+function renderWorkingSetResults(analysis) {
+    const resultsElement = document.getElementById('working-set-results');
+    if (!resultsElement) {
+        return;
+    }
+    resultsElement.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.className = 'analysis-summary';
+    const limit = analysis.frameAllocation ? 'a process\'s allocated frames' : `${analysis.frameCount} frames`;
+    summary.textContent = `Δ = ${analysis.windowSize}: the working set peaks at ${analysis.maxWorkingSetSize} pages ` +
+        `(average ${analysis.averageWorkingSetSize}). ` + (analysis.thrashingRanges.length > 0
+        ? `It exceeds ${limit} in ${analysis.thrashingRanges.length} interval(s) covering ${analysis.thrashingStepCount} steps:`
+        : `It never exceeds ${limit}, so the frame count is enough to avoid thrashing.`);
+    resultsElement.appendChild(summary);
+    if (analysis.thrashingRanges.length === 0) {
+        return;
+    }
+    const list = document.createElement('ul');
+    analysis.thrashingRanges.forEach(range => {
+        const item = document.createElement('li');
+        const description = document.createElement('span');
+        const workingSet = getWorkingSet(analysis.pageReferences, range.startStep, analysis.windowSize, analysis.processIds);
+        const processNote = range.processIds ? ` (process ${range.processIds.join(', ')} over its frame allocation)` : '';
+        description.textContent = `Steps ${range.startStep}–${range.endStep}${processNote}: working set up to ${range.peakWorkingSetSize} pages, ` +
+            `${range.faultCount} fault(s); W(${range.startStep}, ${analysis.windowSize}) = {${workingSet.join(', ')}}`;
+        item.appendChild(description);
+        const traceButton = document.createElement('button');
+        traceButton.className = 'trace-link-btn';
+        traceButton.textContent = `View step ${range.startStep}`;
+        traceButton.addEventListener('click', () => {
+            loadSimulationConfiguration(analysis.frameCount, analysis.pageReferences, 'fifo', analysis.accessModes, analysis.processIds);
+            seekToStep(range.startStep);
+        });
+        item.appendChild(traceButton);
+        list.appendChild(item);
+    });
+    resultsElement.appendChild(list);
+}
+
+function formatFrameLabels(labels) {
+    return labels.map(label => (label === null ? '-' : label)).join(', ');
+}
+
+function applyPracticeMode() {
+    const practiceToggle = document.getElementById('practice-mode');
+    const practicePanel = document.getElementById('practice-panel');
+    const feedbackElement = document.getElementById('practice-feedback');
+    const timeline = document.getElementById('timeline');
+    const engine = window.currentAnimationEngine;
+    window.currentPracticeSession = null;
+    if (practiceToggle && practiceToggle.checked && engine) {
+        try {
+            window.currentPracticeSession = new PracticeSession(engine);
+        } catch (error) {
+            practiceToggle.checked = false;
+            displayError(error.message);
+        }
+    }
+    const isActive = window.currentPracticeSession !== null;
+    if (practicePanel) {
+        practicePanel.style.display = isActive ? 'block' : 'none';
+    }
+    if (feedbackElement) {
+        feedbackElement.textContent = '';
+        feedbackElement.className = 'practice-feedback';
+    }
+    if (timeline) {
+        timeline.classList.toggle('practice', isActive);
+    }
+    if (!engine) {
+        return;
+    }
+    engine.setPracticeMode(isActive);
+    if (isActive) {
+        renderPracticePrompt();
+    }
+    engine.render();
+}
+
+function renderPracticePrompt() {
+    const session = window.currentPracticeSession;
+    if (!session) {
+        return;
+    }
+    const pending = session.getPendingReference();
+    const score = session.getScore();
+    const promptElement = document.getElementById('practice-prompt');
+    const victimSelect = document.getElementById('practice-victim');
+    const framesInput = document.getElementById('practice-frames');
+    const submitBtn = document.getElementById('practice-submit-btn');
+    const exportBtn = document.getElementById('practice-export-btn');
+    const scoreElement = document.getElementById('practice-score');
+    if (promptElement) {
+        promptElement.textContent = pending
+            ? `Step ${pending.step} of ${session.engine.totalSteps}, ${describePageReference(pending)} is referenced. What happens?`
+            : `Complete, ${score.correct} of ${score.total} steps correct (${score.percentage}%)`;
+    }
+    if (scoreElement) {
+        scoreElement.textContent = `${score.correct} / ${score.total}`;
+    }
+    if (submitBtn) {
+        submitBtn.disabled = !pending;
+    }
+    if (exportBtn) {
+        exportBtn.disabled = score.total === 0;
+    }
+    document.querySelectorAll('input[name="practiceOutcome"]').forEach(radio => {
+        radio.checked = false;
+    });
+    if (victimSelect) {
+        if (victimSelect.options.length !== session.algorithm.frameCount + 1) {
+            victimSelect.innerHTML = '';
+            const noneOption = document.createElement('option');
+            noneOption.value = '';
+            noneOption.textContent = 'None (no page evicted)';
+            victimSelect.appendChild(noneOption);
+            for (let frameIndex = 0; frameIndex < session.algorithm.frameCount; frameIndex++) {
+                const option = document.createElement('option');
+                option.value = `${frameIndex}`;
+                option.textContent = `Frame ${frameIndex}`;
+                victimSelect.appendChild(option);
+            }
+        }
+        victimSelect.value = '';
+    }
+    if (framesInput) {
+        framesInput.value = formatFrameLabels(session.getFrameLabels());
+    }
+}
+
+function submitPracticeAnswer(event) {
+    if (event) {
+        event.preventDefault();
+    }
+    const session = window.currentPracticeSession;
+    if (!session) {
+        return null;
+    }
+    const outcomeInput = document.querySelector('input[name="practiceOutcome"]:checked');
+    const victimSelect = document.getElementById('practice-victim');
+    const framesInput = document.getElementById('practice-frames');
+    let attempt;
+    try {
+        attempt = session.submitAnswer({
+            outcome: outcomeInput ? outcomeInput.value : null,
+            victimFrame: victimSelect && victimSelect.value !== '' ? Number(victimSelect.value) : null,
+            frames: parseFrameStateAnswer(framesInput ? framesInput.value : '', session.algorithm.frameCount)
+        });
+    } catch (error) {
+        displayError(error.message);
+        return null;
+    }
+    hideError();
+    showPracticeFeedback(attempt);
+    renderPracticePrompt();
+    return attempt;
+}
+
+function showPracticeFeedback(attempt) {
+    const feedbackElement = document.getElementById('practice-feedback');
+    if (!feedbackElement) {
         return;
     }
-    const currentStepData = stepHistory[animationState.currentStep - 1];
-    if (!currentStepData) {
+    if (attempt.correct) {
+        feedbackElement.className = 'practice-feedback correct';
+        feedbackElement.textContent = `Correct! Step ${attempt.step} was a ${attempt.expected.outcome}.`;
         return;
     }
-    let explanation = '';
-    let operationType = '';
-    let modifiedFrame = '-';
-    let previousValue = '-';
-    if (currentStepData.isHit) {
-        operationType = 'Page Hit';
-        explanation = `Page ${currentStepData.pageNumber} was found in memory. No page fault occurred, and no frames were modified. This is the most efficient outcome as no disk I/O is required.`;
-        const hitFrameIndex = window.currentFIFOAlgorithm.getCurrentState().frames.findIndex(frame => frame === currentStepData.pageNumber);
-        if (hitFrameIndex !== -1) {
-            modifiedFrame = `Frame ${hitFrameIndex}`;
-            previousValue = `${currentStepData.pageNumber} (unchanged)`;
+    const corrections = attempt.mistakes.map(mistake => {
+        if (mistake === 'outcome') {
+            return `It was a ${attempt.expected.outcome}, not a ${attempt.answer.outcome}.`;
         }
-    } else {
-        if (currentStepData.replacedFrameIndex !== null) {
-            operationType = 'Page Replacement';
-            explanation = `Page ${currentStepData.pageNumber} was not in memory, causing a page fault. All frames were full, so the oldest page (${currentStepData.replacedPage}) was replaced using the FIFO algorithm. Frame ${currentStepData.replacedFrameIndex} now contains page ${currentStepData.pageNumber}.`;
-            modifiedFrame = `Frame ${currentStepData.replacedFrameIndex}`;
-            previousValue = `${currentStepData.replacedPage}`;
-        } else {
-            operationType = 'Page Fault (Empty Frame)';
-            explanation = `Page ${currentStepData.pageNumber} was not in memory, causing a page fault. An empty frame was available, so page ${currentStepData.pageNumber} was loaded without replacing any existing pages.`;
-            const emptyFrameIndex = currentStepData.frameState.findIndex((frame, index) =>
-                frame === currentStepData.pageNumber &&
-                (stepHistory[animationState.currentStep - 2]?.frameState[index] === null || stepHistory.length === 1)
-            );
-            if (emptyFrameIndex !== -1) {
-                modifiedFrame = `Frame ${emptyFrameIndex}`;
-                previousValue = 'Empty';
+        if (mistake === 'victimFrame') {
+            return attempt.expected.victimFrame === null
+                ? 'No page was evicted.'
+                : `The victim was frame ${attempt.expected.victimFrame}.`;
+        }
+        return `The frames now hold ${formatFrameLabels(attempt.expected.frames)}.`;
+    });
+    updateOperationExplanation();
+    const explanationElement = document.getElementById('operation-explanation');
+    feedbackElement.className = 'practice-feedback incorrect';
+    feedbackElement.textContent = `Not quite. ${corrections.join(' ')} ${explanationElement ? explanationElement.textContent : ''}`.trim();
+}
+
+function exportPracticeLog(session, filename = 'fifo-practice-log.json') {
+    try {
+        if (!session || session.attempts.length === 0) {
+            throw new Error('No practice attempts to export');
+        }
+        const blob = new Blob([formatPracticeLogJSON(session)], { type: 'application/json;charset=utf-8;' });
+        if (!downloadBlob(blob, filename)) {
+            throw new Error('File downloads are not supported in this browser');
+        }
+        showAnimationStatus('Practice log exported successfully!', 'success');
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to export practice log: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function loadSimulationConfiguration(frameCount, pageReferences, policyId, accessModes = null, processIds = null) {
+    const frameCountInput = document.getElementById('frame-count');
+    const pageReferencesInput = document.getElementById('page-references');
+    const policySelect = document.getElementById('replacement-policy');
+    const comparisonModeToggle = document.getElementById('comparison-mode');
+    if (!frameCountInput || !pageReferencesInput) {
+        return;
+    }
+    frameCountInput.value = frameCount;
+    pageReferencesInput.value = formatReferenceString(pageReferences, accessModes, processIds);
+    if (policySelect && policyId) {
+        policySelect.value = policyId;
+    }
+    if (comparisonModeToggle && comparisonModeToggle.checked) {
+        comparisonModeToggle.checked = false;
+        comparisonModeToggle.dispatchEvent(new Event('change'));
+    }
+    initializeSimulation();
+    const canvasElement = document.getElementById('simulation-canvas');
+    if (canvasElement && typeof canvasElement.scrollIntoView === 'function') {
+        canvasElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+function importTraceFile(file) {
+    if (!file) {
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = parseImportedTraceFile(file.name, String(reader.result));
+            const frameCountInput = document.getElementById('frame-count');
+            const frameCount = imported.frameCount !== null ? imported.frameCount : (frameCountInput ? frameCountInput.value : null);
+            const validationResult = validateInputs(frameCount,
+                formatReferenceString(imported.pageReferences, imported.accessModes, imported.processIds), getInputLimits());
+            if (!validationResult.isValid) {
+                throw new Error(validationResult.errors.join('. '));
+            }
+            const policyId = findPolicyIdForAlgorithmName(imported.algorithm);
+            const allocationSelect = document.getElementById('allocation-policy');
+            if (allocationSelect && imported.allocationPolicy && ALLOCATION_POLICIES[imported.allocationPolicy]) {
+                allocationSelect.value = imported.allocationPolicy;
             }
+            loadSimulationConfiguration(validationResult.frameCount, validationResult.pageReferences, policyId,
+                validationResult.accessModes, validationResult.processIds);
+            if (imported.steps) {
+                const verification = verifyImportedSteps(validationResult.frameCount, validationResult.pageReferences, imported.steps, policyId, {
+                    processIds: validationResult.processIds,
+                    allocationPolicy: allocationSelect ? allocationSelect.value : 'global'
+                });
+                renderImportVerification(file.name, verification);
+                if (verification.firstMismatch && window.currentAnimationEngine) {
+                    seekToStep(Math.min(verification.firstMismatch.step, window.currentAnimationEngine.totalSteps));
+                }
+            } else {
+                renderImportVerification(file.name, null);
+            }
+        } catch (error) {
+            displayError(`Import failed: ${error.message}`);
         }
+    };
+    reader.onerror = () => {
+        displayError(`Import failed: could not read ${file.name}`);
+    };
+    reader.readAsText(file);
+}
+
+function importAddressTraceFile(file) {
+    if (!file) {
+        return;
     }
-    if (explanationElement) {
-        explanationElement.textContent = explanation;
-        explanationElement.className = `explanation-text ${currentStepData.isHit ? 'hit' : 'fault'}`;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const pageSizeInput = document.getElementById('address-page-size');
+            const renumberToggle = document.getElementById('address-renumber');
+            const accessTypes = Array.from(document.querySelectorAll('input[name="addressAccessType"]:checked'))
+                .map(checkbox => checkbox.value);
+            if (accessTypes.length === 0) {
+                throw new Error('Select at least one access type');
+            }
+            const imported = importAddressTrace(String(reader.result), {
+                pageSize: pageSizeInput ? parseInt(pageSizeInput.value, 10) : DEFAULT_PAGE_SIZE,
+                accessTypes,
+                renumberPages: Boolean(renumberToggle && renumberToggle.checked)
+            });
+            const largeTraceToggle = document.getElementById('large-trace-mode');
+            if (largeTraceToggle && !largeTraceToggle.checked &&
+                imported.pageReferences.length > INPUT_LIMITS.standard.maxReferenceCount) {
+                largeTraceToggle.checked = true;
+                updateInputLimitHints();
+            }
+            const frameCountInput = document.getElementById('frame-count');
+            const validationResult = validateInputs(frameCountInput ? frameCountInput.value : null,
+                imported.pageReferences.join(','), getInputLimits());
+            if (!validationResult.isValid) {
+                throw new Error(validationResult.errors.join('. '));
+            }
+            loadSimulationConfiguration(validationResult.frameCount, validationResult.pageReferences, null);
+            renderAddressTraceSummary(file.name, imported);
+        } catch (error) {
+            displayError(`Address trace import failed: ${error.message}`);
+        }
+    };
+    reader.onerror = () => {
+        displayError(`Address trace import failed: could not read ${file.name}`);
+    };
+    reader.readAsText(file);
+}
+
+function renderAddressTraceSummary(fileName, imported) {
+    const resultsElement = document.getElementById('import-results');
+    if (!resultsElement) {
+        return;
     }
-    if (operationTypeElement) {
-        operationTypeElement.textContent = operationType;
-        operationTypeElement.className = `operation-badge ${currentStepData.isHit ? 'hit' : 'fault'}`;
+    resultsElement.innerHTML = '';
+    resultsElement.style.display = 'block';
+    const summary = document.createElement('p');
+    summary.className = 'import-summary valid';
+    const formatLabel = imported.format === 'lackey' ? 'valgrind lackey trace' : 'address list';
+    summary.textContent = `Loaded ${imported.pageReferences.length.toLocaleString()} of ` +
+        `${imported.accessCount.toLocaleString()} accesses from ${fileName} (${formatLabel}), touching ` +
+        `${imported.distinctPageCount.toLocaleString()} distinct pages of ${imported.pageSize} bytes.`;
+    resultsElement.appendChild(summary);
+}
+
+function seekToStep(targetStep) {
+    const engine = window.currentAnimationEngine;
+    if (!engine) {
+        return false;
     }
-    if (modifiedFrameElement) {
-        modifiedFrameElement.textContent = modifiedFrame;
+    engine.pause();
+    return engine.seek(Math.max(0, Math.min(targetStep, engine.totalSteps)));
+}
+
+function renderImportVerification(fileName, verification) {
+    const resultsElement = document.getElementById('import-results');
+    if (!resultsElement) {
+        return;
     }
-    if (previousValueElement) {
-        previousValueElement.textContent = previousValue;
+    resultsElement.innerHTML = '';
+    resultsElement.style.display = 'block';
+    const summary = document.createElement('p');
+    summary.className = 'import-summary';
+    if (!verification) {
+        summary.textContent = `Loaded configuration from ${fileName}. No recorded steps to verify.`;
+        resultsElement.appendChild(summary);
+        return;
+    }
+    if (verification.isValid) {
+        summary.classList.add('valid');
+        summary.textContent = `All ${verification.checkedSteps} recorded steps in ${fileName} match a fresh run.`;
+    } else {
+        const mismatch = verification.firstMismatch;
+        summary.classList.add('invalid');
+        summary.textContent = `First mismatch in ${fileName} at step ${mismatch.step} (${mismatch.mismatchedFields.join(', ')}). The simulation has been advanced to that step.`;
+    }
+    resultsElement.appendChild(summary);
+    const wrapper = document.createElement('div');
+    wrapper.className = 'import-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'import-table';
+    const headerRow = document.createElement('tr');
+    ['Step', 'Page', 'Recorded Frames', 'Expected Frames', 'Recorded', 'Expected', 'Recorded Faults', 'Expected Faults'].forEach(label => {
+        const header = document.createElement('th');
+        header.scope = 'col';
+        header.textContent = label;
+        headerRow.appendChild(header);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    let firstMismatchRow = null;
+    verification.comparisons.forEach(comparison => {
+        const row = document.createElement('tr');
+        if (comparison.mismatchedFields.length > 0) {
+            row.className = comparison === verification.firstMismatch ? 'mismatch first-mismatch' : 'mismatch';
+        }
+        if (comparison === verification.firstMismatch) {
+            firstMismatchRow = row;
+        }
+        const expected = comparison.expected;
+        [
+            comparison.step,
+            comparison.recorded.pageReference,
+            `[${comparison.recorded.frameState}]`,
+            expected ? `[${expected.frameState}]` : '-',
+            comparison.recorded.isHit ? 'Hit' : 'Miss',
+            expected ? (expected.isHit ? 'Hit' : 'Miss') : '-',
+            comparison.recorded.faultCount,
+            expected ? expected.faultCount : '-'
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+    resultsElement.appendChild(wrapper);
+    if (firstMismatchRow) {
+        wrapper.scrollTop = Math.max(0, firstMismatchRow.offsetTop - wrapper.clientHeight / 2);
+    }
+}
+
+function readGeneratorNumber(id, parse = value => parseInt(value, 10)) {
+    const input = document.getElementById(id);
+    return input ? parse(input.value) : undefined;
+}
+
+function updateGeneratorFieldVisibility() {
+    const modelSelect = document.getElementById('generator-model');
+    if (!modelSelect) {
+        return;
+    }
+    document.querySelectorAll('.generator-field[data-models]').forEach(field => {
+        const models = field.getAttribute('data-models').split(' ');
+        field.style.display = models.includes(modelSelect.value) ? '' : 'none';
+    });
+}
+
+function generateReferencesFromPanel() {
+    const modelSelect = document.getElementById('generator-model');
+    const pageReferencesInput = document.getElementById('page-references');
+    if (!modelSelect || !pageReferencesInput) {
+        return null;
+    }
+    try {
+        const references = generateReferenceString(modelSelect.value, {
+            length: readGeneratorNumber('generator-length'),
+            pageCount: readGeneratorNumber('generator-page-count'),
+            seed: readGeneratorNumber('generator-seed'),
+            workingSetSize: readGeneratorNumber('generator-working-set-size'),
+            phaseLength: readGeneratorNumber('generator-phase-length'),
+            loopLength: readGeneratorNumber('generator-loop-length'),
+            exponent: readGeneratorNumber('generator-exponent', parseFloat),
+            localityProbability: readGeneratorNumber('generator-locality', parseFloat)
+        });
+        pageReferencesInput.value = references.join(',');
+        hideError();
+        showAnimationStatus(`Generated ${references.length} references. Click "Initialize Simulation" to start.`, 'success');
+        return references;
+    } catch (error) {
+        displayError(`Generation failed: ${error.message}`);
+        return null;
+    }
+}
+
+function updateExamFieldVisibility() {
+    const constraintSelect = document.getElementById('exam-constraint');
+    if (!constraintSelect) {
+        return;
+    }
+    document.querySelectorAll('.generator-field[data-constraints]').forEach(field => {
+        const constraints = field.getAttribute('data-constraints').split(' ');
+        field.style.display = constraints.includes(constraintSelect.value) ? '' : 'none';
+    });
+}
+
+function readExamOptions() {
+    const constraintSelect = document.getElementById('exam-constraint');
+    const titleInput = document.getElementById('exam-title');
+    return {
+        constraint: constraintSelect ? constraintSelect.value : 'fault-count',
+        frameCount: readGeneratorNumber('exam-frame-count'),
+        length: readGeneratorNumber('exam-length'),
+        pageCount: readGeneratorNumber('exam-page-count'),
+        problemCount: readGeneratorNumber('exam-problem-count'),
+        seed: readGeneratorNumber('exam-seed'),
+        targetFaults: readGeneratorNumber('exam-target-faults'),
+        minReplacements: readGeneratorNumber('exam-min-replacements'),
+        title: titleInput ? titleInput.value.trim() : ''
+    };
+}
+
+function generateExamFromPanel() {
+    try {
+        currentExam = generateExam(readExamOptions());
+    } catch (error) {
+        displayError(`Exam generation failed: ${error.message}`);
+        return null;
+    }
+    hideError();
+    renderExamPreview();
+    ['exam-worksheet-btn', 'exam-answer-key-btn', 'exam-print-btn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = false;
+        }
+    });
+    showAnimationStatus(`Generated ${currentExam.problems.length} problem${currentExam.problems.length === 1 ? '' : 's'}.`, 'success');
+    return currentExam;
+}
+
+function ensureExamGridStyles() {
+    if (document.getElementById('exam-grid-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'exam-grid-styles';
+    style.textContent = EXAM_GRID_CSS;
+    document.head.appendChild(style);
+}
+
+function renderExamPreview() {
+    const previewElement = document.getElementById('exam-preview');
+    const answerToggle = document.getElementById('exam-show-answers');
+    if (!previewElement || !currentExam) {
+        return;
+    }
+    ensureExamGridStyles();
+    previewElement.innerHTML = formatExamBodyHTML(currentExam, { answerKey: Boolean(answerToggle && answerToggle.checked) });
+}
+
+function exportExam(exam, answerKey, format = 'html') {
+    const label = answerKey ? 'answer key' : 'worksheet';
+    try {
+        if (!exam) {
+            throw new Error('Generate problems first');
+        }
+        const isMarkdown = format === 'markdown';
+        const content = isMarkdown ? formatExamMarkdown(exam, { answerKey }) : formatExamHTML(exam, { answerKey });
+        const blob = new Blob([content], { type: isMarkdown ? 'text/markdown;charset=utf-8;' : 'text/html;charset=utf-8;' });
+        if (!downloadBlob(blob, `fifo-exam-${answerKey ? 'answer-key' : 'worksheet'}.${isMarkdown ? 'md' : 'html'}`)) {
+            throw new Error('File downloads are not supported in this browser');
+        }
+        showAnimationStatus(`Exam ${label} exported successfully!`, 'success');
+        return true;
+    } catch (error) {
+        showAnimationStatus(`Failed to export exam ${label}: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+function printExam() {
+    if (!currentExam) {
+        return false;
+    }
+    document.body.classList.add('printing-exam');
+    try {
+        window.print();
+    } finally {
+        document.body.classList.remove('printing-exam');
     }
+    return true;
 }
 
 function showSuccessMessage() {
@@ -720,42 +2643,142 @@ function showSuccessMessage() {
 
 function updateExportButtonStates(canExportScreenshot, canExportTrace) {
     const screenshotBtn = document.getElementById('export-screenshot-btn');
+    const svgBtn = document.getElementById('export-svg-btn');
+    const pdfBtn = document.getElementById('export-pdf-btn');
     const traceBtn = document.getElementById('export-trace-btn');
+    const copyLinkBtn = document.getElementById('copy-link-btn');
     if (screenshotBtn) {
         screenshotBtn.disabled = !canExportScreenshot;
     }
+    if (svgBtn) {
+        svgBtn.disabled = !canExportScreenshot;
+    }
+    if (pdfBtn) {
+        pdfBtn.disabled = !canExportScreenshot;
+    }
+    updateRecordButtonState();
     if (traceBtn) {
         traceBtn.disabled = !canExportTrace;
     }
+    if (copyLinkBtn) {
+        copyLinkBtn.disabled = !canExportScreenshot;
+    }
 }
 
-function renderCurrentAnimationState() {
-    if (!window.currentAnimationEngine || !window.currentFIFOAlgorithm) {
+function getCurrentShareState() {
+    const algorithm = window.currentFIFOAlgorithm;
+    const engine = window.currentAnimationEngine;
+    if (!algorithm || !engine) {
+        return null;
+    }
+    const policySelect = document.getElementById('replacement-policy');
+    return {
+        frameCount: algorithm.frameCount,
+        pageReferences: algorithm.pageReferences,
+        accessModes: algorithm.accessModes || null,
+        processIds: algorithm.processIds || null,
+        allocationPolicy: algorithm.allocationPolicy || null,
+        policy: policySelect ? policySelect.value : 'fifo',
+        comparePolicies: Array.isArray(algorithm.policyIds) ? algorithm.policyIds : null,
+        speed: engine.speed,
+        step: engine.currentStep
+    };
+}
+
+function copyShareLink() {
+    const shareState = getCurrentShareState();
+    if (!shareState) {
+        showAnimationStatus('Initialize a simulation before copying a link', 'error');
         return;
     }
+    const shareURL = buildShareURL(window.location.href, shareState);
+    if (window.history && typeof window.history.replaceState === 'function') {
+        window.history.replaceState(null, '', shareURL);
+    }
+    const copied = navigator.clipboard && typeof navigator.clipboard.writeText === 'function'
+        ? navigator.clipboard.writeText(shareURL)
+        : Promise.reject(new Error('Clipboard API not available'));
+    copied.then(() => {
+        showAnimationStatus('Link copied to clipboard!', 'success');
+    }).catch(() => {
+        if (copyTextWithSelection(shareURL)) {
+            showAnimationStatus('Link copied to clipboard!', 'success');
+        } else {
+            showAnimationStatus('Could not access the clipboard. The link is now in the address bar.', 'info', 4000);
+        }
+    });
+}
+
+function copyTextWithSelection(text) {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.setAttribute('readonly', '');
+    textArea.style.position = 'absolute';
+    textArea.style.left = '-9999px';
+    document.body.appendChild(textArea);
+    textArea.select();
+    let copied = false;
     try {
-        renderFIFOState(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState());
+        copied = document.execCommand('copy');
     } catch (error) {
+        copied = false;
+    }
+    document.body.removeChild(textArea);
+    return copied;
+}
+
+function restoreSimulationFromURL() {
+    const shareState = decodeShareState(window.location.hash || window.location.search);
+    if (!shareState) {
+        return false;
+    }
+    const frameCountInput = document.getElementById('frame-count');
+    const pageReferencesInput = document.getElementById('page-references');
+    const policySelect = document.getElementById('replacement-policy');
+    const comparisonModeToggle = document.getElementById('comparison-mode');
+    const speedSlider = document.getElementById('speed-slider');
+    if (!frameCountInput || !pageReferencesInput) {
+        return false;
+    }
+    frameCountInput.value = shareState.frameCount;
+    pageReferencesInput.value = shareState.pageReferences;
+    if (policySelect && REPLACEMENT_POLICIES[shareState.policy]) {
+        policySelect.value = shareState.policy;
+    }
+    const allocationSelect = document.getElementById('allocation-policy');
+    if (allocationSelect && ALLOCATION_POLICIES[shareState.allocationPolicy]) {
+        allocationSelect.value = shareState.allocationPolicy;
+    }
+    if (comparisonModeToggle) {
+        comparisonModeToggle.checked = Boolean(shareState.comparePolicies);
+        comparisonModeToggle.dispatchEvent(new Event('change'));
+        if (shareState.comparePolicies) {
+            document.querySelectorAll('input[name="comparePolicy"]').forEach(checkbox => {
+                checkbox.checked = shareState.comparePolicies.includes(checkbox.value);
+            });
+        }
+    }
+    if (speedSlider && shareState.speed) {
+        speedSlider.value = shareState.speed;
+        updateSpeedDisplay(parseInt(speedSlider.value, 10));
+    }
+    initializeSimulation();
+    if (!window.currentAnimationEngine) {
+        return false;
+    }
+    if (shareState.step) {
+        seekToStep(shareState.step);
     }
+    return true;
 }
 
-function renderCurrentAnimationStateWithTransition() {
+function renderCurrentAnimationState() {
     if (!window.currentAnimationEngine || !window.currentFIFOAlgorithm) {
         return;
     }
     try {
-        const canvas = document.getElementById('simulation-canvas');
-        if (canvas) {
-            canvas.style.opacity = '0.8';
-            setTimeout(() => {
-                renderFIFOState(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState());
-                canvas.style.opacity = '1';
-            }, 100);
-        } else {
-            renderCurrentAnimationState();
-        }
+        renderFIFOState(window.currentFIFOAlgorithm, window.currentAnimationEngine.getCurrentState());
     } catch (error) {
-        renderCurrentAnimationState();
     }
 }
 
@@ -786,6 +2809,25 @@ function setupEventListeners() {
             exportCanvasScreenshot();
         });
     }
+    const exportSvgBtn = document.getElementById('export-svg-btn');
+    if (exportSvgBtn) {
+        exportSvgBtn.addEventListener('click', () => {
+            exportVisualizationSVG();
+        });
+    }
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) {
+        recordBtn.addEventListener('click', () => {
+            const recordFormatSelect = document.getElementById('record-format');
+            recordSimulation(recordFormatSelect ? recordFormatSelect.value : 'gif');
+        });
+    }
+    const exportPdfBtn = document.getElementById('export-pdf-btn');
+    if (exportPdfBtn) {
+        exportPdfBtn.addEventListener('click', () => {
+            printVisualizationPDF();
+        });
+    }
     const exportTraceBtn = document.getElementById('export-trace-btn');
     if (exportTraceBtn) {
         exportTraceBtn.addEventListener('click', () => {
@@ -811,6 +2853,184 @@ function setupEventListeners() {
             toggleInstructionsBtn.setAttribute('aria-expanded', !isExpanded);
         });
     }
+    const largeTraceToggle = document.getElementById('large-trace-mode');
+    if (largeTraceToggle) {
+        largeTraceToggle.addEventListener('change', updateInputLimitHints);
+    }
+    ['memory-access-time', 'fault-service-time', 'dirty-page-penalty'].forEach(inputId => {
+        const accessTimeInput = document.getElementById(inputId);
+        if (accessTimeInput) {
+            accessTimeInput.addEventListener('change', applyAccessTimeModel);
+        }
+    });
+    const beladyMetricSelect = document.getElementById('belady-metric');
+    const beladyResults = document.getElementById('belady-results');
+    if (beladyMetricSelect) {
+        beladyMetricSelect.addEventListener('change', () => {
+            if (beladyResults && beladyResults.childElementCount > 0) {
+                runBeladyAnalysis();
+            }
+        });
+    }
+    const comparisonModeToggle = document.getElementById('comparison-mode');
+    const comparisonPolicies = document.getElementById('comparison-policies');
+    const policySelect = document.getElementById('replacement-policy');
+    if (comparisonModeToggle && comparisonPolicies) {
+        comparisonModeToggle.addEventListener('change', () => {
+            comparisonPolicies.style.display = comparisonModeToggle.checked ? 'flex' : 'none';
+            if (policySelect) {
+                policySelect.disabled = comparisonModeToggle.checked;
+            }
+        });
+    }
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', () => {
+            copyShareLink();
+        });
+    }
+    const importTraceBtn = document.getElementById('import-trace-btn');
+    const importTraceInput = document.getElementById('import-trace-input');
+    if (importTraceBtn && importTraceInput) {
+        importTraceBtn.addEventListener('click', () => {
+            importTraceInput.click();
+        });
+        importTraceInput.addEventListener('change', () => {
+            importTraceFile(importTraceInput.files[0]);
+            importTraceInput.value = '';
+        });
+    }
+    const importAddressTraceBtn = document.getElementById('import-address-trace-btn');
+    const importAddressTraceInput = document.getElementById('import-address-trace-input');
+    if (importAddressTraceBtn && importAddressTraceInput) {
+        importAddressTraceBtn.addEventListener('click', () => {
+            importAddressTraceInput.click();
+        });
+        importAddressTraceInput.addEventListener('change', () => {
+            importAddressTraceFile(importAddressTraceInput.files[0]);
+            importAddressTraceInput.value = '';
+        });
+    }
+    const canvasContainer = document.querySelector('.canvas-container');
+    if (canvasContainer) {
+        canvasContainer.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            canvasContainer.classList.add('drag-over');
+        });
+        canvasContainer.addEventListener('dragleave', () => {
+            canvasContainer.classList.remove('drag-over');
+        });
+        canvasContainer.addEventListener('drop', (event) => {
+            event.preventDefault();
+            canvasContainer.classList.remove('drag-over');
+            if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+                importTraceFile(event.dataTransfer.files[0]);
+            }
+        });
+    }
+    const beladyAnalyzeBtn = document.getElementById('belady-analyze-btn');
+    if (beladyAnalyzeBtn) {
+        beladyAnalyzeBtn.addEventListener('click', () => {
+            runBeladyAnalysis();
+        });
+    }
+    const workingSetAnalyzeBtn = document.getElementById('working-set-analyze-btn');
+    if (workingSetAnalyzeBtn) {
+        workingSetAnalyzeBtn.addEventListener('click', () => {
+            runWorkingSetAnalysis();
+        });
+    }
+    const examConstraintSelect = document.getElementById('exam-constraint');
+    if (examConstraintSelect) {
+        examConstraintSelect.addEventListener('change', updateExamFieldVisibility);
+        updateExamFieldVisibility();
+    }
+    const examGenerateBtn = document.getElementById('exam-generate-btn');
+    if (examGenerateBtn) {
+        examGenerateBtn.addEventListener('click', generateExamFromPanel);
+    }
+    const examAnswerToggle = document.getElementById('exam-show-answers');
+    if (examAnswerToggle) {
+        examAnswerToggle.addEventListener('change', renderExamPreview);
+    }
+    const examFormatSelect = document.getElementById('exam-format');
+    const readExamFormat = () => (examFormatSelect ? examFormatSelect.value : 'html');
+    const examWorksheetBtn = document.getElementById('exam-worksheet-btn');
+    if (examWorksheetBtn) {
+        examWorksheetBtn.addEventListener('click', () => {
+            exportExam(currentExam, false, readExamFormat());
+        });
+    }
+    const examAnswerKeyBtn = document.getElementById('exam-answer-key-btn');
+    if (examAnswerKeyBtn) {
+        examAnswerKeyBtn.addEventListener('click', () => {
+            exportExam(currentExam, true, readExamFormat());
+        });
+    }
+    const examPrintBtn = document.getElementById('exam-print-btn');
+    if (examPrintBtn) {
+        examPrintBtn.addEventListener('click', printExam);
+    }
+    const practiceToggle = document.getElementById('practice-mode');
+    if (practiceToggle) {
+        practiceToggle.addEventListener('change', applyPracticeMode);
+    }
+    const practiceForm = document.getElementById('practice-form');
+    if (practiceForm) {
+        practiceForm.addEventListener('submit', submitPracticeAnswer);
+    }
+    const practiceExportBtn = document.getElementById('practice-export-btn');
+    if (practiceExportBtn) {
+        practiceExportBtn.addEventListener('click', () => {
+            exportPracticeLog(window.currentPracticeSession);
+        });
+    }
+    const colorPaletteSelect = document.getElementById('color-palette');
+    if (colorPaletteSelect) {
+        colorPaletteSelect.addEventListener('change', () => {
+            setColorPalette(colorPaletteSelect.value);
+            historyGridLastStep = -1;
+            renderCurrentAnimationState();
+        });
+    }
+    const viewModeSelect = document.getElementById('view-mode');
+    if (viewModeSelect) {
+        viewModeSelect.addEventListener('change', () => {
+            visualizationMode = viewModeSelect.value;
+            historyGridLastStep = -1;
+            renderCurrentAnimationState();
+        });
+    }
+    const simulationCanvas = document.getElementById('simulation-canvas');
+    if (simulationCanvas) {
+        simulationCanvas.addEventListener('wheel', (event) => {
+            if (visualizationMode !== 'grid' || !window.currentFIFOAlgorithm) {
+                return;
+            }
+            event.preventDefault();
+            const delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+            scrollHistoryGrid(Math.sign(delta) * 3);
+        }, { passive: false });
+    }
+    const generatorModel = document.getElementById('generator-model');
+    if (generatorModel) {
+        generatorModel.addEventListener('change', updateGeneratorFieldVisibility);
+        updateGeneratorFieldVisibility();
+    }
+    const generateReferencesBtn = document.getElementById('generate-references-btn');
+    if (generateReferencesBtn) {
+        generateReferencesBtn.addEventListener('click', () => {
+            generateReferencesFromPanel();
+        });
+    }
+    const randomizeSeedBtn = document.getElementById('randomize-seed-btn');
+    const generatorSeed = document.getElementById('generator-seed');
+    if (randomizeSeedBtn && generatorSeed) {
+        randomizeSeedBtn.addEventListener('click', () => {
+            generatorSeed.value = Math.floor(Math.random() * 100000);
+            generateReferencesFromPanel();
+        });
+    }
     const loadExampleBtns = document.querySelectorAll('.load-example-btn');
     loadExampleBtns.forEach(btn => {
         btn.addEventListener('click', () => {
@@ -833,9 +3053,12 @@ function initializeApplication() {
     }
     setupEventListeners();
     setupAnimationControlListeners();
+    setupTimelineListeners();
+    setupBreakpointListeners();
     setupKeyboardShortcuts();
     clearCanvas();
     drawText('Configure and initialize simulation to begin', canvasWidth / 2, canvasHeight / 2, '#6c757d', '14px Arial');
+    restoreSimulationFromURL();
 }
 
 document.addEventListener('DOMContentLoaded', initializeApplication);
\ No newline at end of file
@@ -0,0 +1,55 @@
+function encodeShareState(state) {
+    const params = new URLSearchParams();
+    params.set('frames', String(state.frameCount));
+    const formatReferences = typeof formatReferenceString !== 'undefined'
+        ? formatReferenceString
+        : require('./input-validation.js').formatReferenceString;
+    params.set('refs', formatReferences(state.pageReferences, state.accessModes || null, state.processIds || null));
+    if (state.allocationPolicy && state.allocationPolicy !== 'global') {
+        params.set('alloc', state.allocationPolicy);
+    }
+    if (state.comparePolicies && state.comparePolicies.length > 0) {
+        params.set('compare', state.comparePolicies.join(','));
+    } else if (state.policy && state.policy !== 'fifo') {
+        params.set('policy', state.policy);
+    }
+    if (state.speed) {
+        params.set('speed', String(state.speed));
+    }
+    if (state.step) {
+        params.set('step', String(state.step));
+    }
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+function decodeShareState(hashOrQuery) {
+    const text = (hashOrQuery || '').replace(/^[#?]/, '');
+    if (text === '') {
+        return null;
+    }
+    const params = new URLSearchParams(text);
+    if (!params.has('frames') || !params.has('refs')) {
+        return null;
+    }
+    const parseOptionalNumber = name => {
+        const value = parseInt(params.get(name), 10);
+        return Number.isNaN(value) ? null : value;
+    };
+    return {
+        frameCount: params.get('frames'),
+        pageReferences: params.get('refs'),
+        policy: params.get('policy') || 'fifo',
+        allocationPolicy: params.get('alloc') || 'global',
+        comparePolicies: params.has('compare') ? params.get('compare').split(',').filter(id => id !== '') : null,
+        speed: parseOptionalNumber('speed'),
+        step: parseOptionalNumber('step')
+    };
+}
+
+function buildShareURL(baseURL, state) {
+    return `${baseURL.split(/[?#]/)[0]}#${encodeShareState(state)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeShareState, decodeShareState, buildShareURL };
+}
@@ -0,0 +1,265 @@
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const SVG_CONTEXT_DEFAULTS = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+    shadowColor: 'rgba(0, 0, 0, 0)',
+    shadowBlur: 0,
+    shadowOffsetX: 0,
+    shadowOffsetY: 0,
+    globalCompositeOperation: 'source-over',
+    imageSmoothingEnabled: true
+};
+
+const SVG_TEXT_ANCHORS = { center: 'middle', right: 'end', end: 'end' };
+const SVG_TEXT_BASELINES = {
+    middle: 'middle',
+    top: 'hanging',
+    hanging: 'hanging',
+    bottom: 'text-after-edge',
+    ideographic: 'ideographic'
+};
+
+function escapeSVGText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatSVGNumber(value) {
+    return `${Math.round(value * 100) / 100}`;
+}
+
+function parseCanvasFont(font) {
+    const match = /^\s*(?:(italic|oblique|normal)\s+)?(?:(bold|bolder|lighter|normal|[1-9]00)\s+)?(\d+(?:\.\d+)?)px\s+(.+?)\s*$/.exec(font || '');
+    if (!match) {
+        return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+    }
+    return {
+        style: match[1] || 'normal',
+        weight: match[2] || 'normal',
+        size: parseFloat(match[3]),
+        family: match[4]
+    };
+}
+
+class SVGRenderingContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.filters = new Map();
+        this.stateStack = [];
+        this.path = [];
+        this.lineDash = [];
+        this.offsetX = 0;
+        this.offsetY = 0;
+        Object.assign(this, SVG_CONTEXT_DEFAULTS);
+    }
+
+    save() {
+        const state = { lineDash: [...this.lineDash], offsetX: this.offsetX, offsetY: this.offsetY };
+        Object.keys(SVG_CONTEXT_DEFAULTS).forEach(key => {
+            state[key] = this[key];
+        });
+        this.stateStack.push(state);
+    }
+
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
+    }
+
+    translate(x, y) {
+        this.offsetX += x;
+        this.offsetY += y;
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    formatPoint(x, y) {
+        return `${formatSVGNumber(x + this.offsetX)} ${formatSVGNumber(y + this.offsetY)}`;
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M ${this.formatPoint(x, y)}`);
+    }
+
+    lineTo(x, y) {
+        this.path.push(`L ${this.formatPoint(x, y)}`);
+    }
+
+    quadraticCurveTo(controlX, controlY, x, y) {
+        this.path.push(`Q ${this.formatPoint(controlX, controlY)} ${this.formatPoint(x, y)}`);
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const pointAt = angle => this.formatPoint(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+        const direction = anticlockwise ? -1 : 1;
+        const sweepFlag = anticlockwise ? 0 : 1;
+        const r = formatSVGNumber(radius);
+        this.path.push(`${this.path.length === 0 ? 'M' : 'L'} ${pointAt(startAngle)}`);
+        if (Math.abs(endAngle - startAngle) >= 2 * Math.PI) {
+            this.path.push(`A ${r} ${r} 0 0 ${sweepFlag} ${pointAt(startAngle + direction * Math.PI)}`);
+            this.path.push(`A ${r} ${r} 0 0 ${sweepFlag} ${pointAt(startAngle)}`);
+            return;
+        }
+        const delta = (((endAngle - startAngle) * direction) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        this.path.push(`A ${r} ${r} 0 ${delta > Math.PI ? 1 : 0} ${sweepFlag} ${pointAt(startAngle + direction * delta)}`);
+    }
+
+    closePath() {
+        this.path.push('Z');
+    }
+
+    getShadowFilter() {
+        const hasShadow = this.shadowBlur > 0 || this.shadowOffsetX !== 0 || this.shadowOffsetY !== 0;
+        if (!hasShadow || /^rgba\(.*,\s*0\)$/.test(this.shadowColor) || this.shadowColor === 'transparent') {
+            return null;
+        }
+        const key = `${this.shadowColor}|${this.shadowBlur}|${this.shadowOffsetX}|${this.shadowOffsetY}`;
+        if (!this.filters.has(key)) {
+            this.filters.set(key, {
+                id: `shadow-${this.filters.size + 1}`,
+                markup: `<feDropShadow dx="${formatSVGNumber(this.shadowOffsetX)}" dy="${formatSVGNumber(this.shadowOffsetY)}" ` +
+                    `stdDeviation="${formatSVGNumber(this.shadowBlur / 2)}" flood-color="${escapeSVGText(this.shadowColor)}"/>`
+            });
+        }
+        return this.filters.get(key).id;
+    }
+
+    getCommonAttributes() {
+        const attributes = [];
+        if (this.globalAlpha < 1) {
+            attributes.push(`opacity="${formatSVGNumber(this.globalAlpha)}"`);
+        }
+        const filterId = this.getShadowFilter();
+        if (filterId) {
+            attributes.push(`filter="url(#${filterId})"`);
+        }
+        return attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+    }
+
+    getStrokeAttributes() {
+        const attributes = [
+            `stroke="${escapeSVGText(this.strokeStyle)}"`,
+            `stroke-width="${formatSVGNumber(this.lineWidth)}"`,
+            `stroke-linecap="${this.lineCap}"`,
+            `stroke-linejoin="${this.lineJoin}"`
+        ];
+        if (this.lineDash.length > 0) {
+            attributes.push(`stroke-dasharray="${this.lineDash.map(formatSVGNumber).join(' ')}"`);
+        }
+        return attributes.join(' ');
+    }
+
+    addElement(markup) {
+        if (this.globalAlpha > 0) {
+            this.elements.push(markup);
+        }
+    }
+
+    fill() {
+        if (this.path.length > 0) {
+            this.addElement(`<path d="${this.path.join(' ')}" fill="${escapeSVGText(this.fillStyle)}"${this.getCommonAttributes()}/>`);
+        }
+    }
+
+    stroke() {
+        if (this.path.length > 0) {
+            this.addElement(`<path d="${this.path.join(' ')}" fill="none" ${this.getStrokeAttributes()}${this.getCommonAttributes()}/>`);
+        }
+    }
+
+    formatRect(x, y, width, height) {
+        const [left, top] = this.formatPoint(x, y).split(' ');
+        return `x="${left}" y="${top}" width="${formatSVGNumber(width)}" height="${formatSVGNumber(height)}"`;
+    }
+
+    fillRect(x, y, width, height) {
+        this.addElement(`<rect ${this.formatRect(x, y, width, height)} fill="${escapeSVGText(this.fillStyle)}"${this.getCommonAttributes()}/>`);
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addElement(`<rect ${this.formatRect(x, y, width, height)} fill="none" ${this.getStrokeAttributes()}${this.getCommonAttributes()}/>`);
+    }
+
+    clearRect(x, y, width, height) {
+        const left = x + this.offsetX;
+        const top = y + this.offsetY;
+        if (left <= 0 && top <= 0 && left + width >= this.width && top + height >= this.height) {
+            this.elements = [];
+            return;
+        }
+        this.elements.push(`<rect ${this.formatRect(x, y, width, height)} fill="#ffffff"/>`);
+    }
+
+    fillText(text, x, y) {
+        const font = parseCanvasFont(this.font);
+        const [left, top] = this.formatPoint(x, y).split(' ');
+        const attributes = [
+            `x="${left}"`,
+            `y="${top}"`,
+            `font-family="${escapeSVGText(font.family)}"`,
+            `font-size="${formatSVGNumber(font.size)}"`
+        ];
+        if (font.weight !== 'normal') {
+            attributes.push(`font-weight="${font.weight}"`);
+        }
+        if (font.style !== 'normal') {
+            attributes.push(`font-style="${font.style}"`);
+        }
+        if (SVG_TEXT_ANCHORS[this.textAlign]) {
+            attributes.push(`text-anchor="${SVG_TEXT_ANCHORS[this.textAlign]}"`);
+        }
+        if (SVG_TEXT_BASELINES[this.textBaseline]) {
+            attributes.push(`dominant-baseline="${SVG_TEXT_BASELINES[this.textBaseline]}"`);
+        }
+        attributes.push(`fill="${escapeSVGText(this.fillStyle)}"`);
+        this.addElement(`<text ${attributes.join(' ')}${this.getCommonAttributes()}>${escapeSVGText(text)}</text>`);
+    }
+
+    measureText(text) {
+        return { width: String(text).length * parseCanvasFont(this.font).size * 0.55 };
+    }
+
+    toSVG() {
+        const width = formatSVGNumber(this.width);
+        const height = formatSVGNumber(this.height);
+        const filters = [...this.filters.values()].map(filter =>
+            `<filter id="${filter.id}" x="-20%" y="-20%" width="140%" height="140%">${filter.markup}</filter>`);
+        return [
+            `<svg xmlns="${SVG_NAMESPACE}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...(filters.length > 0 ? ['<defs>', ...filters, '</defs>'] : []),
+            ...this.elements,
+            '</svg>'
+        ].join('\n') + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SVGRenderingContext, parseCanvasFont };
+} else if (typeof window !== 'undefined') {
+    window.SVGRenderingContext = SVGRenderingContext;
+}
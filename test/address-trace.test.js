@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const {
+    parseLackeyTrace,
+    parseAddressList,
+    isLackeyTrace,
+    mapAddressesToPages,
+    importAddressTrace
+} = require('../address-trace.js');
+
+const LACKEY_OUTPUT = [
+    '==4242== Lackey, an example Valgrind tool',
+    '==4242== Command: ./a.out',
+    'I  04000b50,3',
+    ' S 7ff000398,8',
+    'I  04000b53,5',
+    ' L 04222cac,8',
+    ' M 0421b250,4',
+    'I  04001000,2',
+    '==4242== Counted 1 call to main()'
+].join('\n');
+
+test('parses valgrind lackey output and skips tool banners', () => {
+    assert.equal(isLackeyTrace(LACKEY_OUTPUT), true);
+    const accesses = parseLackeyTrace(LACKEY_OUTPUT);
+    assert.deepEqual(accesses.map(access => access.accessType), ['I', 'S', 'I', 'L', 'M', 'I']);
+    assert.deepEqual(accesses[1], { accessType: 'S', address: 0x7ff000398, size: 8 });
+});
+
+test('rejects malformed lackey lines', () => {
+    assert.throws(() => parseLackeyTrace('I  04000b50,3\nX 1234,4'), /Unrecognized lackey line 2/);
+});
+
+test('parses address lists in hex or decimal with optional R/W prefixes', () => {
+    const accesses = parseAddressList('0x1000\n4096, 8192 # comment\nR 0x2000\nw 12288\n\n');
+    assert.deepEqual(accesses.map(access => access.address), [0x1000, 4096, 8192, 0x2000, 12288]);
+    assert.deepEqual(accesses.map(access => access.accessType), [null, null, null, 'L', 'S']);
+    assert.throws(() => parseAddressList('0x1000\nzz'), /Invalid address "zz" on line 2/);
+});
+
+test('maps addresses to pages with a configurable page size', () => {
+    const accesses = parseAddressList('0 4095 4096 8191 8192');
+    assert.deepEqual(mapAddressesToPages(accesses), [0, 0, 1, 1, 2]);
+    assert.deepEqual(mapAddressesToPages(accesses, { pageSize: 8192 }), [0, 0, 0, 0, 1]);
+    assert.throws(() => mapAddressesToPages(accesses, { pageSize: 0 }), /Page size must be a positive integer/);
+});
+
+test('accesses that cross a page boundary reference every page they touch', () => {
+    const accesses = parseLackeyTrace('I  00000ffe,4\n L 00001ffc,4\n S 00002000,8192');
+    assert.deepEqual(mapAddressesToPages(accesses), [0, 1, 1, 2, 3]);
+    assert.deepEqual(mapAddressesToPages(parseAddressList('R 0x1ff8,16\nW 0x3000,0')), [1, 2, 3]);
+    assert.deepEqual(importAddressTrace('I  00000ffe,4\nI  00000ffe,4').pageReferences, [0, 1, 0, 1]);
+});
+
+test('filters by access type, counting modify as load and store', () => {
+    const accesses = parseLackeyTrace(LACKEY_OUTPUT);
+    assert.equal(mapAddressesToPages(accesses, { accessTypes: ['I'] }).length, 3);
+    assert.deepEqual(mapAddressesToPages(accesses, { accessTypes: ['L'] }), [0x4222, 0x421b]);
+    assert.deepEqual(mapAddressesToPages(accesses, { accessTypes: ['S'] }), [0x7ff000, 0x421b]);
+});
+
+test('renumbers pages in order of first use', () => {
+    const accesses = parseAddressList('0x9000 0x1000 0x9000 0x5000');
+    assert.deepEqual(mapAddressesToPages(accesses, { renumberPages: true }), [0, 1, 0, 2]);
+});
+
+test('imported page references feed straight into FIFOAlgorithm', () => {
+    const imported = importAddressTrace(LACKEY_OUTPUT, { pageSize: 4096 });
+    assert.equal(imported.format, 'lackey');
+    assert.equal(imported.accessCount, 6);
+    assert.deepEqual(imported.pageReferences, [0x4000, 0x7ff000, 0x4000, 0x4222, 0x421b, 0x4001]);
+    assert.equal(imported.distinctPageCount, 5);
+    const algorithm = new FIFOAlgorithm(2, imported.pageReferences);
+    imported.pageReferences.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+    assert.equal(algorithm.faultCount, 5);
+});
+
+test('reports traces with nothing to simulate', () => {
+    assert.throws(() => importAddressTrace('# nothing here\n'), /Trace contains no memory accesses/);
+    assert.throws(() => importAddressTrace('I  04000b50,3', { accessTypes: ['L'] }),
+        /No memory accesses match the selected access types/);
+});
@@ -0,0 +1,225 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const { AnimationEngine } = require('../animation.js');
+
+const REFERENCES = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+function createEngine(speed = 500) {
+    const engine = new AnimationEngine(null, new FIFOAlgorithm(3, REFERENCES));
+    engine.setSpeed(speed);
+    return engine;
+}
+
+function tickSteps(context, engine, stepCount) {
+    for (let i = 0; i < stepCount; i++) {
+        context.mock.timers.tick(engine.speed);
+    }
+}
+
+beforeEach((context) => {
+    global.window = {};
+    global.document = { getElementById: () => null };
+    context.mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+    delete global.window;
+    delete global.document;
+});
+
+test('constructor requires an algorithm', () => {
+    assert.throws(() => new AnimationEngine(null, null), /Valid FIFOAlgorithm instance is required/);
+});
+
+test('start advances one step per tick of the configured speed', (context) => {
+    const engine = createEngine(500);
+    assert.equal(engine.start(), true);
+    assert.equal(engine.currentStep, 0);
+    context.mock.timers.tick(499);
+    assert.equal(engine.currentStep, 0);
+    context.mock.timers.tick(1);
+    assert.equal(engine.currentStep, 1);
+    tickSteps(context, engine, 2);
+    assert.equal(engine.currentStep, 3);
+    assert.equal(engine.getCurrentState().isPlaying, true);
+});
+
+test('start is refused while playing or when complete', (context) => {
+    const engine = createEngine(100);
+    engine.start();
+    assert.equal(engine.start(), false);
+    tickSteps(context, engine, REFERENCES.length);
+    assert.equal(engine.getCurrentState().isComplete, true);
+    assert.equal(engine.getCurrentState().isPlaying, false);
+    assert.equal(engine.start(), false);
+});
+
+test('pause stops the timer and play resumes from the same step', (context) => {
+    const engine = createEngine(200);
+    engine.start();
+    tickSteps(context, engine, 2);
+    assert.equal(engine.pause(), true);
+    assert.equal(engine.pause(), false);
+    tickSteps(context, engine, 10);
+    assert.equal(engine.currentStep, 2);
+    engine.start();
+    context.mock.timers.tick(200);
+    assert.equal(engine.currentStep, 3);
+});
+
+test('changing speed while playing applies to the next step', (context) => {
+    const engine = createEngine(1000);
+    engine.start();
+    context.mock.timers.tick(1000);
+    engine.setSpeed(100);
+    context.mock.timers.tick(1000);
+    assert.equal(engine.currentStep, 2);
+    context.mock.timers.tick(100);
+    assert.equal(engine.currentStep, 3);
+    engine.setSpeed(0);
+    assert.equal(engine.speed, 100);
+});
+
+test('stepForward and stepBackward move one step at a time', () => {
+    const engine = createEngine();
+    assert.equal(engine.stepBackward(), false);
+    assert.equal(engine.stepForward().pageNumber, 1);
+    assert.equal(engine.stepForward().pageNumber, 2);
+    assert.equal(engine.stepBackward(), true);
+    assert.equal(engine.currentStep, 1);
+    assert.deepEqual(engine.getCurrentState().algorithmState.frames, [1, null, null]);
+    assert.equal(engine.stepHistory.length, 1);
+});
+
+test('stepForward returns null at the end', () => {
+    const engine = createEngine();
+    engine.seek(REFERENCES.length);
+    assert.equal(engine.stepForward(), null);
+    assert.equal(engine.getCurrentState().canStepForward, false);
+    assert.equal(engine.getCurrentState().algorithmState.faultCount, 9);
+});
+
+test('renderers are notified of step, play, pause and complete events', (context) => {
+    const engine = createEngine(500);
+    const events = [];
+    engine.addRenderer({
+        render: (state, event) => events.push([event.type, state.currentStep, state.isPlaying, event.stepResult !== null])
+    });
+    engine.stepForward();
+    engine.start();
+    tickSteps(context, engine, 2);
+    engine.pause();
+    engine.seek(1);
+    assert.deepEqual(events, [
+        ['step', 1, false, true],
+        ['play', 1, true, false],
+        ['step', 2, true, true],
+        ['step', 3, true, true],
+        ['pause', 3, false, false],
+        ['step', 1, false, true]
+    ]);
+    events.length = 0;
+    engine.start();
+    tickSteps(context, engine, REFERENCES.length - 1);
+    assert.deepEqual(events.slice(-2), [['step', 12, true, true], ['complete', 12, false, true]]);
+    assert.equal(events.filter(([type]) => type === 'step').length, 11);
+});
+
+test('breakpoint pauses carry the breakpoint and manual stepping completes the run', (context) => {
+    const engine = createEngine(500);
+    const events = [];
+    engine.addRenderer({ render: (state, event) => events.push(event) });
+    engine.setBreakpoints({ pauseOnFault: true });
+    engine.start();
+    tickSteps(context, engine, 1);
+    assert.deepEqual(events.map(event => event.type), ['play', 'step', 'pause']);
+    assert.deepEqual(events[2].breakpoint, { type: 'fault', step: 1, pageNumber: 1 });
+    assert.equal(events[2].algorithm, engine.algorithm);
+    engine.seek(REFERENCES.length - 1);
+    events.length = 0;
+    engine.stepForward();
+    assert.deepEqual(events.map(event => event.type), ['step', 'complete']);
+});
+
+test('engines run headless and isolate failing renderers', (context) => {
+    global.updateSimulationInfo = () => assert.fail('the engine must not call page globals');
+    try {
+        const engine = createEngine(500);
+        engine.start();
+        tickSteps(context, engine, REFERENCES.length);
+        assert.equal(engine.getCurrentState().isComplete, true);
+        const statusElement = { textContent: '', className: '' };
+        global.document.getElementById = id => id === 'animation-status' ? statusElement : null;
+        const rendered = [];
+        const failing = engine.addRenderer({ render: () => { throw new Error('broken view'); } });
+        const working = engine.addRenderer({ render: (state, event) => rendered.push(event.type) });
+        engine.seek(2);
+        engine.seek(3);
+        assert.deepEqual(rendered, ['step', 'step']);
+        assert.deepEqual(engine.renderers, [working]);
+        assert.equal(statusElement.textContent, 'A view stopped updating after an error: broken view');
+        assert.equal(statusElement.className, 'show error');
+        assert.equal(engine.removeRenderer(failing), false);
+        assert.equal(engine.removeRenderer(working), true);
+        assert.throws(() => engine.addRenderer({}), /Renderer must implement render\(state, event\)/);
+        assert.throws(() => engine.emit('rewind'), /Unknown animation event: rewind/);
+    } finally {
+        delete global.updateSimulationInfo;
+    }
+});
+
+test('dispose stops playback and detaches every renderer', (context) => {
+    const engine = createEngine(500);
+    const rendered = [];
+    engine.addRenderer({ render: (state, event) => rendered.push(event.type) });
+    engine.start();
+    tickSteps(context, engine, 2);
+    engine.dispose();
+    tickSteps(context, engine, 4);
+    assert.deepEqual(rendered, ['play', 'step', 'step']);
+    assert.equal(engine.currentStep, 2);
+    assert.equal(engine.getCurrentState().isPlaying, false);
+    assert.deepEqual(engine.renderers, []);
+});
+
+test('seek rejects out-of-range targets', () => {
+    const engine = createEngine();
+    assert.equal(engine.seek(-1), false);
+    assert.equal(engine.seek(REFERENCES.length + 1), false);
+    assert.equal(engine.seek(1.5), false);
+    assert.equal(engine.currentStep, 0);
+});
+
+test('playback pauses on a fault breakpoint', (context) => {
+    const engine = createEngine(100);
+    engine.seek(3);
+    engine.setBreakpoints({ pauseOnFault: true });
+    engine.start();
+    context.mock.timers.tick(100);
+    assert.equal(engine.currentStep, 4);
+    assert.equal(engine.getCurrentState().isPlaying, false);
+    assert.deepEqual(engine.lastBreakpointHit, { type: 'fault', step: 4, pageNumber: 4 });
+});
+
+test('playback pauses when the watched page is evicted', (context) => {
+    const engine = createEngine(100);
+    engine.setBreakpoints({ evictedPage: 2 });
+    engine.start();
+    tickSteps(context, engine, REFERENCES.length);
+    assert.equal(engine.currentStep, 5);
+    assert.equal(engine.lastBreakpointHit.type, 'eviction');
+});
+
+test('effective access time follows the engine step by step', () => {
+    const engine = createEngine();
+    engine.setAccessTimeModel({ memoryAccessNs: 100, pageFaultServiceMs: 1, dirtyPagePenaltyMs: 0 });
+    assert.equal(engine.getCurrentState().effectiveAccessTime.effectiveAccessTimeNs, 100);
+    engine.stepForward();
+    assert.equal(engine.getCurrentState().effectiveAccessTime.effectiveAccessTimeNs, 1000000);
+    engine.seek(REFERENCES.length);
+    assert.equal(engine.effectiveAccessTime.faultProbability, 0.75);
+    assert.equal(engine.effectiveAccessTime.effectiveAccessTimeNs, 750025);
+    engine.stepBackward();
+    assert.equal(engine.effectiveAccessTime.faultProbability, Math.round((9 / 11) * 10000) / 10000);
+});
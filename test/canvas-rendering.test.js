@@ -0,0 +1,248 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, createMockContext2D } = require('./helpers/browser-context.js');
+
+function createInitializedContext() {
+    const browser = createBrowserContext();
+    assert.equal(browser.window.initializeCanvas(), true);
+    browser.context2D.calls.length = 0;
+    return browser;
+}
+
+function fillColorsFor(context2D, text) {
+    const index = context2D.calls.findIndex(call => call.method === 'fillText' && call.args[0] === text);
+    return context2D.calls.slice(0, index).filter(call => call.method === 'fill').pop();
+}
+
+test('initializeCanvas sizes the canvas and sets text defaults', () => {
+    const browser = createBrowserContext();
+    assert.equal(browser.window.initializeCanvas(), true);
+    assert.equal(browser.canvas.width, 1200);
+    assert.equal(browser.canvas.height, 400);
+    assert.equal(browser.context2D.textAlign, 'center');
+    assert.equal(browser.context2D.textBaseline, 'middle');
+});
+
+test('clearCanvas paints the whole canvas white', () => {
+    const { window, context2D } = createInitializedContext();
+    window.clearCanvas();
+    assert.deepEqual(context2D.calls, [
+        { method: 'fillRect', args: [0, 0, 1200, 400], fillStyle: '#ffffff', strokeStyle: '#000000', font: '14px Arial, sans-serif' }
+    ]);
+});
+
+test('drawText restores the context state after drawing', () => {
+    const { window, context2D } = createInitializedContext();
+    window.drawText('Hello', 10, 20, '#123456', '12px Arial');
+    assert.deepEqual(context2D.calls.map(call => call.method), ['save', 'fillText', 'restore']);
+    assert.equal(context2D.callsTo('fillText')[0].fillStyle, '#123456');
+    assert.equal(context2D.callsTo('fillText')[0].font, '12px Arial');
+});
+
+test('drawMemoryFrames draws the title, every frame and the legend', () => {
+    const { window, context2D } = createInitializedContext();
+    window.drawMemoryFrames([7, null, 3], {}, null, 0);
+    const texts = context2D.textsDrawn();
+    assert.equal(texts[0], 'Memory Frames (FIFO Order)');
+    ['F0', 'F1', 'F2', '7', 'Empty', '3', '← Next', 'Page Hit', 'Page Miss', 'Empty Frame'].forEach(text => {
+        assert.ok(texts.includes(text), `expected "${text}" to be drawn`);
+    });
+});
+
+test('frames are colored by their highlight state', () => {
+    const { window, context2D } = createInitializedContext();
+    const colors = window.getFrameColors;
+    window.drawMemoryFrames([1, 2, 3], { hitFrame: 1, replacementFrame: 2 }, null, 0);
+    assert.equal(fillColorsFor(context2D, '1').fillStyle, colors('oldest').fill);
+    assert.equal(fillColorsFor(context2D, '2').fillStyle, colors('hit').fill);
+    assert.equal(fillColorsFor(context2D, '3').fillStyle, colors('replacement').fill);
+});
+
+test('more than six frames use the grid layout without overlapping frames', () => {
+    const { window, context2D } = createInitializedContext();
+    window.drawMemoryFrames([1, 2, 3, 4, 5, 6, 7, 8], {}, null, -1);
+    const frameLabels = context2D.calls.filter(call => call.method === 'fillText' && /^F\d$/.test(call.args[0]));
+    assert.equal(frameLabels.length, 8);
+    const positions = frameLabels.map(call => `${call.args[1]},${call.args[2]}`);
+    assert.equal(new Set(positions).size, 8);
+    frameLabels.forEach(call => {
+        assert.ok(call.args[1] >= 0 && call.args[1] <= 1200);
+    });
+});
+
+test('the queue strip sits below the legend however many rows the frames wrap into', () => {
+    [3, 8, 14, 32].forEach(frameCount => {
+        const { window, context2D } = createInitializedContext();
+        const pageReferences = Array.from({ length: frameCount }, (_, index) => index + 1);
+        const algorithm = new window.FIFOAlgorithm(frameCount, pageReferences);
+        pageReferences.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+        window.renderFIFOState(algorithm, { currentStep: frameCount, algorithmState: algorithm.getCurrentState() });
+        const texts = context2D.callsTo('fillText');
+        const textY = text => texts.find(call => call.args[0] === text).args[2];
+        const lowestFrameLabel = Math.max(...texts.filter(call => /^F\d+$/.test(call.args[0])).map(call => call.args[2]));
+        assert.ok(lowestFrameLabel < textY('Page Hit'), `${frameCount} frames`);
+        assert.ok(textY('Page Hit') < textY('FIFO Queue'), `${frameCount} frames`);
+        assert.ok(textY('next victim') + 22 <= 400, `${frameCount} frames`);
+    });
+});
+
+test('renderFIFOState draws the current step of a running algorithm', () => {
+    const { window, context2D } = createInitializedContext();
+    const algorithm = new window.FIFOAlgorithm(3, [1, 2, 3, 4]);
+    for (let i = 0; i < 4; i++) {
+        algorithm.processPageReference(i);
+    }
+    window.renderFIFOState(algorithm, { currentStep: 4, algorithmState: algorithm.getCurrentState() });
+    const texts = context2D.textsDrawn();
+    assert.ok(!texts.includes('Error rendering visualization'));
+    assert.ok(texts.includes('4'));
+    assert.ok(texts.includes('FIFO Queue'));
+});
+
+test('dirty frames get a badge and write-backs are labelled', () => {
+    const { window, context2D } = createInitializedContext();
+    const algorithm = new window.FIFOAlgorithm(2, [1, 2, 3]);
+    algorithm.setAccessModes(['w', 'w', 'r']);
+    [0, 1, 2].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    window.renderFIFOState(algorithm, { currentStep: 3, algorithmState: algorithm.getCurrentState() });
+    const texts = context2D.textsDrawn();
+    assert.equal(texts.filter(text => text === 'D').length, 1);
+    assert.ok(texts.includes('Wrote back page 1'));
+});
+
+test('process-tagged frames show their owner and a per-process legend', () => {
+    const { window, context2D } = createInitializedContext();
+    const algorithm = new window.MultiProcessFIFO(3, [1, 1, 2], ['A', 'B', 'A']);
+    algorithm.setAllocationPolicy('local-equal');
+    [0, 1, 2].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    window.renderFIFOState(algorithm, { currentStep: 3, algorithmState: algorithm.getCurrentState() });
+    const texts = context2D.textsDrawn();
+    assert.ok(texts.includes('A:1'));
+    assert.ok(texts.includes('B:1'));
+    assert.ok(texts.includes('F0 [A]'));
+    assert.ok(texts.includes('A: 2 faults'));
+    assert.ok(texts.includes('B: 1 faults'));
+});
+
+test('the colorblind palette changes frame colors on the canvas', () => {
+    const { window, context2D } = createInitializedContext();
+    window.setColorPalette('colorblind');
+    window.drawMemoryFrames([1, 2, 3], { hitFrame: 0, missFrame: 1 });
+    assert.equal(fillColorsFor(context2D, '1').fillStyle, '#0072b2');
+    assert.equal(fillColorsFor(context2D, '2').fillStyle, '#d55e00');
+    assert.equal(window.getFrameColors('replacement').text, '#000000');
+    assert.throws(() => window.setColorPalette('sepia'), /Unknown color palette: sepia/);
+});
+
+test('each step is narrated and mirrored in a semantic frame table', () => {
+    const { window } = createBrowserContext();
+    const algorithm = new window.FIFOAlgorithm(2, [1, 2, 1, 3]);
+    algorithm.setAccessModes(['w', 'r', 'r', 'r']);
+    assert.equal(window.buildStepAnnouncement(algorithm, 0), 'Simulation at step 0 of 4. No page references processed yet.');
+    [0, 1, 2].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    assert.equal(window.buildStepAnnouncement(algorithm, 3), 'Step 3 of 4, page 1: hit in frame 0. 2 page faults so far.');
+    algorithm.processPageReference(3);
+    assert.equal(window.buildStepAnnouncement(algorithm, 4),
+        'Step 4 of 4, page 3: page fault, replaced page 1 in frame 0, writing the dirty page back to disk. 3 page faults so far.');
+    assert.deepEqual(JSON.parse(JSON.stringify(window.buildFrameStateRows(algorithm))), [
+        ['Frame 0', '3', 'Replaced page 1'],
+        ['Frame 1', '2', 'Next victim']
+    ]);
+});
+
+test('a loaded page flies into its frame and settles once the tween ends', () => {
+    const { window, context2D } = createInitializedContext();
+    let now = 1000;
+    window.performance = { now: () => now };
+    const algorithm = new window.FIFOAlgorithm(3, [1, 2, 1]);
+    window.renderFIFOState(algorithm, { currentStep: 0 });
+    algorithm.processPageReference(0);
+    context2D.calls.length = 0;
+    window.renderFIFOState(algorithm, { currentStep: 1 });
+    const flyingLabels = context2D.callsTo('fillText').filter(call => call.args[0] === '1' && call.font === 'bold 24px Arial');
+    assert.equal(flyingLabels.length, 1);
+    assert.ok(flyingLabels[0].args[2] > 200);
+    now += 350;
+    context2D.calls.length = 0;
+    window.renderFIFOState(algorithm, { currentStep: 1 });
+    assert.equal(context2D.callsTo('fillText').filter(call => call.font === 'bold 24px Arial').length, 0);
+    assert.ok(context2D.callsTo('fillText').some(call => call.args[0] === '1' && call.font === '24px Arial'));
+});
+
+test('the SVG export replays the canvas drawing and appends the history grid', () => {
+    const { window, context2D } = createInitializedContext();
+    const algorithm = new window.FIFOAlgorithm(3, [1, 2, 3, 4, 1]);
+    [0, 1, 2, 3].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    window.renderFIFOState(algorithm, { currentStep: 4 });
+    const canvasTexts = context2D.textsDrawn();
+    context2D.calls.length = 0;
+    const svg = window.buildVisualizationSVG(algorithm, { currentStep: 4 });
+    assert.equal(context2D.calls.length, 0);
+    assert.match(svg, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="1200" height="800"/);
+    const svgTexts = [...svg.matchAll(/<text [^>]*>([^<]*)<\/text>/g)].map(match => match[1]);
+    assert.deepEqual(svgTexts.slice(0, canvasTexts.length), canvasTexts);
+    assert.ok(svgTexts.includes('FIFO Frame History (steps 1-5 of 5)'));
+    assert.match(svg, /<text x="600" y="35" font-family="Arial" font-size="24" text-anchor="middle" dominant-baseline="middle" fill="#2c3e50">Memory Frames \(FIFO Order\)<\/text>/);
+    assert.match(svg, /filter="url\(#shadow-1\)"/);
+    const comparison = new window.PolicyComparison(['fifo', 'lru'], 2, [1, 2, 3]);
+    assert.match(window.buildVisualizationSVG(comparison, { currentStep: 0 }), /height="400"/);
+    assert.throws(() => window.buildVisualizationSVG(null, { currentStep: 0 }), /No simulation to export/);
+});
+
+test('recording subscribes one canvas renderer to its own engine and steps it into a GIF', async () => {
+    const { window, context2D } = createInitializedContext();
+    window.Blob = Blob;
+    const engine = new window.AnimationEngine(null, new window.FIFOAlgorithm(2, [1, 2, 3]));
+    engine.setSpeed(700);
+    const recordingContext = createMockContext2D();
+    const subscribedRenderers = [];
+    recordingContext.getImageData = (x, y, width, height) => {
+        subscribedRenderers.push(engine.renderers
+            .map(renderer => `${renderer.constructor.name}:${renderer.renderingContext === recordingContext}`).join(','));
+        return { data: new Uint8ClampedArray(width * height * 4).fill(255) };
+    };
+    const blob = await window.recordSimulationGIF(engine, { width: 4, height: 3 }, recordingContext);
+    assert.deepEqual(subscribedRenderers, new Array(4).fill('CanvasRenderer:true'));
+    assert.equal(engine.renderers.length, 0);
+    ['setOffscreen', 'refreshView', 'canvasRenderer', 'offscreen'].forEach(name => {
+        assert.ok(!(name in engine), `engine still exposes ${name}`);
+    });
+    assert.equal(blob.type, 'image/gif');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    assert.equal(String.fromCharCode(...bytes.slice(0, 6)), 'GIF89a');
+    const delays = [];
+    for (let i = 0; i < bytes.length - 4; i++) {
+        if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 0x04) {
+            delays.push(bytes[i + 4] | (bytes[i + 5] << 8));
+        }
+    }
+    assert.deepEqual(delays, [70, 70, 70, 70]);
+    assert.equal(engine.currentStep, 3);
+    assert.equal(context2D.calls.length, 0);
+    assert.ok(recordingContext.textsDrawn().includes('Memory Frames (FIFO Order)'));
+});
+
+test('a failed WebM recording stops the recorder and releases the canvas stream', async () => {
+    const { window } = createInitializedContext();
+    const stopped = [];
+    const track = { requestFrame() {}, stop: () => stopped.push('track') };
+    const recordingCanvas = { captureStream: () => ({ getVideoTracks: () => [track], getTracks: () => [track] }) };
+    window.MediaRecorder = class {
+        static isTypeSupported() {
+            return true;
+        }
+
+        start() {
+            this.state = 'recording';
+        }
+
+        stop() {
+            this.state = 'inactive';
+            stopped.push('recorder');
+        }
+    };
+    window.captureRecordingFrames = () => Promise.reject(new Error('Frame capture failed'));
+    const engine = new window.AnimationEngine(null, new window.FIFOAlgorithm(2, [1, 2, 3]));
+    await assert.rejects(window.recordSimulationWebM(engine, recordingCanvas, createMockContext2D()), /Frame capture failed/);
+    assert.deepEqual(stopped, ['recorder', 'track']);
+});
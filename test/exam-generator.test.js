@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { countFIFOFaults } = require('../belady-analysis.js');
+const {
+    EXAM_GRID_CSS,
+    generateExam,
+    generateExamProblem,
+    formatExamMarkdown,
+    formatExamHTML
+} = require('../exam-generator.js');
+
+const BASE_OPTIONS = { frameCount: 3, length: 12, pageCount: 5, seed: 1 };
+
+test('fault-count problems hit the target exactly and are reproducible from the seed', () => {
+    const exam = generateExam({ ...BASE_OPTIONS, constraint: 'fault-count', targetFaults: 8, problemCount: 4 });
+    assert.equal(exam.problems.length, 4);
+    exam.problems.forEach((problem, index) => {
+        assert.equal(problem.seed, BASE_OPTIONS.seed + index);
+        assert.equal(problem.pageReferences.length, 12);
+        assert.equal(countFIFOFaults(3, problem.pageReferences), 8);
+        assert.equal(problem.traces[0].faultCount, 8);
+    });
+    const again = generateExamProblem({ ...BASE_OPTIONS, constraint: 'fault-count', targetFaults: 8 });
+    assert.deepEqual(again.pageReferences, exam.problems[0].pageReferences);
+});
+
+test('Belady problems fault more with one extra frame', () => {
+    [{ frameCount: 3, length: 12, pageCount: 5 }, { frameCount: 4, length: 20, pageCount: 7 }].forEach(settings => {
+        for (let seed = 1; seed <= 3; seed++) {
+            const problem = generateExamProblem({ ...settings, seed, constraint: 'belady' });
+            assert.deepEqual(problem.traces.map(trace => trace.frameCount), [settings.frameCount, settings.frameCount + 1]);
+            assert.ok(problem.traces[1].faultCount > problem.traces[0].faultCount);
+            assert.equal(problem.pageReferences.length, settings.length);
+            assert.ok(problem.pageReferences.every(page => page >= 1 && page <= settings.pageCount));
+        }
+    });
+});
+
+test('replacement problems meet the minimum and the trace marks loaded frames', () => {
+    const problem = generateExamProblem({ ...BASE_OPTIONS, pageCount: 6, constraint: 'min-replacements', minReplacements: 7 });
+    const trace = problem.traces[0];
+    assert.ok(trace.replacementCount >= 7);
+    assert.equal(trace.columns.length, 12);
+    trace.columns.forEach(column => {
+        assert.equal(column.frames.length, 3);
+        if (column.isFault) {
+            assert.equal(column.frames[column.loadedFrame], column.pageNumber);
+        } else {
+            assert.equal(column.loadedFrame, null);
+        }
+    });
+});
+
+test('impossible or malformed constraints are rejected', () => {
+    assert.throws(() => generateExamProblem({ ...BASE_OPTIONS, constraint: 'lru' }), /Unknown problem constraint: lru/);
+    assert.throws(() => generateExamProblem({ ...BASE_OPTIONS, constraint: 'fault-count', targetFaults: 13 }),
+        /Target fault count must be between 1 and 12/);
+    assert.throws(() => generateExamProblem({ ...BASE_OPTIONS, frameCount: 2, constraint: 'belady' }),
+        /Belady's anomaly problems need at least 3 frames/);
+    assert.throws(() => generateExamProblem({ ...BASE_OPTIONS, length: 11, constraint: 'belady' }),
+        /Belady's anomaly problems need at least 12 references/);
+    assert.throws(() => generateExamProblem({ ...BASE_OPTIONS, pageCount: 3, constraint: 'min-replacements', minReplacements: 1 }),
+        /Minimum replacements must be between 0 and 0/);
+    assert.throws(() => generateExamProblem({ ...BASE_OPTIONS, pageCount: 2, constraint: 'fault-count', targetFaults: 12 }),
+        /Could not find a reference string matching the constraint/);
+    assert.throws(() => generateExam({ ...BASE_OPTIONS, constraint: 'belady', problemCount: 0 }),
+        /Problem count must be between 1 and 20/);
+});
+
+test('worksheets leave the grid blank while answer keys fill it in', () => {
+    const exam = generateExam({ ...BASE_OPTIONS, constraint: 'belady', title: 'Quiz <1>' });
+    const worksheet = formatExamMarkdown(exam);
+    const answerKey = formatExamMarkdown(exam, { answerKey: true });
+    assert.match(worksheet, /^# Quiz <1>\n/);
+    assert.match(worksheet, /\| Frame 0 \|( {3}\|){12}\n/);
+    assert.match(worksheet, /\*\*Answer:\*\* _+/);
+    assert.match(answerKey, /^# Quiz <1> \(Answer Key\)\n/);
+    assert.match(answerKey, /### 4 frames/);
+    assert.match(answerKey, /\| Fault \| F \| F \| F \|/);
+    assert.match(answerKey, /Adding a frame raises the fault count from 9 to 10, an instance of Belady's anomaly\./);
+    const html = formatExamHTML(exam, { answerKey: true });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Quiz &lt;1&gt; \(Answer Key\)<\/title>/);
+    assert.match(html, /@media print/);
+    assert.match(html, /break-inside: avoid/);
+    assert.equal((html.match(/<table class="exam-grid">/g) || []).length, 2);
+    assert.ok(!formatExamHTML(exam).includes('class="loaded"'));
+});
+
+test('exam grid styles have one source shared by the preview and the printed document', () => {
+    const exam = generateExam({ ...BASE_OPTIONS, constraint: 'fault-count', targetFaults: 8 });
+    assert.ok(formatExamHTML(exam).includes(EXAM_GRID_CSS));
+    const stylesheet = fs.readFileSync(path.join(__dirname, '..', 'styles.css'), 'utf8');
+    assert.doesNotMatch(stylesheet, /\.exam-(grid|problem|answer)\b|\.fault-row\b/);
+});
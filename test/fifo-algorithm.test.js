@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const { createSeededRandom } = require('../replacement-policies.js');
+
+const TEXTBOOK_REFERENCES = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+const BELADY_REFERENCES = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+function runAll(frameCount, pageReferences) {
+    const algorithm = new FIFOAlgorithm(frameCount, pageReferences);
+    for (let i = 0; i < pageReferences.length; i++) {
+        algorithm.processPageReference(i);
+    }
+    return algorithm;
+}
+
+test('textbook reference string with 3 frames gives 15 faults', () => {
+    const algorithm = runAll(3, TEXTBOOK_REFERENCES);
+    assert.equal(algorithm.faultCount, 15);
+    assert.equal(algorithm.calculateFaultRate(), 75);
+    assert.deepEqual(algorithm.frames, [7, 0, 1]);
+});
+
+test('textbook reference string evicts pages in arrival order', () => {
+    const algorithm = runAll(3, TEXTBOOK_REFERENCES);
+    const evictedPages = algorithm.getStepHistory()
+        .filter(step => step.replacedPage !== null)
+        .map(step => step.replacedPage);
+    assert.deepEqual(evictedPages, [7, 0, 1, 2, 3, 0, 4, 2, 3, 0, 1, 2]);
+});
+
+test('Belady reference string faults more with 4 frames than with 3', () => {
+    assert.equal(runAll(3, BELADY_REFERENCES).faultCount, 9);
+    assert.equal(runAll(4, BELADY_REFERENCES).faultCount, 10);
+});
+
+test('hits leave frames and queue untouched', () => {
+    const algorithm = new FIFOAlgorithm(2, [1, 2, 1]);
+    algorithm.processPageReference(0);
+    algorithm.processPageReference(1);
+    const hit = algorithm.processPageReference(2);
+    assert.equal(hit.isHit, true);
+    assert.equal(hit.replacedFrameIndex, null);
+    assert.deepEqual(hit.frameState, [1, 2]);
+    assert.deepEqual(algorithm.getEvictionOrder(), [0, 1]);
+});
+
+test('a single frame faults on every change of page', () => {
+    const algorithm = runAll(1, [1, 1, 2, 2, 1]);
+    assert.equal(algorithm.faultCount, 3);
+});
+
+test('constructor rejects invalid arguments', () => {
+    assert.throws(() => new FIFOAlgorithm(0, [1]), /Frame count must be a positive integer/);
+    assert.throws(() => new FIFOAlgorithm(1.5, [1]), /Frame count must be a positive integer/);
+    assert.throws(() => new FIFOAlgorithm(3, []), /Page references must be a non-empty array/);
+    assert.throws(() => new FIFOAlgorithm(3, [1, -2]), /index 1 must be a non-negative integer/);
+});
+
+test('processPageReference rejects out-of-range steps', () => {
+    const algorithm = new FIFOAlgorithm(3, [1, 2]);
+    assert.throws(() => algorithm.processPageReference(2), /Invalid step index: 2/);
+    assert.throws(() => algorithm.processPageReference(-1), /Invalid step index: -1/);
+});
+
+test('reset returns to the initial state', () => {
+    const algorithm = runAll(3, TEXTBOOK_REFERENCES);
+    algorithm.reset();
+    assert.deepEqual(algorithm.getCurrentState(), {
+        frames: [null, null, null],
+        currentStep: 0,
+        faultCount: 0,
+        faultRate: 0,
+        dirtyBits: [false, false, false],
+        writeBackCount: 0,
+        frameCount: 3,
+        totalSteps: TEXTBOOK_REFERENCES.length
+    });
+    assert.equal(algorithm.getOldestFrameIndex(), -1);
+});
+
+function randomCase(random) {
+    const frameCount = 1 + Math.floor(random() * 10);
+    const pageCount = 1 + Math.floor(random() * 12);
+    const length = 1 + Math.floor(random() * 50);
+    const pageReferences = Array.from({ length }, () => Math.floor(random() * pageCount));
+    return { frameCount, pageReferences };
+}
+
+test('property: fault count never exceeds the number of steps', () => {
+    const random = createSeededRandom(2024);
+    for (let i = 0; i < 300; i++) {
+        const { frameCount, pageReferences } = randomCase(random);
+        const algorithm = new FIFOAlgorithm(frameCount, pageReferences);
+        pageReferences.forEach((_, stepIndex) => {
+            const stepResult = algorithm.processPageReference(stepIndex);
+            assert.ok(stepResult.faultCount <= stepIndex + 1,
+                `frames=${frameCount} refs=${pageReferences.join(',')} step=${stepIndex + 1}`);
+        });
+        assert.ok(algorithm.faultCount >= new Set(pageReferences).size);
+    }
+});
+
+test('property: frames never hold duplicate pages', () => {
+    const random = createSeededRandom(7);
+    for (let i = 0; i < 300; i++) {
+        const { frameCount, pageReferences } = randomCase(random);
+        const algorithm = new FIFOAlgorithm(frameCount, pageReferences);
+        pageReferences.forEach((_, stepIndex) => {
+            const loadedPages = algorithm.processPageReference(stepIndex).frameState.filter(frame => frame !== null);
+            assert.equal(new Set(loadedPages).size, loadedPages.length,
+                `frames=${frameCount} refs=${pageReferences.join(',')} step=${stepIndex + 1}`);
+        });
+    }
+});
+
+test('property: the FIFO queue lists every loaded frame exactly once', () => {
+    const random = createSeededRandom(99);
+    for (let i = 0; i < 200; i++) {
+        const { frameCount, pageReferences } = randomCase(random);
+        const algorithm = runAll(frameCount, pageReferences);
+        const loadedFrames = algorithm.frames
+            .map((frame, frameIndex) => (frame === null ? null : frameIndex))
+            .filter(frameIndex => frameIndex !== null);
+        assert.deepEqual([...algorithm.getEvictionOrder()].sort((a, b) => a - b), loadedFrames);
+    }
+});
+
+test('summary history mode keeps totals without per-step history', () => {
+    const full = runAll(3, TEXTBOOK_REFERENCES);
+    const summary = new FIFOAlgorithm(3, TEXTBOOK_REFERENCES);
+    summary.setHistoryMode('summary');
+    TEXTBOOK_REFERENCES.forEach((_, stepIndex) => {
+        const stepResult = summary.processPageReference(stepIndex);
+        assert.equal(stepResult.frameState, undefined);
+        assert.equal(stepResult.isHit, full.getStepHistory()[stepIndex].isHit);
+    });
+    assert.deepEqual(summary.getCurrentState(), full.getCurrentState());
+    assert.deepEqual(summary.getStepHistory(), []);
+    assert.equal(summary.getLastStepResult().pageNumber, 1);
+    summary.restoreToStep(9);
+    assert.deepEqual(summary.frames, full.getStepHistory()[9].frameState);
+    assert.throws(() => summary.setHistoryMode('compact'), /Unknown history mode: compact/);
+});
+
+test('page lookup index stays in sync with the frames', () => {
+    const random = createSeededRandom(13);
+    for (let i = 0; i < 100; i++) {
+        const { frameCount, pageReferences } = randomCase(random);
+        const algorithm = runAll(frameCount, pageReferences);
+        algorithm.frames.forEach((page, frameIndex) => {
+            if (page !== null) {
+                assert.equal(algorithm.getFrameIndexOfPage(page), frameIndex);
+            }
+        });
+        assert.equal(algorithm.pageFrameIndex.size, algorithm.frames.filter(frame => frame !== null).length);
+    }
+});
+
+test('large traces run in summary mode', () => {
+    const random = createSeededRandom(5);
+    const pageReferences = Array.from({ length: 200000 }, () => Math.floor(random() * 6000));
+    const algorithm = new FIFOAlgorithm(4096, pageReferences);
+    algorithm.setHistoryMode('summary');
+    pageReferences.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+    assert.equal(algorithm.getCurrentState().currentStep, 200000);
+    assert.ok(algorithm.faultCount >= 4096 && algorithm.faultCount <= 200000);
+    assert.equal(algorithm.getStepHistory().length, 0);
+});
+
+test('dirty pages are written back when evicted', () => {
+    const algorithm = new FIFOAlgorithm(2, [1, 2, 1, 3, 4, 2]);
+    algorithm.setAccessModes(['r', 'w', 'w', 'r', 'r', 'r']);
+    const steps = [0, 1, 2, 3, 4, 5].map(stepIndex => algorithm.processPageReference(stepIndex));
+    assert.deepEqual(steps.map(step => step.writeBack), [false, false, false, true, true, false]);
+    assert.deepEqual(steps[2].dirtyState, [true, true]);
+    assert.deepEqual(steps[4].dirtyState, [false, false]);
+    assert.equal(algorithm.writeBackCount, 2);
+    algorithm.restoreToStep(2);
+    assert.deepEqual(algorithm.dirtyBits, [true, true]);
+    assert.equal(algorithm.writeBackCount, 0);
+});
+
+test('read-only runs never write back', () => {
+    const algorithm = runAll(3, TEXTBOOK_REFERENCES);
+    assert.equal(algorithm.writeBackCount, 0);
+    assert.ok(algorithm.getStepHistory().every(step => !step.isWrite && !step.writeBack));
+    assert.throws(() => algorithm.setAccessModes(['w']), /Access modes must give "r" or "w"/);
+});
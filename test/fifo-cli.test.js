@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArguments, EXIT_CODES } = require('../fifo-cli.js');
+
+const CLI_PATH = path.join(__dirname, '..', 'fifo-cli.js');
+
+function runCli(args, input = '') {
+    return spawnSync(process.execPath, [CLI_PATH, ...args], { input, encoding: 'utf8', timeout: 10000 });
+}
+
+test('parseArguments reads short, long and inline options', () => {
+    const options = parseArguments(['-f', '3', '--refs=1,2,3', '--policy', 'lru', '-F', 'csv', '--large', '4', '-']);
+    assert.equal(options.frames, '3');
+    assert.equal(options.refs, '1,2,3');
+    assert.equal(options.policy, 'lru');
+    assert.equal(options.format, 'csv');
+    assert.equal(options.large, true);
+    assert.deepEqual(options.positional, ['4', '-']);
+    assert.equal(parseArguments(['--page-size', '4096', '-A', 'load,store']).pageSize, 4096);
+    assert.equal(parseArguments(['-h']).help, true);
+});
+
+test('parseArguments rejects unknown or incomplete options', () => {
+    assert.throws(() => parseArguments(['--frames']), /Option --frames requires a value/);
+    assert.throws(() => parseArguments(['--verbose']), /Unknown option: --verbose/);
+    assert.throws(() => parseArguments(['-F', 'xml']), /Unknown format "xml"/);
+    assert.throws(() => parseArguments(['-p', 'mru']), /Unknown policy "mru"/);
+    assert.throws(() => parseArguments(['-P', '0']), /Page size must be a positive integer/);
+    assert.throws(() => parseArguments(['-A', 'load']), /--access requires --page-size/);
+    assert.throws(() => parseArguments(['-a', 'shared']), /Unknown allocation "shared"/);
+});
+
+test('exit codes follow the documented table', () => {
+    const success = runCli(['-f', '3', '-r', '1,2,3,4,1', '-F', 'summary']);
+    assert.equal(success.status, EXIT_CODES.SUCCESS);
+    assert.equal(success.stdout, 'FIFO: frames=3 steps=5 faults=5 faultRate=100%\n');
+    const usage = runCli(['--frames', '3', '--bogus']);
+    assert.equal(usage.status, 2);
+    assert.match(usage.stderr, /Unknown option: --bogus/);
+    assert.equal(runCli(['-f', '3', '-a', 'local', '-r', '1,2']).status, 2);
+    assert.equal(runCli(['-f', '11', '-r', '1,2']).status, 3);
+    assert.equal(runCli(['-f', '3']).status, 4);
+    const invalid = runCli(['-f', '3', '-r', '1,x']);
+    assert.equal(invalid.status, 5);
+    assert.match(invalid.stderr, /^Error: /);
+    assert.equal(runCli(['-f', '3', '-r', new Array(51).fill(1).join(',')]).status, 6);
+    assert.equal(runCli(['-f', '3', '-L', '-F', 'summary', '-r', new Array(51).fill(1).join(',')]).status, 0);
+});
+
+test('references are read from a file or from standard input', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fifo-cli-'));
+    try {
+        const inputPath = path.join(directory, 'refs.txt');
+        fs.writeFileSync(inputPath, '1 2 3\n4 1\n');
+        const fromFile = runCli(['-f', '3', '-i', inputPath, '-F', 'summary']);
+        assert.equal(fromFile.status, 0);
+        assert.equal(fromFile.stdout, 'FIFO: frames=3 steps=5 faults=5 faultRate=100%\n');
+        const fromStdin = runCli(['-f', '2', '-F', 'summary'], '1,2,1\n');
+        assert.equal(fromStdin.stdout, 'FIFO: frames=2 steps=3 faults=2 faultRate=66.67%\n');
+        const exported = runCli(['-f', '2', '-r', '1,2w,3', '-F', 'json']).stdout;
+        const fromJSON = runCli(['-F', 'summary'], exported);
+        assert.equal(fromJSON.status, 0);
+        assert.equal(fromJSON.stdout, 'FIFO: frames=2 steps=3 faults=3 faultRate=100% writeBacks=0 io=3 ioTime=24ms\n');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('traces are written as CSV, JSON or Markdown', () => {
+    const csvLines = runCli(['-f', '3', '-r', '1,2,3,4', '-F', 'csv']).stdout.trim().split('\n');
+    assert.equal(csvLines.length, 5);
+    assert.ok(csvLines[0].startsWith('Step,Page Reference,Hit/Miss,Frame State'));
+    assert.ok(csvLines[4].startsWith('4,4,Miss,"4,2,3",4,100,0,1,'));
+    const json = JSON.parse(runCli(['-f', '3', '-r', '1,2,3,4', '-F', 'json']).stdout);
+    assert.equal(json.metadata.frameCount, 3);
+    assert.equal(json.metadata.totalFaults, 4);
+    assert.equal(json.steps.length, 4);
+    const markdownLines = runCli(['-f', '3', '-r', '1,2,3,4', '-F', 'markdown']).stdout.trim().split('\n');
+    assert.ok(markdownLines[0].startsWith('| Step | Page Reference |'));
+    assert.ok(markdownLines[1].startsWith('|---|---|'));
+    assert.ok(markdownLines[5].startsWith('| 4 | 4 | Miss | 4,2,3 |'));
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fifo-cli-'));
+    try {
+        const outputPath = path.join(directory, 'trace.md');
+        const written = runCli(['-f', '3', '-r', '1,2,3,4', '-o', outputPath]);
+        assert.equal(written.status, 0);
+        assert.match(written.stdout, /Trace written to .*trace\.md/);
+        assert.ok(fs.readFileSync(outputPath, 'utf8').startsWith('| Step | Page Reference |'));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GIFEncoder, quantizeFrame, encodeLZW } = require('../gif-encoder.js');
+
+function decodeLZW(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let table = [];
+    let codeSize = minCodeSize + 1;
+    let previous = null;
+    let bitPosition = 0;
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < clearCode; i++) {
+            table.push([i]);
+        }
+        table.push(null, null);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    const readCode = () => {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++) {
+            const bit = bitPosition + i;
+            code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        }
+        bitPosition += codeSize;
+        return code;
+    };
+    reset();
+    for (;;) {
+        const code = readCode();
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) {
+            return output;
+        }
+        const entry = code < table.length ? table[code] : [...previous, previous[0]];
+        output.push(...entry);
+        if (previous) {
+            table.push([...previous, entry[0]]);
+        }
+        previous = entry;
+        if (table.length === (1 << codeSize) && codeSize < 12) {
+            codeSize++;
+        }
+    }
+}
+
+function decodeGIF(bytes) {
+    let position = 0;
+    const readByte = () => bytes[position++];
+    const readShort = () => readByte() | (readByte() << 8);
+    const readSubBlocks = () => {
+        const data = [];
+        let size;
+        while ((size = readByte()) !== 0) {
+            data.push(...bytes.slice(position, position + size));
+            position += size;
+        }
+        return data;
+    };
+    const gif = { header: String.fromCharCode(...bytes.slice(0, 6)), loop: null, frames: [] };
+    position = 6;
+    gif.width = readShort();
+    gif.height = readShort();
+    position += 3;
+    let delay = 0;
+    for (;;) {
+        const block = readByte();
+        if (block === 0x3b) {
+            return gif;
+        }
+        if (block === 0x21) {
+            const label = readByte();
+            const data = readSubBlocks();
+            if (label === 0xf9) {
+                delay = data[1] | (data[2] << 8);
+            } else if (label === 0xff) {
+                gif.loop = data[12] | (data[13] << 8);
+            }
+            continue;
+        }
+        assert.equal(block, 0x2c);
+        position += 8;
+        const palette = bytes.slice(position + 1, position + 1 + 3 * (1 << ((bytes[position] & 7) + 1)));
+        position += 1 + palette.length;
+        const minCodeSize = readByte();
+        const indices = decodeLZW(readSubBlocks(), minCodeSize);
+        gif.frames.push({ delay, pixels: indices.map(index => [...palette.slice(index * 3, index * 3 + 3)]) });
+    }
+}
+
+function createFrame(width, height, colorAt) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+        rgba.set([...colorAt(pixel), 255], pixel * 4);
+    }
+    return rgba;
+}
+
+test('LZW output decodes back to the original indices across dictionary resets', () => {
+    let seed = 7;
+    const indices = Array.from({ length: 20000 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % 256;
+    });
+    assert.deepEqual(decodeLZW(encodeLZW(indices, 8), 8), indices);
+    const runs = Array.from({ length: 5000 }, (_, i) => Math.floor(i / 700));
+    assert.deepEqual(decodeLZW(encodeLZW(runs, 8), 8), runs);
+});
+
+test('encoded GIFs loop forever and keep every frame and delay', () => {
+    const palette = [[255, 255, 255], [44, 62, 80], [231, 76, 60], [39, 174, 96]];
+    const encoder = new GIFEncoder(40, 30);
+    const first = createFrame(40, 30, pixel => palette[pixel % 4]);
+    const second = createFrame(40, 30, pixel => palette[Math.floor(pixel / 40) % 4]);
+    encoder.addFrame(first, 500);
+    encoder.addFrame(second, 1234);
+    const gif = decodeGIF(encoder.finish());
+    assert.equal(gif.header, 'GIF89a');
+    assert.equal(gif.width, 40);
+    assert.equal(gif.height, 30);
+    assert.equal(gif.loop, 0);
+    assert.deepEqual(gif.frames.map(frame => frame.delay), [50, 123]);
+    assert.deepEqual(gif.frames[0].pixels.slice(0, 4), palette);
+    assert.deepEqual(gif.frames[1].pixels[40], palette[1]);
+    assert.equal(gif.frames[1].pixels.length, 1200);
+});
+
+test('frames with more than 256 colors are reduced to the most common ones', () => {
+    const rgba = createFrame(64, 64, pixel => pixel < 2048 ? [200, 10, 10] : [pixel % 256, (pixel * 7) % 256, 90]);
+    const { palette, indices } = quantizeFrame(rgba);
+    assert.equal(palette.length, 768);
+    assert.ok(indices.every(index => index < 256));
+    assert.deepEqual([...palette.slice(indices[0] * 3, indices[0] * 3 + 3)], [200, 10, 10]);
+});
+
+test('invalid dimensions, frame sizes and empty GIFs are rejected', () => {
+    assert.throws(() => new GIFEncoder(0, 10), /GIF dimensions must be between 1 and 65535 pixels/);
+    assert.throws(() => new GIFEncoder(10, 70000), /GIF dimensions must be between 1 and 65535 pixels/);
+    const encoder = new GIFEncoder(2, 2);
+    assert.throws(() => encoder.addFrame(new Uint8ClampedArray(12), 100), /Frame data must contain 2x2 RGBA pixels/);
+    assert.throws(() => encoder.finish(), /A GIF needs at least one frame/);
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BROWSER_SCRIPTS = [
+    'replacement-policies.js',
+    'fifo-algorithm.js',
+    'policy-comparison.js',
+    'multi-process.js',
+    'belady-analysis.js',
+    'working-set.js',
+    'input-validation.js',
+    'io-cost.js',
+    'execution-trace.js',
+    'trace-import.js',
+    'address-trace.js',
+    'share-link.js',
+    'reference-generators.js',
+    'practice-mode.js',
+    'exam-generator.js',
+    'svg-renderer.js',
+    'gif-encoder.js',
+    'renderers.js',
+    'script.js',
+    'animation.js'
+];
+
+function createMockContext2D() {
+    const calls = [];
+    const context = {
+        calls,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        font: '10px sans-serif',
+        globalAlpha: 1,
+        textsDrawn() {
+            return calls.filter(call => call.method === 'fillText').map(call => call.args[0]);
+        },
+        callsTo(method) {
+            return calls.filter(call => call.method === method);
+        }
+    };
+    const recordedMethods = [
+        'save', 'restore', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'quadraticCurveTo', 'arc',
+        'fill', 'stroke', 'fillRect', 'strokeRect', 'clearRect', 'fillText', 'setLineDash'
+    ];
+    recordedMethods.forEach(method => {
+        context[method] = (...args) => {
+            calls.push({
+                method,
+                args,
+                fillStyle: context.fillStyle,
+                strokeStyle: context.strokeStyle,
+                font: context.font
+            });
+        };
+    });
+    context.measureText = text => ({ width: String(text).length * 7 });
+    return context;
+}
+
+function createMockElement() {
+    return {
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        setAttribute() {},
+        getAttribute: () => null,
+        addEventListener() {},
+        appendChild() {},
+        querySelectorAll: () => [],
+        textContent: '',
+        innerHTML: ''
+    };
+}
+
+function createBrowserContext(options = {}) {
+    const context2D = createMockContext2D();
+    const canvasElement = {
+        ...createMockElement(),
+        width: 0,
+        height: 0,
+        getContext: type => (type === '2d' ? context2D : null),
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 1200, height: 400 })
+    };
+    const elements = { 'simulation-canvas': canvasElement, ...options.elements };
+    const document = {
+        getElementById: id => elements[id] || null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        createElement: () => createMockElement(),
+        addEventListener() {}
+    };
+    const sandbox = {
+        document,
+        console,
+        performance,
+        setTimeout,
+        clearTimeout,
+        URLSearchParams,
+        location: { hash: '', search: '', href: 'http://localhost/', ...options.location }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    BROWSER_SCRIPTS.forEach(fileName => {
+        const source = fs.readFileSync(path.join(__dirname, '..', '..', fileName), 'utf8');
+        vm.runInContext(source, sandbox, { filename: fileName });
+    });
+    return { window: sandbox, canvas: canvasElement, context2D };
+}
+
+module.exports = { createBrowserContext, createMockContext2D, createMockElement };
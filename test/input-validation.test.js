@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateInputs, formatReferenceString, VALIDATION_ERROR_CODES, INPUT_LIMITS } = require('../input-validation.js');
+
+test('accepts a valid frame count and reference list', () => {
+    const result = validateInputs('3', '1, 2, 3,4');
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.frameCount, 3);
+    assert.deepEqual(result.pageReferences, [1, 2, 3, 4]);
+});
+
+test('frame count boundaries are 1 and 10', () => {
+    assert.equal(validateInputs('1', '1').isValid, true);
+    assert.equal(validateInputs('10', '1').isValid, true);
+    ['0', '11', '-1', 'abc', ''].forEach(frameCount => {
+        const result = validateInputs(frameCount, '1');
+        assert.equal(result.isValid, false, `frame count "${frameCount}"`);
+        assert.deepEqual(result.errorCodes, [VALIDATION_ERROR_CODES.FRAME_COUNT_OUT_OF_RANGE]);
+    });
+});
+
+test('empty and whitespace-only references are rejected', () => {
+    [null, undefined, '', '   '].forEach(references => {
+        const result = validateInputs('3', references);
+        assert.equal(result.isValid, false);
+        assert.equal(result.errorCodes[0], VALIDATION_ERROR_CODES.EMPTY_REFERENCES);
+    });
+});
+
+test('invalid references report their position', () => {
+    const result = validateInputs('3', '1,2,x,4');
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, ['Invalid page reference "x" at position 3']);
+    assert.deepEqual(result.errorCodes, [VALIDATION_ERROR_CODES.INVALID_REFERENCE]);
+});
+
+test('negative references and trailing commas are invalid', () => {
+    assert.deepEqual(validateInputs('3', '1,-2').errorCodes, [VALIDATION_ERROR_CODES.INVALID_REFERENCE]);
+    assert.deepEqual(validateInputs('3', '1,2,').errors, ['Invalid page reference "" at position 3']);
+});
+
+test('at most 50 references are allowed', () => {
+    const fifty = Array.from({ length: 50 }, (_, index) => index % 7).join(',');
+    assert.equal(validateInputs('3', fifty).isValid, true);
+    const result = validateInputs('3', `${fifty},1`);
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errorCodes, [VALIDATION_ERROR_CODES.TOO_MANY_REFERENCES]);
+});
+
+test('independent problems are all reported', () => {
+    const result = validateInputs('0', '');
+    assert.deepEqual(result.errorCodes, [
+        VALIDATION_ERROR_CODES.FRAME_COUNT_OUT_OF_RANGE,
+        VALIDATION_ERROR_CODES.EMPTY_REFERENCES
+    ]);
+    assert.equal(result.errors.length, 2);
+});
+
+test('limits can be raised for large traces', () => {
+    const references = Array.from({ length: 5000 }, (_, index) => index % 300).join(',');
+    assert.equal(validateInputs('3', references).isValid, false);
+    const result = validateInputs('4096', references, INPUT_LIMITS.large);
+    assert.equal(result.isValid, true);
+    assert.equal(result.pageReferences.length, 5000);
+    assert.deepEqual(validateInputs('4097', '1', INPUT_LIMITS.large).errors, ['Frame count must be between 1 and 4096']);
+});
+
+test('custom limits are reported in error messages', () => {
+    const result = validateInputs('2', '1,2,3', { maxFrameCount: 2, maxReferenceCount: 2 });
+    assert.deepEqual(result.errors, ['Maximum 2 page references allowed']);
+});
+
+test('references accept r and w access suffixes', () => {
+    const result = validateInputs('3', '5w, 2r,7, 5W');
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.pageReferences, [5, 2, 7, 5]);
+    assert.deepEqual(result.accessModes, ['w', 'r', 'r', 'w']);
+    assert.equal(result.hasWrites, true);
+    assert.equal(validateInputs('3', '1,2').hasWrites, false);
+    assert.deepEqual(validateInputs('3', '1,w2').errors, ['Invalid page reference "w2" at position 2']);
+    assert.equal(formatReferenceString(result.pageReferences, result.accessModes), '5w,2,7,5w');
+});
+
+test('references accept a process prefix on every entry or none', () => {
+    const result = validateInputs('3', 'A:1, b2:3w,A : 2');
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.pageReferences, [1, 3, 2]);
+    assert.deepEqual(result.processIds, ['A', 'b2', 'A']);
+    assert.equal(result.hasProcesses, true);
+    assert.equal(validateInputs('3', '1,2').processIds, null);
+    assert.equal(formatReferenceString(result.pageReferences, result.accessModes, result.processIds), 'A:1,b2:3w,A:2');
+    assert.deepEqual(validateInputs('3', 'A:1,2').errors,
+        ['Page reference "2" at position 2 has no process ID; tag every reference or none']);
+});
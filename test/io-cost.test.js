@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_IO_COST,
+    estimateIOCost,
+    getIOCostModel,
+    formatIOCost,
+    calculateEffectiveAccessTime,
+    formatAccessTime
+} = require('../io-cost.js');
+const { createReplacementPolicy } = require('../replacement-policies.js');
+const { buildExecutionTraceExport, formatExecutionTraceCSV, generateExecutionTrace } = require('../execution-trace.js');
+const { analyzeBeladyAnomaly } = require('../belady-analysis.js');
+
+test('I/O cost counts page reads and write-backs', () => {
+    const ioCost = estimateIOCost(10, 3);
+    assert.deepEqual(ioCost, {
+        pageReads: 10,
+        pageWrites: 3,
+        totalOperations: 13,
+        estimatedTimeMs: 13 * DEFAULT_IO_COST.pageReadMs
+    });
+    assert.equal(formatIOCost(ioCost), '13 I/O (104 ms)');
+    assert.equal(estimateIOCost(2, 1, { pageReadMs: 5, pageWriteMs: 20 }).estimatedTimeMs, 30);
+    assert.throws(() => estimateIOCost(-1, 0), /non-negative integers/);
+});
+
+test('I/O cost follows the configured fault service time and dirty-page penalty', () => {
+    assert.deepEqual(getIOCostModel(), DEFAULT_IO_COST);
+    const costModel = getIOCostModel({ memoryAccessNs: 100, pageFaultServiceMs: 5, dirtyPagePenaltyMs: 20 });
+    assert.deepEqual(costModel, { pageReadMs: 5, pageWriteMs: 20 });
+    assert.equal(estimateIOCost(2, 1, costModel).estimatedTimeMs, 30);
+    const algorithm = createReplacementPolicy('fifo', 1, [1, 2]);
+    algorithm.setAccessModes(['w', 'r']);
+    [0, 1].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    const exported = buildExecutionTraceExport(algorithm, generateExecutionTrace(algorithm),
+        { memoryAccessNs: 100, pageFaultServiceMs: 5, dirtyPagePenaltyMs: 20 });
+    assert.equal(exported.metadata.ioCost.estimatedTimeMs, 30);
+});
+
+test('exported traces include write-backs and I/O cost', () => {
+    const algorithm = createReplacementPolicy('lru', 2, [1, 2, 3, 1]);
+    algorithm.setAccessModes(['w', 'r', 'r', 'r']);
+    [0, 1, 2, 3].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    const exported = buildExecutionTraceExport(algorithm);
+    assert.equal(exported.metadata.writeBackCount, 1);
+    assert.deepEqual(exported.metadata.accessModes, ['w', 'r', 'r', 'r']);
+    assert.equal(exported.metadata.ioCost.totalOperations, 5);
+    const csvRows = formatExecutionTraceCSV(generateExecutionTrace(algorithm)).split('\n');
+    assert.ok(csvRows[0].endsWith('Access,Dirty Frames,Write-back,Write-back Count,Process,Process Fault Count'));
+    assert.ok(csvRows[1].endsWith('W,0,No,0,,'));
+    assert.ok(csvRows[3].endsWith('R,,Yes,1,,'));
+});
+
+test('CSV fields are quoted whenever they hold a comma, quote or line break', () => {
+    const algorithm = createReplacementPolicy('lru', 2, [1, 2, 3]);
+    [0, 1, 2].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    const traceData = generateExecutionTrace(algorithm);
+    traceData[0].processId = 'say "hi"\nthen';
+    traceData[0].processFaultCount = 1;
+    const csvRows = formatExecutionTraceCSV(traceData).split('\n');
+    assert.ok(csvRows[0].includes(',Fault Rate (%),'));
+    assert.ok(csvRows[1].startsWith('1,1,Miss,"1,",1,'));
+    assert.ok(csvRows[1].endsWith(',"say ""hi""'));
+    assert.equal(csvRows[2], 'then",1');
+    assert.ok(csvRows[3].startsWith('2,2,Miss,"1,2",2,'));
+    assert.ok(csvRows[4].startsWith('3,3,Miss,"3,2",3,100,0,1,"2,3",R,,No,0,,'));
+});
+
+test('effective access time matches the textbook example', () => {
+    const effectiveAccessTime = calculateEffectiveAccessTime(1000, 1, 0);
+    assert.equal(effectiveAccessTime.effectiveAccessTimeNs, 8199.8);
+    assert.equal(effectiveAccessTime.slowdown, 41);
+    assert.equal(formatAccessTime(effectiveAccessTime.effectiveAccessTimeNs), '8.2 µs');
+    assert.equal(calculateEffectiveAccessTime(0, 0).effectiveAccessTimeNs, 200);
+});
+
+test('dirty-page penalty is charged per write-back', () => {
+    const model = { memoryAccessNs: 100, pageFaultServiceMs: 2, dirtyPagePenaltyMs: 3 };
+    assert.equal(calculateEffectiveAccessTime(10, 2, 1, model).effectiveAccessTimeNs, 80 + 400000 + 300000);
+    assert.throws(() => calculateEffectiveAccessTime(10, 2, 0, { memoryAccessNs: 0 }), /Memory access time must be a positive number/);
+    assert.throws(() => calculateEffectiveAccessTime(10, 2, 0, { dirtyPagePenaltyMs: -1 }), /Dirty-page penalty/);
+    assert.throws(() => calculateEffectiveAccessTime(2, 3, 0), /between 0 and the number of steps/);
+});
+
+test('exported metadata and frame sweeps include effective access time', () => {
+    const algorithm = createReplacementPolicy('fifo', 3, [1, 2, 3, 4]);
+    [0, 1, 2, 3].forEach(stepIndex => algorithm.processPageReference(stepIndex));
+    const model = { memoryAccessNs: 100, pageFaultServiceMs: 1, dirtyPagePenaltyMs: 1 };
+    const exported = buildExecutionTraceExport(algorithm, generateExecutionTrace(algorithm), model);
+    assert.deepEqual(exported.metadata.accessTimeModel, model);
+    assert.equal(exported.metadata.effectiveAccessTime.effectiveAccessTimeNs, 1000000);
+    const analysis = analyzeBeladyAnomaly([1, 2, 1, 3, 1, 2], 3, { accessTimeModel: model });
+    assert.deepEqual(analysis.points.map(point => point.faultCount), [6, 5, 3]);
+    assert.deepEqual(analysis.points.map(point => point.effectiveAccessTimeNs), [1000000, 833350, 500050]);
+});
+
+test('Belady analysis keeps the process tags and access modes it was run with', () => {
+    const tagged = analyzeBeladyAnomaly([3, 3, 1], 2, { processIds: ['A', 'B', 'A'], accessModes: ['w', 'r', 'r'] });
+    assert.deepEqual(tagged.processIds, ['A', 'B', 'A']);
+    assert.deepEqual(tagged.accessModes, ['w', 'r', 'r']);
+    assert.deepEqual(tagged.points.map(point => point.faultCount), [3, 3]);
+    assert.deepEqual(tagged.points.map(point => point.writeBackCount), [1, 1]);
+    const untagged = analyzeBeladyAnomaly([3, 3, 1], 2);
+    assert.equal(untagged.processIds, null);
+    assert.equal(untagged.accessModes, null);
+    assert.deepEqual(untagged.points.map(point => point.faultCount), [2, 2]);
+});
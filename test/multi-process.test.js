@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MultiProcessFIFO, computeFrameAllocation } = require('../multi-process.js');
+const { buildExecutionTraceExport, generateExecutionTrace } = require('../execution-trace.js');
+
+const PAGE_REFERENCES = [1, 2, 1, 3, 1, 1, 4, 1, 2, 1, 3, 1];
+const PROCESS_IDS = ['A', 'A', 'B', 'A', 'B', 'B', 'A', 'B', 'A', 'B', 'A', 'B'];
+
+function runAll(frameCount, allocationPolicy) {
+    const algorithm = new MultiProcessFIFO(frameCount, PAGE_REFERENCES, PROCESS_IDS);
+    algorithm.setAllocationPolicy(allocationPolicy);
+    PAGE_REFERENCES.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+    return algorithm;
+}
+
+test('frames are split equally or by distinct page count', () => {
+    const processIds = [...Array(10).fill('A'), ...Array(127).fill('B')];
+    const pageReferences = processIds.map((_, index) => index);
+    const proportional = computeFrameAllocation(62, pageReferences, processIds, 'local-proportional');
+    assert.deepEqual(proportional.map(allocation => allocation.frameCount), [5, 57]);
+    assert.deepEqual(proportional.map(allocation => allocation.firstFrame), [0, 5]);
+    const equal = computeFrameAllocation(5, pageReferences, processIds, 'local-equal');
+    assert.deepEqual(equal.map(allocation => allocation.frameCount), [3, 2]);
+    assert.equal(computeFrameAllocation(5, pageReferences, processIds, 'global'), null);
+    assert.throws(() => computeFrameAllocation(1, pageReferences, processIds, 'local-equal'),
+        /Local allocation needs at least 2 frames/);
+    assert.throws(() => computeFrameAllocation(5, pageReferences, processIds, 'working-set'),
+        /Unknown allocation policy: working-set/);
+});
+
+test('the same page number in two processes is two different pages', () => {
+    const algorithm = new MultiProcessFIFO(2, [1, 1, 1], ['A', 'B', 'A']);
+    const steps = [0, 1, 2].map(stepIndex => algorithm.processPageReference(stepIndex));
+    assert.deepEqual(steps.map(step => step.isHit), [false, false, true]);
+    assert.deepEqual(algorithm.frameOwners, ['A', 'B']);
+    assert.throws(() => new MultiProcessFIFO(2, [1, 2], ['A']), /Every page reference needs a process ID/);
+});
+
+test('local replacement only evicts frames owned by the faulting process', () => {
+    const global = runAll(3, 'global');
+    const local = runAll(3, 'local-equal');
+    assert.equal(global.algorithmName, 'Global FIFO');
+    assert.equal(local.algorithmName, 'Local FIFO');
+    assert.equal(global.faultCount, 8);
+    assert.equal(local.faultCount, 7);
+    assert.equal(global.getStepHistory()[8].replacedProcessId, 'B');
+    local.getStepHistory().forEach(step => {
+        if (step.replacedProcessId !== null) {
+            assert.equal(step.replacedProcessId, step.processId);
+        }
+    });
+    assert.deepEqual(local.getProcessStats().map(stats => [stats.allocatedFrames, stats.faultCount]), [[2, 6], [1, 1]]);
+});
+
+test('per-process counters survive restoreToStep', () => {
+    const algorithm = runAll(3, 'local-equal');
+    const expected = algorithm.getStepHistory()[5];
+    algorithm.restoreToStep(5);
+    assert.deepEqual(algorithm.frames, expected.frameState);
+    assert.deepEqual(algorithm.frameOwners, expected.frameOwners);
+    assert.equal(algorithm.getProcessStats().reduce((sum, stats) => sum + stats.references, 0), 6);
+    assert.equal(algorithm.processPageReference(6).isHit, runAll(3, 'local-equal').getStepHistory()[6].isHit);
+});
+
+test('exported traces name the process of every reference', () => {
+    const algorithm = runAll(3, 'local-equal');
+    const trace = generateExecutionTrace(algorithm);
+    assert.equal(trace[0].processId, 'A');
+    assert.equal(trace[2].frameState, 'A:1,A:2,B:1');
+    const exported = buildExecutionTraceExport(algorithm);
+    assert.deepEqual(exported.metadata.processIds, PROCESS_IDS);
+    assert.equal(exported.metadata.allocationPolicy, 'local-equal');
+    assert.equal(exported.metadata.processStats.length, 2);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PolicyComparison } = require('../policy-comparison.js');
+
+const BELADY_REFERENCES = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+function runAll(comparison) {
+    comparison.pageReferences.forEach((_, stepIndex) => comparison.processPageReference(stepIndex));
+    return comparison;
+}
+
+test('FIFO and LRU diverge at step 10, where LRU evicts page 5 and FIFO evicts page 1', () => {
+    const comparison = runAll(new PolicyComparison(['fifo', 'lru'], 3, BELADY_REFERENCES));
+    assert.equal(comparison.findFirstDivergence(1), 10);
+    assert.equal(comparison.findFirstOverallDivergence(), 10);
+    const divergence = comparison.getStepHistory()[9].results;
+    assert.equal(String(divergence[0].frameState), '5,3,2');
+    assert.equal(String(divergence[1].frameState), '3,1,2');
+    const summary = comparison.getComparisonSummary();
+    assert.equal(summary.divergenceStep, 10);
+    assert.deepEqual(summary.algorithms.map(algorithm => [algorithm.algorithmName, algorithm.faultCount, algorithm.divergesFromBaselineAt]),
+        [['FIFO', 9, null], ['LRU', 10, 10]]);
+});
+
+test('a divergence is only reported once it has happened', () => {
+    const comparison = new PolicyComparison(['fifo', 'lru'], 3, BELADY_REFERENCES);
+    BELADY_REFERENCES.slice(0, 9).forEach((_, stepIndex) => comparison.processPageReference(stepIndex));
+    assert.equal(comparison.findFirstOverallDivergence(), null);
+    comparison.processPageReference(9);
+    assert.equal(comparison.findFirstOverallDivergence(), 10);
+    comparison.restoreToStep(8);
+    assert.equal(comparison.findFirstOverallDivergence(), null);
+});
+
+test('two identical policies never diverge', () => {
+    const comparison = runAll(new PolicyComparison(['fifo', 'fifo'], 3, BELADY_REFERENCES));
+    assert.equal(comparison.findFirstDivergence(1), null);
+    const summary = comparison.getComparisonSummary();
+    assert.equal(summary.divergenceStep, null);
+    assert.deepEqual(summary.algorithms.map(algorithm => algorithm.faultCount), [9, 9]);
+    assert.equal(summary.algorithms[1].divergesFromBaselineAt, null);
+});
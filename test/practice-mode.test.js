@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const { AnimationEngine } = require('../animation.js');
+const { PracticeSession, parseFrameStateAnswer, formatPracticeLogJSON } = require('../practice-mode.js');
+
+const REFERENCES = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+function createSession() {
+    const engine = new AnimationEngine(null, new FIFOAlgorithm(3, REFERENCES));
+    return new PracticeSession(engine);
+}
+
+beforeEach(() => {
+    global.window = {};
+    global.document = { getElementById: () => null };
+});
+
+afterEach(() => {
+    delete global.window;
+    delete global.document;
+});
+
+test('frame answers are split on commas with - for empty frames', () => {
+    assert.deepEqual(parseFrameStateAnswer('4, 2 ,-', 3), ['4', '2', null]);
+    assert.deepEqual(parseFrameStateAnswer('A: 1,,B:2', 3), ['A:1', null, 'B:2']);
+    assert.throws(() => parseFrameStateAnswer('1,2', 3),
+        /Enter 3 frame values separated by commas \(use - for an empty frame\)/);
+    assert.throws(() => parseFrameStateAnswer('1,2', 1), /Enter 1 frame value separated/);
+});
+
+test('answers are graded against the step the engine then takes', () => {
+    const session = createSession();
+    assert.deepEqual(session.getPendingReference(), { step: 1, pageNumber: 1, processId: null, isWrite: false });
+    const first = session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: ['1', null, null] });
+    assert.equal(first.correct, true);
+    assert.deepEqual(first.mistakes, []);
+    assert.equal(session.engine.currentStep, 1);
+    session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: ['1', '2', null] });
+    session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: ['1', '2', '3'] });
+    const fourth = session.submitAnswer({ outcome: 'hit', victimFrame: 2, frames: ['1', '2', '4'] });
+    assert.equal(fourth.correct, false);
+    assert.deepEqual(fourth.mistakes, ['outcome', 'victimFrame', 'frames']);
+    assert.deepEqual(fourth.expected, { outcome: 'miss', victimFrame: 0, frames: ['4', '2', '3'] });
+    const fifth = session.submitAnswer({ outcome: 'miss', victimFrame: 1, frames: ['4', '2', '3'] });
+    assert.deepEqual(fifth.mistakes, ['frames']);
+    assert.deepEqual(session.getScore(), { correct: 3, total: 5, percentage: 60 });
+});
+
+test('invalid answers are rejected without advancing the engine', () => {
+    const session = createSession();
+    assert.throws(() => session.submitAnswer({ outcome: null, victimFrame: null, frames: [null, null, null] }),
+        /Choose whether the reference is a hit or a miss/);
+    assert.throws(() => session.submitAnswer({ outcome: 'miss', victimFrame: 3, frames: [null, null, null] }),
+        /Victim frame must be between 0 and 2/);
+    assert.throws(() => session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: ['1'] }),
+        /Predict the contents of all 3 frames/);
+    assert.equal(session.engine.currentStep, 0);
+    assert.equal(session.attempts.length, 0);
+    assert.throws(() => new PracticeSession(null), /Practice mode needs an initialized simulation/);
+    assert.throws(() => new PracticeSession({ algorithm: { algorithms: [] } }),
+        /Practice mode is not available in comparison mode/);
+});
+
+test('practice mode blocks playback and stepping outside of answers', () => {
+    const session = createSession();
+    const engine = session.engine;
+    engine.setPracticeMode(true);
+    assert.equal(engine.start(), false);
+    assert.equal(engine.canStepForward(), false);
+    assert.equal(engine.canStepBackward(), false);
+    session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: ['1', null, null] });
+    assert.equal(engine.currentStep, 1);
+    assert.equal(engine.seek(0), false);
+    assert.equal(engine.currentStep, 1);
+    assert.equal(engine.getCurrentState().practiceMode, true);
+    engine.setPracticeMode(false);
+    assert.equal(engine.canStepBackward(), true);
+});
+
+test('the attempt log records metadata, answers and the final score', () => {
+    const session = createSession();
+    REFERENCES.forEach(() => {
+        const pending = session.getPendingReference();
+        session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: [`${pending.pageNumber}`, null, null] });
+    });
+    assert.equal(session.isComplete(), true);
+    assert.throws(() => session.submitAnswer({ outcome: 'miss', victimFrame: null, frames: [null, null, null] }),
+        /Every page reference has already been answered/);
+    const log = JSON.parse(formatPracticeLogJSON(session));
+    assert.equal(log.metadata.algorithm, 'FIFO');
+    assert.equal(log.metadata.frameCount, 3);
+    assert.deepEqual(log.metadata.pageReferences, REFERENCES);
+    assert.deepEqual(log.metadata.score, { correct: 1, total: 12, percentage: 8.33 });
+    assert.equal(log.attempts.length, 12);
+    assert.deepEqual(Object.keys(log.attempts[0]),
+        ['step', 'pageNumber', 'processId', 'isWrite', 'answer', 'expected', 'correct', 'mistakes']);
+});
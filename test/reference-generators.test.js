@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    REFERENCE_GENERATORS,
+    generateReferenceString,
+    generateWorkingSetReferences,
+    generateLoopingReferences,
+    generateZipfReferences,
+    generateMarkovReferences
+} = require('../reference-generators.js');
+
+const BASE_OPTIONS = { length: 500, pageCount: 12, seed: 42 };
+
+for (const modelId of Object.keys(REFERENCE_GENERATORS)) {
+    test(`${modelId}: the same seed gives the same references within the page range`, () => {
+        const references = generateReferenceString(modelId, BASE_OPTIONS);
+        assert.deepEqual(generateReferenceString(modelId, BASE_OPTIONS), references);
+        assert.equal(references.length, 500);
+        references.forEach(page => assert.ok(Number.isInteger(page) && page >= 1 && page <= 12, `page ${page}`));
+        assert.equal(generateReferenceString(modelId, { length: 1, pageCount: 1, seed: 7 }).length, 1);
+        assert.deepEqual(generateReferenceString(modelId, { length: 20, pageCount: 1, seed: 7 }), new Array(20).fill(1));
+    });
+}
+
+test('different seeds give different random streams', () => {
+    ['uniform', 'working-set', 'zipf', 'markov'].forEach(modelId => {
+        assert.notDeepEqual(generateReferenceString(modelId, BASE_OPTIONS),
+            generateReferenceString(modelId, { ...BASE_OPTIONS, seed: 43 }), modelId);
+    });
+});
+
+test('working-set phases draw from a fixed set of pages', () => {
+    const references = generateWorkingSetReferences({ ...BASE_OPTIONS, workingSetSize: 3, phaseLength: 25 });
+    for (let start = 0; start < references.length; start += 25) {
+        assert.ok(new Set(references.slice(start, start + 25)).size <= 3, `phase at ${start}`);
+    }
+});
+
+test('loops repeat the same run of consecutive pages', () => {
+    const references = generateLoopingReferences({ ...BASE_OPTIONS, loopLength: 5 });
+    const loop = references.slice(0, 5);
+    loop.forEach((page, index) => assert.equal(page, loop[0] + index));
+    references.forEach((page, index) => assert.equal(page, loop[index % 5]));
+    assert.equal(new Set(generateLoopingReferences({ ...BASE_OPTIONS, loopLength: 50 })).size, 12);
+});
+
+test('Zipf favors low ranks and Markov mostly moves to neighbors', () => {
+    const zipf = generateZipfReferences({ ...BASE_OPTIONS, length: 2000, exponent: 1.2 });
+    const countOf = page => zipf.filter(reference => reference === page).length;
+    assert.ok(countOf(1) > countOf(2) && countOf(2) > countOf(12));
+    const markov = generateMarkovReferences({ ...BASE_OPTIONS, length: 2000, localityProbability: 1 });
+    markov.slice(1).forEach((page, index) => {
+        const distance = Math.abs(page - markov[index]);
+        assert.ok(distance <= 1 || distance === 11, `step ${index + 1}`);
+    });
+});
+
+test('invalid options are rejected', () => {
+    assert.throws(() => generateReferenceString('bursty', BASE_OPTIONS), /Unknown reference model: bursty/);
+    assert.throws(() => generateReferenceString('uniform', { ...BASE_OPTIONS, length: 0 }), /Length must be a positive integer/);
+    assert.throws(() => generateReferenceString('loop', { ...BASE_OPTIONS, pageCount: 2.5 }), /Page count must be a positive integer/);
+    assert.throws(() => generateReferenceString('markov', { ...BASE_OPTIONS, seed: 'abc' }), /Seed must be an integer/);
+    assert.throws(() => generateZipfReferences({ ...BASE_OPTIONS, exponent: -1 }), /Zipf exponent must be zero or greater/);
+    assert.throws(() => generateMarkovReferences({ ...BASE_OPTIONS, localityProbability: 1.5 }),
+        /Locality probability must be between 0 and 1/);
+});
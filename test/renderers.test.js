@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const { MultiProcessFIFO } = require('../multi-process.js');
+const { PolicyComparison } = require('../policy-comparison.js');
+const { AnimationEngine } = require('../animation.js');
+const { CanvasRenderer, TableRenderer, TextRenderer } = require('../renderers.js');
+
+function createElement(tagName) {
+    return {
+        tagName,
+        children: [],
+        attributes: {},
+        textContent: '',
+        set innerHTML(value) {
+            this.children = [];
+        },
+        setAttribute(name, value) {
+            this.attributes[name] = value;
+        },
+        appendChild(child) {
+            this.children.push(child);
+        }
+    };
+}
+
+beforeEach(() => {
+    global.window = {};
+    global.document = { getElementById: () => null };
+});
+
+afterEach(() => {
+    delete global.window;
+    delete global.document;
+});
+
+test('the text renderer narrates a headless run', () => {
+    const engine = new AnimationEngine(new TextRenderer(), new FIFOAlgorithm(2, [1, 2, 1, 3]));
+    const written = [];
+    const textRenderer = engine.addRenderer(new TextRenderer(line => written.push(line)));
+    engine.render();
+    for (let step = 0; step < engine.totalSteps; step++) {
+        engine.stepForward();
+    }
+    assert.deepEqual(written, [
+        'Step 0/4: no references processed | frames [- -]',
+        'Step 1/4: page 1 fault | frames [1 -] | faults 1',
+        'Step 2/4: page 2 fault | frames [1 2] | faults 2',
+        'Step 3/4: page 1 hit | frames [1 2] | faults 2',
+        'Step 4/4: page 3 fault, evicted page 1 | frames [3 2] | faults 3',
+        'Complete after 4 steps: 3 faults (75% fault rate)'
+    ]);
+    assert.equal(engine.renderers[0].getText(), textRenderer.getText());
+});
+
+test('several views subscribe to one engine, including comparisons and processes', () => {
+    const comparison = new AnimationEngine(null, new PolicyComparison(['fifo', 'lru'], 2, [1, 2, 1, 3]));
+    const comparisonText = comparison.addRenderer(new TextRenderer());
+    const tableBody = createElement('tbody');
+    tableBody.ownerDocument = { createElement };
+    comparison.addRenderer(new TableRenderer(tableBody));
+    comparison.seek(4);
+    assert.equal(comparisonText.lines[0],
+        'Step 4/4: page 3: FIFO fault, evicted page 1, LRU fault, evicted page 2 | frames FIFO [3 2] LRU [1 3] | faults 3');
+    assert.deepEqual(tableBody.children.map(row => row.children.map(cell => cell.textContent)), [
+        ['FIFO frame 0', '3'],
+        ['FIFO frame 1', '2'],
+        ['LRU frame 0', '1'],
+        ['LRU frame 1', '3']
+    ]);
+    assert.equal(tableBody.children[0].children[0].tagName, 'th');
+    assert.deepEqual(tableBody.children[0].children[0].attributes, { scope: 'row' });
+    const processes = new AnimationEngine(null, new MultiProcessFIFO(2, [1, 1], ['A', 'B']));
+    const processText = processes.addRenderer(new TextRenderer());
+    processes.seek(2);
+    assert.equal(processText.lines[0], 'Step 2/2: page B:1 fault | frames [A:1 B:1] | faults 2');
+});
+
+test('the canvas renderer hands its context and the engine state to the draw function', () => {
+    const renderingContext = { id: 'offscreen' };
+    const draws = [];
+    const engine = new AnimationEngine(null, new FIFOAlgorithm(2, [1, 2]));
+    engine.addRenderer(new CanvasRenderer(renderingContext, (context, algorithm, state) => {
+        draws.push([context, algorithm, state.currentStep]);
+    }));
+    engine.stepForward();
+    engine.stepForward();
+    assert.deepEqual(draws, [
+        [renderingContext, engine.algorithm, 1],
+        [renderingContext, engine.algorithm, 2],
+        [renderingContext, engine.algorithm, 2]
+    ]);
+    assert.throws(() => new CanvasRenderer(null, () => {}), /Canvas renderer needs a rendering context and a draw function/);
+    assert.throws(() => new TableRenderer(null), /Table renderer needs a table body element/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OptimalAlgorithm, createSeededRandom } = require('../replacement-policies.js');
+
+const TEXTBOOK_REFERENCES = [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1];
+
+function runOptimalByScanning(frameCount, pageReferences) {
+    const frames = [];
+    const victims = [];
+    pageReferences.forEach((pageNumber, stepIndex) => {
+        if (frames.includes(pageNumber)) {
+            victims.push(null);
+            return;
+        }
+        if (frames.length < frameCount) {
+            frames.push(pageNumber);
+            victims.push(null);
+            return;
+        }
+        let victimIndex = 0;
+        let farthestUse = -1;
+        frames.forEach((framePage, frameIndex) => {
+            const nextUse = pageReferences.indexOf(framePage, stepIndex + 1);
+            const distance = nextUse === -1 ? Infinity : nextUse;
+            if (distance > farthestUse) {
+                farthestUse = distance;
+                victimIndex = frameIndex;
+            }
+        });
+        victims.push(victimIndex);
+        frames[victimIndex] = pageNumber;
+    });
+    return victims;
+}
+
+test('OPT matches the textbook fault count', () => {
+    const algorithm = new OptimalAlgorithm(3, TEXTBOOK_REFERENCES);
+    TEXTBOOK_REFERENCES.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+    assert.equal(algorithm.faultCount, 9);
+    assert.deepEqual(algorithm.frames, [7, 0, 1]);
+});
+
+test('OPT evicts the same frames as a farthest-next-use scan', () => {
+    const random = createSeededRandom(13);
+    for (let trial = 0; trial < 40; trial++) {
+        const frameCount = 1 + Math.floor(random() * 6);
+        const pageReferences = Array.from({ length: 80 }, () => Math.floor(random() * 10));
+        const algorithm = new OptimalAlgorithm(frameCount, pageReferences);
+        const victims = pageReferences.map((_, stepIndex) => algorithm.processPageReference(stepIndex).replacedFrameIndex);
+        assert.deepEqual(victims, runOptimalByScanning(frameCount, pageReferences), `trial ${trial}`);
+        algorithm.restoreToStep(39);
+        assert.equal(algorithm.getStepHistory().length, 40);
+    }
+});
+
+test('OPT handles large traces without rescanning the future', () => {
+    const random = createSeededRandom(21);
+    const pageReferences = Array.from({ length: 200000 }, () => Math.floor(random() * 6000));
+    const algorithm = new OptimalAlgorithm(1024, pageReferences);
+    algorithm.setHistoryMode('summary');
+    const started = Date.now();
+    pageReferences.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(algorithm.currentStep, 200000);
+    assert.ok(algorithm.victimHeap.length <= 4 * 1024 + 1);
+});
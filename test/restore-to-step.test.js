@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const { createReplacementPolicy, REPLACEMENT_POLICIES } = require('../replacement-policies.js');
+const { AnimationEngine } = require('../animation.js');
+
+const REFERENCE_STRINGS = [
+    [7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1],
+    [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5],
+    [3, 1, 3, 2, 4, 1, 5, 2, 1, 3, 6, 4, 2, 6]
+];
+
+function runForward(algorithm, stepCount) {
+    const results = [];
+    for (let i = 0; i < stepCount; i++) {
+        results.push(algorithm.processPageReference(i));
+    }
+    return results;
+}
+
+function summarizeStep(stepResult) {
+    return {
+        pageNumber: stepResult.pageNumber,
+        isHit: stepResult.isHit,
+        replacedFrameIndex: stepResult.replacedFrameIndex,
+        replacedPage: stepResult.replacedPage,
+        frameState: stepResult.frameState,
+        queueOrder: stepResult.queueOrder,
+        faultCount: stepResult.faultCount
+    };
+}
+
+test('FIFO restoreToStep keeps arrival order instead of frame-index order', () => {
+    const algorithm = new FIFOAlgorithm(3, [1, 2, 3, 4, 1, 5]);
+    runForward(algorithm, 4);
+    assert.deepEqual(algorithm.getEvictionOrder(), [1, 2, 0]);
+    algorithm.processPageReference(4);
+    algorithm.restoreToStep(3);
+    assert.deepEqual(algorithm.getEvictionOrder(), [1, 2, 0]);
+    assert.equal(algorithm.processPageReference(4).replacedPage, 2);
+});
+
+test('FIFO restoreToStep restores counters and truncates history', () => {
+    const algorithm = new FIFOAlgorithm(3, REFERENCE_STRINGS[0]);
+    runForward(algorithm, 10);
+    algorithm.restoreToStep(4);
+    const state = algorithm.getCurrentState();
+    assert.equal(state.currentStep, 5);
+    assert.equal(state.faultCount, algorithm.getStepHistory()[4].faultCount);
+    assert.equal(algorithm.getStepHistory().length, 5);
+});
+
+test('FIFO snapshots are independent copies', () => {
+    const algorithm = new FIFOAlgorithm(2, [1, 2, 3]);
+    const first = algorithm.processPageReference(0);
+    runForward(algorithm, 3);
+    assert.deepEqual(first.snapshot, {
+        frames: [1, null],
+        fifoQueue: [0],
+        dirtyBits: [false, false],
+        currentStep: 1,
+        faultCount: 1,
+        writeBackCount: 0
+    });
+});
+
+test('FIFO restoreStateSnapshot rejects snapshots for another frame count', () => {
+    const algorithm = new FIFOAlgorithm(3, [1, 2, 3]);
+    assert.throws(() => algorithm.restoreStateSnapshot({ frames: [1], fifoQueue: [0], currentStep: 1, faultCount: 1 }),
+        /Invalid state snapshot/);
+});
+
+for (const policyId of Object.keys(REPLACEMENT_POLICIES)) {
+    test(`${policyId}: stepping back then forward replays the forward run exactly`, () => {
+        REFERENCE_STRINGS.forEach(pageReferences => {
+            for (let frameCount = 1; frameCount <= 4; frameCount++) {
+                const expected = runForward(createReplacementPolicy(policyId, frameCount, pageReferences),
+                    pageReferences.length).map(summarizeStep);
+                for (let restoreIndex = 0; restoreIndex < pageReferences.length - 1; restoreIndex++) {
+                    const algorithm = createReplacementPolicy(policyId, frameCount, pageReferences);
+                    runForward(algorithm, pageReferences.length);
+                    algorithm.restoreToStep(restoreIndex);
+                    const replayed = [];
+                    for (let i = restoreIndex + 1; i < pageReferences.length; i++) {
+                        replayed.push(summarizeStep(algorithm.processPageReference(i)));
+                    }
+                    assert.deepEqual(replayed, expected.slice(restoreIndex + 1),
+                        `frames=${frameCount} restored to step ${restoreIndex + 1}`);
+                    assert.deepEqual(algorithm.getStepHistory().map(summarizeStep), expected);
+                }
+            }
+        });
+    });
+}
+
+test('AnimationEngine stepBackward and seek replay deterministically', () => {
+    global.window = {};
+    try {
+        const pageReferences = REFERENCE_STRINGS[1];
+        const expected = runForward(new FIFOAlgorithm(3, pageReferences), pageReferences.length).map(summarizeStep);
+        const engine = new AnimationEngine(null, new FIFOAlgorithm(3, pageReferences));
+        for (let i = 0; i < 6; i++) {
+            engine.stepForward();
+        }
+        assert.equal(engine.stepBackward(), true);
+        assert.equal(engine.stepBackward(), true);
+        assert.equal(engine.currentStep, 4);
+        assert.equal(engine.seek(pageReferences.length), true);
+        assert.deepEqual(engine.stepHistory.map(summarizeStep), expected);
+        assert.equal(engine.seek(0), true);
+        assert.equal(engine.seek(7), true);
+        assert.deepEqual(engine.stepHistory.map(summarizeStep), expected.slice(0, 7));
+        assert.deepEqual(engine.algorithm.getStepHistory().map(summarizeStep), expected.slice(0, 7));
+    } finally {
+        delete global.window;
+    }
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeShareState, decodeShareState, buildShareURL } = require('../share-link.js');
+const { createBrowserContext, createMockElement } = require('./helpers/browser-context.js');
+
+function openSharedLink(hash) {
+    const frameCountInput = { ...createMockElement(), value: '' };
+    const pageReferencesInput = { ...createMockElement(), value: '' };
+    const { window } = createBrowserContext({
+        elements: { 'frame-count': frameCountInput, 'page-references': pageReferencesInput },
+        location: { hash }
+    });
+    const errors = [];
+    window.displayError = message => errors.push(message);
+    window.initializeApplication();
+    return { window, errors, frameCountInput, pageReferencesInput };
+}
+
+test('a shared state survives an encode and decode round trip', () => {
+    const encoded = encodeShareState({
+        frameCount: 3,
+        pageReferences: [1, 2, 1],
+        accessModes: ['r', 'w', 'r'],
+        processIds: ['A', 'B', 'A'],
+        allocationPolicy: 'local',
+        policy: 'fifo',
+        comparePolicies: null,
+        speed: 500,
+        step: 2
+    });
+    assert.equal(encoded, 'frames=3&refs=A:1,B:2w,A:1&alloc=local&speed=500&step=2');
+    const decoded = decodeShareState(`#${encoded}`);
+    assert.equal(decoded.frameCount, '3');
+    assert.equal(decoded.pageReferences, 'A:1,B:2w,A:1');
+    assert.equal(decoded.allocationPolicy, 'local');
+    assert.equal(decoded.policy, 'fifo');
+    assert.equal(decoded.comparePolicies, null);
+    assert.equal(decoded.speed, 500);
+    assert.equal(decoded.step, 2);
+    const comparison = decodeShareState(`?${encodeShareState({ frameCount: 2, pageReferences: [4, 5], comparePolicies: ['fifo', 'lru'] })}`);
+    assert.deepEqual(comparison.comparePolicies, ['fifo', 'lru']);
+    assert.equal(comparison.step, null);
+    assert.equal(buildShareURL('http://localhost/index.html?x=1#old', { frameCount: 1, pageReferences: [7] }),
+        'http://localhost/index.html#frames=1&refs=7');
+});
+
+test('hashes without a frame count and references are ignored', () => {
+    assert.equal(decodeShareState(''), null);
+    assert.equal(decodeShareState('#'), null);
+    assert.equal(decodeShareState('#frames=3'), null);
+    assert.equal(decodeShareState('#refs=1,2'), null);
+    const malformed = decodeShareState('#frames=3&refs=%E0%A4%A&speed=fast');
+    assert.equal(malformed.pageReferences, '\uFFFD%A');
+    assert.equal(malformed.speed, null);
+});
+
+test('opening a shared link restores the simulation and clamps the step to the trace', () => {
+    const { window, errors, frameCountInput, pageReferencesInput } = openSharedLink('#frames=3&refs=1,2,3,4,1&step=99');
+    assert.deepEqual(errors, []);
+    assert.equal(frameCountInput.value, '3');
+    assert.equal(pageReferencesInput.value, '1,2,3,4,1');
+    assert.equal(window.currentAnimationEngine.totalSteps, 5);
+    assert.equal(window.currentAnimationEngine.currentStep, 5);
+    assert.equal(openSharedLink('#frames=3&refs=1,2,3&step=-4').window.currentAnimationEngine.currentStep, 0);
+});
+
+test('malformed or out-of-limit links report an error instead of throwing', () => {
+    const tooManyFrames = openSharedLink('#frames=99&refs=1,2,3');
+    assert.equal(tooManyFrames.window.currentAnimationEngine, undefined);
+    assert.match(tooManyFrames.errors[0], /Frame count must be between 1 and 10/);
+    const tooManyReferences = openSharedLink(`#frames=3&refs=${new Array(51).fill(1).join(',')}`);
+    assert.equal(tooManyReferences.window.currentAnimationEngine, undefined);
+    assert.equal(tooManyReferences.errors.length, 1);
+    ['#frames=abc&refs=1,,x', '#frames=3&refs=%E0%A4%A', '#frames=3&refs=1,2&policy=bogus&compare=,&step=x'].forEach(hash => {
+        assert.doesNotThrow(() => openSharedLink(hash), hash);
+    });
+    assert.equal(openSharedLink('#frames=3&refs=%E0%A4%A').window.currentAnimationEngine, undefined);
+    assert.equal(openSharedLink('#frames=3&refs=1,2&policy=bogus&step=x').window.currentAnimationEngine.currentStep, 0);
+});
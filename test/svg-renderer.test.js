@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SVGRenderingContext, parseCanvasFont } = require('../svg-renderer.js');
+
+test('canvas font strings are split into SVG font attributes', () => {
+    assert.deepEqual(parseCanvasFont('bold 24px Arial'), { style: 'normal', weight: 'bold', size: 24, family: 'Arial' });
+    assert.deepEqual(parseCanvasFont('italic 600 12.5px Arial, sans-serif'),
+        { style: 'italic', weight: '600', size: 12.5, family: 'Arial, sans-serif' });
+    assert.deepEqual(parseCanvasFont('huge'), { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' });
+});
+
+test('paths, rectangles and text become SVG elements with the current styles', () => {
+    const context = new SVGRenderingContext(100, 50);
+    context.fillStyle = '#ff0000';
+    context.fillRect(1, 2, 30.456, 4);
+    context.strokeStyle = '#00ff00';
+    context.lineWidth = 3;
+    context.setLineDash([4, 2]);
+    context.beginPath();
+    context.moveTo(0, 0);
+    context.quadraticCurveTo(5, 5, 10, 0);
+    context.closePath();
+    context.stroke();
+    context.font = 'bold 14px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('A < B', 50, 25);
+    assert.deepEqual(context.elements, [
+        '<rect x="1" y="2" width="30.46" height="4" fill="#ff0000"/>',
+        '<path d="M 0 0 Q 5 5 10 0 Z" fill="none" stroke="#00ff00" stroke-width="3" stroke-linecap="butt" ' +
+            'stroke-linejoin="miter" stroke-dasharray="4 2"/>',
+        '<text x="50" y="25" font-family="Arial" font-size="14" font-weight="bold" text-anchor="middle" ' +
+            'dominant-baseline="middle" fill="#ff0000">A &lt; B</text>'
+    ]);
+    assert.match(context.toSVG(), /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="100" height="50" viewBox="0 0 100 50">\n/);
+});
+
+test('save and restore cover styles, dashes and translation', () => {
+    const context = new SVGRenderingContext(100, 100);
+    context.save();
+    context.translate(10, 20);
+    context.globalAlpha = 0.5;
+    context.setLineDash([1, 1]);
+    context.fillRect(0, 0, 5, 5);
+    context.globalAlpha = 0;
+    context.fillRect(0, 0, 5, 5);
+    context.restore();
+    context.fillRect(0, 0, 5, 5);
+    assert.deepEqual(context.elements, [
+        '<rect x="10" y="20" width="5" height="5" fill="#000000" opacity="0.5"/>',
+        '<rect x="0" y="0" width="5" height="5" fill="#000000"/>'
+    ]);
+    assert.deepEqual(context.getLineDash(), []);
+    context.clearRect(0, 0, 100, 100);
+    assert.deepEqual(context.elements, []);
+});
+
+test('arcs use SVG arc commands and shadows share one filter', () => {
+    const context = new SVGRenderingContext(100, 100);
+    context.beginPath();
+    context.arc(50, 50, 10, 0, Math.PI * 2);
+    context.shadowColor = '#333333';
+    context.shadowBlur = 8;
+    context.fill();
+    context.beginPath();
+    context.arc(50, 50, 10, 0, Math.PI * 1.5);
+    context.fill();
+    assert.equal(context.elements[0],
+        '<path d="M 60 50 A 10 10 0 0 1 40 50 A 10 10 0 0 1 60 50" fill="#000000" filter="url(#shadow-1)"/>');
+    assert.equal(context.elements[1], '<path d="M 60 50 A 10 10 0 1 1 50 40" fill="#000000" filter="url(#shadow-1)"/>');
+    const svg = context.toSVG();
+    assert.equal((svg.match(/<filter /g) || []).length, 1);
+    assert.match(svg, /<feDropShadow dx="0" dy="0" stdDeviation="4" flood-color="#333333"\/>/);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FIFOAlgorithm = require('../fifo-algorithm.js');
+const { createReplacementPolicy } = require('../replacement-policies.js');
+const { MultiProcessFIFO } = require('../multi-process.js');
+const { createBrowserContext } = require('./helpers/browser-context.js');
+const { formatExecutionTraceCSV, formatExecutionTraceJSON, generateExecutionTrace } = require('../execution-trace.js');
+const {
+    parseCSVLine,
+    parseExecutionTraceJSON,
+    parseExecutionTraceCSV,
+    parseImportedTraceFile,
+    findPolicyIdForAlgorithmName,
+    verifyImportedSteps
+} = require('../trace-import.js');
+
+const BELADY_REFERENCES = [1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5];
+
+function runAll(algorithm) {
+    algorithm.pageReferences.forEach((_, stepIndex) => algorithm.processPageReference(stepIndex));
+    return algorithm;
+}
+
+test('parseCSVLine splits on commas outside quotes and unescapes doubled quotes', () => {
+    assert.deepEqual(parseCSVLine('1,"3,2,",Miss, 4 '), ['1', '3,2,', 'Miss', '4']);
+    assert.deepEqual(parseCSVLine('"say ""hi""",,"a,b"'), ['say "hi"', '', 'a,b']);
+    assert.deepEqual(parseCSVLine(''), ['']);
+});
+
+test('an exported CSV trace imports back and verifies step by step', () => {
+    const algorithm = runAll(new FIFOAlgorithm(3, BELADY_REFERENCES));
+    const imported = parseImportedTraceFile('trace.csv', formatExecutionTraceCSV(generateExecutionTrace(algorithm)));
+    assert.equal(imported.frameCount, 3);
+    assert.deepEqual(imported.pageReferences, BELADY_REFERENCES);
+    assert.equal(imported.accessModes, null);
+    assert.equal(imported.steps.length, BELADY_REFERENCES.length);
+    assert.deepEqual(imported.steps[0], {
+        step: 1, pageReference: 1, isHit: false, frameState: '1,,', faultCount: 1,
+        faultRate: 100, replacedFrame: null, replacedPage: null
+    });
+    assert.equal(imported.steps[6].frameState, '5,1,2');
+    const verification = verifyImportedSteps(imported.frameCount, imported.pageReferences, imported.steps);
+    assert.equal(verification.isValid, true);
+    assert.equal(verification.checkedSteps, 12);
+    assert.equal(verification.firstMismatch, null);
+});
+
+test('quoted list columns keep writes and process owners through a CSV round trip', () => {
+    const writes = createReplacementPolicy('fifo', 2, [1, 2, 3]);
+    writes.setAccessModes(['w', 'r', 'r']);
+    runAll(writes);
+    const importedWrites = parseExecutionTraceCSV(formatExecutionTraceCSV(generateExecutionTrace(writes)));
+    assert.deepEqual(importedWrites.accessModes, ['w', 'r', 'r']);
+    assert.equal(importedWrites.steps[2].frameState, '3,2');
+    const processes = runAll(new MultiProcessFIFO(2, [1, 1, 2], ['A', 'B', 'A']));
+    const csv = formatExecutionTraceCSV(generateExecutionTrace(processes));
+    assert.ok(csv.split('\n')[2].includes('"A:1,B:1"'));
+    const importedProcesses = parseImportedTraceFile('processes.csv', csv);
+    assert.deepEqual(importedProcesses.processIds, ['A', 'B', 'A']);
+    assert.equal(importedProcesses.steps[1].frameState, 'A:1,B:1');
+    assert.equal(importedProcesses.frameCount, 2);
+});
+
+test('an exported JSON trace imports back with its metadata', () => {
+    const algorithm = runAll(createReplacementPolicy('lru', 3, BELADY_REFERENCES));
+    const imported = parseImportedTraceFile('trace.json', formatExecutionTraceJSON(algorithm));
+    assert.equal(imported.frameCount, 3);
+    assert.equal(imported.algorithm, 'LRU');
+    assert.deepEqual(imported.pageReferences, BELADY_REFERENCES);
+    const policyId = findPolicyIdForAlgorithmName(imported.algorithm);
+    assert.equal(policyId, 'lru');
+    assert.equal(verifyImportedSteps(imported.frameCount, imported.pageReferences, imported.steps, policyId).isValid, true);
+    assert.equal(verifyImportedSteps(imported.frameCount, imported.pageReferences, imported.steps, 'fifo').isValid, false);
+    const bareSteps = parseExecutionTraceJSON(JSON.stringify([{ pageNumber: 4, isHit: 'Miss', frameState: [4, null] }]));
+    assert.equal(bareSteps.frameCount, 2);
+    assert.deepEqual(bareSteps.pageReferences, [4]);
+    assert.equal(bareSteps.steps[0].frameState, '4,');
+});
+
+test('malformed files are rejected and plain lists fall back to reference strings', () => {
+    assert.throws(() => parseImportedTraceFile('trace.json', '{"steps": [1,'), /Invalid JSON/);
+    assert.throws(() => parseExecutionTraceJSON('{"metadata": {}}'), /JSON file must contain metadata.pageReferences or a steps array/);
+    assert.throws(() => parseExecutionTraceCSV('Step,Hit/Miss\n1,Miss'), /CSV file must have "Page Reference" and "Frame State" columns/);
+    assert.throws(() => parseExecutionTraceCSV('Page Reference,Frame State'), /CSV file contains no steps/);
+    assert.throws(() => parseExecutionTraceCSV('  \n'), /CSV file is empty/);
+    assert.throws(() => parseImportedTraceFile('refs.txt', '   '), /File contains no page references/);
+    assert.deepEqual(parseImportedTraceFile('refs.csv', '1, 2 3\n4').pageReferences, [1, 2, 3, 4]);
+});
+
+test('verification reports the first step that disagrees with a fresh run', () => {
+    const algorithm = runAll(new FIFOAlgorithm(3, BELADY_REFERENCES));
+    const imported = parseImportedTraceFile('trace.csv', formatExecutionTraceCSV(generateExecutionTrace(algorithm)));
+    imported.steps[4] = { ...imported.steps[4], isHit: true, faultCount: 4 };
+    imported.steps[9] = { ...imported.steps[9], frameState: '3,4,5' };
+    const verification = verifyImportedSteps(3, imported.pageReferences, imported.steps);
+    assert.equal(verification.isValid, false);
+    assert.equal(verification.firstMismatch.step, 5);
+    assert.deepEqual(verification.firstMismatch.mismatchedFields, ['isHit', 'faultCount']);
+    assert.equal(verification.firstMismatch.expected.isHit, false);
+    assert.deepEqual(verification.comparisons[9].mismatchedFields, ['frameState']);
+    const extraStep = verifyImportedSteps(3, [1, 2], [...imported.steps.slice(0, 2), imported.steps[2]]);
+    assert.equal(extraStep.firstMismatch.step, 3);
+    assert.deepEqual(extraStep.firstMismatch.mismatchedFields, ['step']);
+    assert.equal(extraStep.firstMismatch.expected, null);
+});
+
+test('trace exports refuse large traces that keep no per-step history', () => {
+    const { window } = createBrowserContext();
+    const statuses = [];
+    window.showAnimationStatus = (message, type) => statuses.push(`${type}: ${message}`);
+    const algorithm = runAll(createReplacementPolicy('fifo', 3, BELADY_REFERENCES));
+    algorithm.setHistoryMode('summary');
+    assert.equal(window.exportExecutionTraceJSON(algorithm), false);
+    assert.equal(window.exportExecutionTraceCSV(algorithm), false);
+    assert.deepEqual(statuses, [
+        'error: Failed to export execution trace: Per-step traces are not kept for large traces',
+        'error: Failed to export execution trace: Per-step traces are not kept for large traces'
+    ]);
+    statuses.length = 0;
+    assert.equal(window.exportExecutionTraceJSON(createReplacementPolicy('fifo', 3, BELADY_REFERENCES)), false);
+    assert.deepEqual(statuses, ['error: Failed to export execution trace: No execution data available']);
+});
+
+test('trace exports report an error when the browser cannot download files', () => {
+    const { window } = createBrowserContext();
+    const statuses = [];
+    window.Blob = Blob;
+    window.showAnimationStatus = (message, type) => statuses.push(`${type}: ${message}`);
+    const algorithm = runAll(createReplacementPolicy('fifo', 3, BELADY_REFERENCES));
+    assert.equal(window.exportExecutionTraceCSV(algorithm), false);
+    assert.equal(window.exportExecutionTraceJSON(algorithm), false);
+    assert.deepEqual(statuses, [
+        'error: Failed to export execution trace: File downloads are not supported in this browser',
+        'error: Failed to export execution trace: File downloads are not supported in this browser'
+    ]);
+});
+
+test('multi-process traces map to FIFO and unknown algorithms are rejected', () => {
+    const processes = new MultiProcessFIFO(4, [1, 2, 1, 3, 2, 4], ['A', 'A', 'B', 'A', 'B', 'B']);
+    processes.setAllocationPolicy('local-equal');
+    runAll(processes);
+    const imported = parseImportedTraceFile('local.json', formatExecutionTraceJSON(processes));
+    assert.equal(imported.algorithm, 'Local FIFO');
+    assert.equal(imported.allocationPolicy, 'local-equal');
+    const policyId = findPolicyIdForAlgorithmName(imported.algorithm);
+    assert.equal(policyId, 'fifo');
+    const verification = verifyImportedSteps(imported.frameCount, imported.pageReferences, imported.steps, policyId,
+        { processIds: imported.processIds, allocationPolicy: imported.allocationPolicy });
+    assert.equal(verification.isValid, true);
+    assert.equal(findPolicyIdForAlgorithmName('Global FIFO'), 'fifo');
+    assert.equal(findPolicyIdForAlgorithmName('Clock'), 'clock');
+    assert.equal(findPolicyIdForAlgorithmName(null), 'fifo');
+    assert.throws(() => findPolicyIdForAlgorithmName('FIFO vs LRU'), /Unknown algorithm "FIFO vs LRU". Expected one of: FIFO, LRU, OPT/);
+    assert.throws(() => findPolicyIdForAlgorithmName('Second Chance'), /Local FIFO$/);
+});
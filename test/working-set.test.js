@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeWorkingSet, getWorkingSet } = require('../working-set.js');
+const { createBrowserContext } = require('./helpers/browser-context.js');
+
+const PHASE_CHANGE_REFERENCES = [1, 2, 3, 1, 2, 3, 4, 5, 6, 4, 5, 6];
+
+test('working-set size counts distinct pages in the last Δ references', () => {
+    const analysis = analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 4, 3);
+    assert.deepEqual(analysis.points.map(point => point.workingSetSize), [1, 2, 3, 3, 3, 3, 4, 4, 4, 3, 3, 3]);
+    assert.deepEqual(getWorkingSet(PHASE_CHANGE_REFERENCES, 8, 4), [2, 3, 4, 5]);
+    assert.deepEqual(getWorkingSet(PHASE_CHANGE_REFERENCES, 2, 4), [1, 2]);
+    assert.equal(analysis.maxWorkingSetSize, 4);
+    assert.equal(analysis.averageWorkingSetSize, 3);
+});
+
+test('FIFO faults and the windowed fault count follow the reference string', () => {
+    const analysis = analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 4, 3);
+    assert.equal(analysis.algorithmName, 'FIFO');
+    assert.equal(analysis.faultCount, 6);
+    assert.deepEqual(analysis.points.map(point => point.isFault),
+        [true, true, true, false, false, false, true, true, true, false, false, false]);
+    assert.deepEqual(analysis.points.map(point => point.windowFaultCount), [1, 2, 3, 3, 2, 1, 1, 2, 3, 3, 2, 1]);
+    assert.equal(analysis.points[5].faultFrequency, 25);
+});
+
+test('steps whose working set exceeds the frame count are grouped as thrashing', () => {
+    const analysis = analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 4, 3);
+    assert.deepEqual(analysis.thrashingRanges, [{ startStep: 7, endStep: 9, peakWorkingSetSize: 4, faultCount: 3 }]);
+    assert.equal(analysis.thrashingStepCount, 3);
+    assert.deepEqual(analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 4, 4).thrashingRanges, []);
+    assert.throws(() => analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 0, 3), /Working-set window must be a positive integer/);
+});
+
+test('process-tagged references keep a working set per process page', () => {
+    const analysis = analyzeWorkingSet([1, 1, 2], 3, 2, { processIds: ['A', 'B', 'A'], allocationPolicy: 'local-equal' });
+    assert.deepEqual(analysis.points.map(point => point.workingSetSize), [1, 2, 3]);
+    assert.equal(analysis.algorithmName, 'Local FIFO');
+    assert.deepEqual(getWorkingSet([1, 1, 2], 3, 3, ['A', 'B', 'A']), ['A:1', 'B:1', 'A:2']);
+});
+
+test('local allocation compares each process working set with its own frames', () => {
+    const references = [1, 2, 3, 1, 1, 2];
+    const processIds = ['A', 'A', 'A', 'B', 'B', 'B'];
+    const global = analyzeWorkingSet(references, 4, 4, { processIds, allocationPolicy: 'global' });
+    assert.deepEqual(global.thrashingRanges, []);
+    assert.equal(global.frameAllocation, null);
+    const local = analyzeWorkingSet(references, 4, 4, { processIds, allocationPolicy: 'local-equal' });
+    assert.deepEqual(local.frameAllocation.map(allocation => allocation.frameCount), [2, 2]);
+    assert.deepEqual(local.points.map(point => point.isThrashing), [false, false, true, true, false, false]);
+    assert.deepEqual(local.thrashingRanges, [{ startStep: 3, endStep: 4, peakWorkingSetSize: 4, faultCount: 2, processIds: ['A'] }]);
+});
+
+test('a bucket count summarizes the scan without per-step points', () => {
+    const references = Array.from({ length: 1000 }, (_, index) => PHASE_CHANGE_REFERENCES[index % 12]);
+    const full = analyzeWorkingSet(references, 4, 3);
+    const bucketed = analyzeWorkingSet(references, 4, 3, { bucketCount: 100 });
+    assert.equal(bucketed.points, null);
+    assert.equal(bucketed.buckets.length, 100);
+    assert.deepEqual(bucketed.buckets[0], { startStep: 1, endStep: 10, workingSetSize: 4, windowFaultCount: 3, hasFault: true, isThrashing: true });
+    assert.equal(bucketed.buckets[99].endStep, 1000);
+    assert.deepEqual(bucketed.thrashingRanges, full.thrashingRanges);
+    assert.equal(bucketed.thrashingStepCount, full.thrashingStepCount);
+    assert.equal(bucketed.averageWorkingSetSize, full.averageWorkingSetSize);
+    assert.throws(() => analyzeWorkingSet(references, 4, 3, { bucketCount: 0 }), /Bucket count must be a positive integer/);
+});
+
+test('drawWorkingSetChart shades thrashing and draws the fault strip', () => {
+    const { window, context2D } = createBrowserContext();
+    window.initializeCanvas();
+    context2D.calls.length = 0;
+    window.drawWorkingSetChart(window.analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 4, 3));
+    const texts = context2D.textsDrawn();
+    assert.ok(texts.includes('Working Set W(t, 4) vs. FIFO Faults - Thrashing Detected'));
+    const shaded = context2D.callsTo('fillRect').filter(call => call.fillStyle === 'rgba(231, 76, 60, 0.15)');
+    assert.equal(shaded.length, 3);
+    assert.equal(context2D.callsTo('fillRect').length, 1 + 3 + PHASE_CHANGE_REFERENCES.length);
+    context2D.calls.length = 0;
+    window.drawWorkingSetChart(window.analyzeWorkingSet(PHASE_CHANGE_REFERENCES, 4, 3, { bucketCount: 6 }));
+    assert.equal(context2D.callsTo('fillRect').filter(call => call.fillStyle === 'rgba(231, 76, 60, 0.15)').length, 2);
+    assert.equal(context2D.callsTo('fillRect').length, 1 + 2 + 6);
+});
@@ -0,0 +1,241 @@
+const TRACE_COMPARED_FIELDS = ['pageReference', 'isHit', 'frameState', 'faultCount', 'replacedFrame', 'replacedPage'];
+
+const MULTI_PROCESS_ALGORITHM_NAMES = {
+    'Global FIFO': 'fifo',
+    'Local FIFO': 'fifo'
+};
+
+function parseCSVLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const character = line[i];
+        if (inQuotes) {
+            if (character === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (character === '"') {
+                inQuotes = false;
+            } else {
+                current += character;
+            }
+        } else if (character === '"') {
+            inQuotes = true;
+        } else if (character === ',') {
+            values.push(current);
+            current = '';
+        } else {
+            current += character;
+        }
+    }
+    values.push(current);
+    return values.map(value => value.trim());
+}
+
+function parseOptionalInteger(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? value : parsed;
+}
+
+function normalizeTraceStep(step, index) {
+    const frameState = Array.isArray(step.frameState)
+        ? step.frameState.map(frame => frame === null ? '' : frame).join(',')
+        : String(step.frameState);
+    let isHit = step.isHit;
+    if (typeof isHit === 'string') {
+        isHit = isHit.trim().toLowerCase() === 'hit' || isHit.trim().toLowerCase() === 'true';
+    }
+    return {
+        step: step.step !== undefined ? Number(step.step) : index + 1,
+        pageReference: parseOptionalInteger(step.pageReference !== undefined ? step.pageReference : step.pageNumber),
+        isHit: Boolean(isHit),
+        frameState,
+        faultCount: parseOptionalInteger(step.faultCount),
+        faultRate: parseOptionalInteger(step.faultRate),
+        replacedFrame: parseOptionalInteger(step.replacedFrame !== undefined ? step.replacedFrame : step.replacedFrameIndex),
+        replacedPage: parseOptionalInteger(step.replacedPage)
+    };
+}
+
+function parseExecutionTraceJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (Array.isArray(data)) {
+        data = { steps: data };
+    }
+    const metadata = data.metadata || {};
+    const steps = Array.isArray(data.steps) ? data.steps.map(normalizeTraceStep) : null;
+    let pageReferences = Array.isArray(metadata.pageReferences) ? metadata.pageReferences : null;
+    if (!pageReferences && steps) {
+        pageReferences = steps.map(step => step.pageReference);
+    }
+    if (!pageReferences) {
+        throw new Error('JSON file must contain metadata.pageReferences or a steps array');
+    }
+    let frameCount = metadata.frameCount;
+    if (frameCount === undefined && steps && steps.length > 0) {
+        frameCount = steps[0].frameState.split(',').length;
+    }
+    return {
+        frameCount: frameCount !== undefined ? frameCount : null,
+        pageReferences,
+        accessModes: Array.isArray(metadata.accessModes) ? metadata.accessModes : null,
+        processIds: Array.isArray(metadata.processIds) ? metadata.processIds : null,
+        allocationPolicy: metadata.allocationPolicy || null,
+        algorithm: metadata.algorithm || null,
+        steps
+    };
+}
+
+function parseExecutionTraceCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+    const headers = parseCSVLine(lines[0]);
+    const columnIndex = name => headers.findIndex(header => header.toLowerCase() === name.toLowerCase());
+    const pageColumn = columnIndex('Page Reference');
+    const frameStateColumn = columnIndex('Frame State');
+    if (pageColumn === -1 || frameStateColumn === -1) {
+        throw new Error('CSV file must have "Page Reference" and "Frame State" columns');
+    }
+    const stepColumn = columnIndex('Step');
+    const hitColumn = columnIndex('Hit/Miss');
+    const faultCountColumn = columnIndex('Fault Count');
+    const faultRateColumn = columnIndex('Fault Rate (%)');
+    const replacedFrameColumn = columnIndex('Replaced Frame');
+    const replacedPageColumn = columnIndex('Replaced Page');
+    const accessColumn = columnIndex('Access');
+    const processColumn = columnIndex('Process');
+    const accessModes = [];
+    const processIds = [];
+    const valueAt = (values, index) => index === -1 ? undefined : values[index];
+    const steps = lines.slice(1).map((line, index) => {
+        const values = parseCSVLine(line);
+        accessModes.push(String(valueAt(values, accessColumn) || 'R').toLowerCase() === 'w' ? 'w' : 'r');
+        processIds.push(valueAt(values, processColumn) || null);
+        return normalizeTraceStep({
+            step: valueAt(values, stepColumn),
+            pageReference: valueAt(values, pageColumn),
+            isHit: valueAt(values, hitColumn),
+            frameState: valueAt(values, frameStateColumn),
+            faultCount: valueAt(values, faultCountColumn),
+            faultRate: valueAt(values, faultRateColumn),
+            replacedFrame: valueAt(values, replacedFrameColumn),
+            replacedPage: valueAt(values, replacedPageColumn)
+        }, index);
+    });
+    if (steps.length === 0) {
+        throw new Error('CSV file contains no steps');
+    }
+    return {
+        frameCount: steps[0].frameState.split(',').length,
+        pageReferences: steps.map(step => step.pageReference),
+        accessModes: accessModes.includes('w') ? accessModes : null,
+        processIds: processIds.every(processId => processId) ? processIds : null,
+        allocationPolicy: null,
+        algorithm: null,
+        steps
+    };
+}
+
+function parseReferenceStringFile(text) {
+    const pageReferences = text.trim().split(/[\s,]+/).filter(part => part !== '').map(part => parseOptionalInteger(part));
+    if (pageReferences.length === 0) {
+        throw new Error('File contains no page references');
+    }
+    return { frameCount: null, pageReferences, accessModes: null, processIds: null, allocationPolicy: null, algorithm: null, steps: null };
+}
+
+function parseImportedTraceFile(fileName, text) {
+    const extension = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    const trimmed = text.trim();
+    if (extension === '.json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return parseExecutionTraceJSON(trimmed);
+    }
+    if (extension === '.csv' && /[a-z]/i.test(trimmed.split(/\r?\n/)[0])) {
+        return parseExecutionTraceCSV(trimmed);
+    }
+    return parseReferenceStringFile(trimmed);
+}
+
+function findPolicyIdForAlgorithmName(algorithmName) {
+    if (!algorithmName) {
+        return 'fifo';
+    }
+    const policies = typeof REPLACEMENT_POLICIES !== 'undefined'
+        ? REPLACEMENT_POLICIES
+        : require('./replacement-policies.js').REPLACEMENT_POLICIES;
+    if (MULTI_PROCESS_ALGORITHM_NAMES[algorithmName]) {
+        return MULTI_PROCESS_ALGORITHM_NAMES[algorithmName];
+    }
+    const policyId = String(algorithmName).toLowerCase();
+    if (!policies[policyId]) {
+        const knownNames = [...Object.keys(policies).map(id => id.toUpperCase()), ...Object.keys(MULTI_PROCESS_ALGORITHM_NAMES)];
+        throw new Error(`Unknown algorithm "${algorithmName}". Expected one of: ${knownNames.join(', ')}`);
+    }
+    return policyId;
+}
+
+function verifyImportedSteps(frameCount, pageReferences, steps, policyId = 'fifo', options = {}) {
+    const createPolicy = typeof createReplacementPolicy !== 'undefined'
+        ? createReplacementPolicy
+        : require('./replacement-policies.js').createReplacementPolicy;
+    const generateTrace = typeof generateExecutionTrace !== 'undefined'
+        ? generateExecutionTrace
+        : require('./execution-trace.js').generateExecutionTrace;
+    let algorithm;
+    if (options.processIds) {
+        const ProcessAlgorithm = typeof MultiProcessFIFO !== 'undefined'
+            ? MultiProcessFIFO
+            : require('./multi-process.js').MultiProcessFIFO;
+        algorithm = new ProcessAlgorithm(frameCount, pageReferences, options.processIds);
+        algorithm.setAllocationPolicy(options.allocationPolicy || 'global');
+    } else {
+        algorithm = createPolicy(policyId, frameCount, pageReferences);
+    }
+    const stepCount = Math.min(steps.length, pageReferences.length);
+    for (let i = 0; i < stepCount; i++) {
+        algorithm.processPageReference(i);
+    }
+    const expectedSteps = generateTrace(algorithm);
+    const comparisons = [];
+    let firstMismatch = null;
+    for (let i = 0; i < steps.length; i++) {
+        const recorded = steps[i];
+        const expected = expectedSteps[i] || null;
+        const mismatchedFields = expected
+            ? TRACE_COMPARED_FIELDS.filter(field => recorded[field] !== expected[field])
+            : ['step'];
+        comparisons.push({ step: i + 1, recorded, expected, mismatchedFields });
+        if (mismatchedFields.length > 0 && firstMismatch === null) {
+            firstMismatch = comparisons[i];
+        }
+    }
+    return {
+        isValid: firstMismatch === null,
+        checkedSteps: comparisons.length,
+        comparisons,
+        firstMismatch
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCSVLine,
+        parseExecutionTraceJSON,
+        parseExecutionTraceCSV,
+        parseReferenceStringFile,
+        parseImportedTraceFile,
+        findPolicyIdForAlgorithmName,
+        verifyImportedSteps
+    };
+}
@@ -0,0 +1,187 @@
+function createFIFOForAnalysis(frameCount, pageReferences, options) {
+    let algorithm;
+    if (options.processIds) {
+        const ProcessAlgorithm = typeof MultiProcessFIFO !== 'undefined'
+            ? MultiProcessFIFO
+            : require('./multi-process.js').MultiProcessFIFO;
+        algorithm = new ProcessAlgorithm(frameCount, pageReferences, options.processIds);
+        algorithm.setAllocationPolicy(options.allocationPolicy || 'global');
+    } else {
+        const Algorithm = typeof FIFOAlgorithm !== 'undefined' ? FIFOAlgorithm : require('./fifo-algorithm.js');
+        algorithm = new Algorithm(frameCount, pageReferences);
+    }
+    algorithm.setHistoryMode('summary');
+    return algorithm;
+}
+
+function getWorkingSetKey(pageReferences, processIds, index) {
+    return processIds ? `${processIds[index]}:${pageReferences[index]}` : pageReferences[index];
+}
+
+function validateWindowSize(windowSize) {
+    if (!Number.isInteger(windowSize) || windowSize <= 0) {
+        throw new Error('Working-set window must be a positive integer');
+    }
+}
+
+function getWorkingSet(pageReferences, step, windowSize, processIds = null) {
+    validateWindowSize(windowSize);
+    if (!Number.isInteger(step) || step < 1 || step > pageReferences.length) {
+        throw new Error(`Invalid step: ${step}`);
+    }
+    const workingSet = [];
+    for (let i = Math.max(0, step - windowSize); i < step; i++) {
+        const key = getWorkingSetKey(pageReferences, processIds, i);
+        if (!workingSet.includes(key)) {
+            workingSet.push(key);
+        }
+    }
+    return workingSet;
+}
+
+function resolveFrameAllocation(frameCount, pageReferences, options) {
+    if (!options.processIds || !options.allocationPolicy || options.allocationPolicy === 'global') {
+        return null;
+    }
+    const computeAllocation = typeof computeFrameAllocation !== 'undefined'
+        ? computeFrameAllocation
+        : require('./multi-process.js').computeFrameAllocation;
+    return computeAllocation(frameCount, pageReferences, options.processIds, options.allocationPolicy);
+}
+
+function analyzeWorkingSet(pageReferences, windowSize, frameCount, options = {}) {
+    validateWindowSize(windowSize);
+    if (options.bucketCount !== undefined && (!Number.isInteger(options.bucketCount) || options.bucketCount <= 0)) {
+        throw new Error('Bucket count must be a positive integer');
+    }
+    const processIds = options.processIds || null;
+    const algorithm = createFIFOForAnalysis(frameCount, pageReferences, options);
+    const frameAllocation = resolveFrameAllocation(frameCount, pageReferences, options);
+    const allocatedFrames = new Map(frameAllocation
+        ? frameAllocation.map(allocation => [allocation.processId, allocation.frameCount])
+        : []);
+    const processWorkingSetSizes = new Map();
+    let overAllocatedProcessCount = 0;
+    const changeProcessWorkingSet = (index, delta) => {
+        const processId = processIds[index];
+        const previousSize = processWorkingSetSizes.get(processId) || 0;
+        const size = previousSize + delta;
+        processWorkingSetSizes.set(processId, size);
+        const allocated = allocatedFrames.get(processId);
+        if (previousSize <= allocated && size > allocated) {
+            overAllocatedProcessCount++;
+        } else if (previousSize > allocated && size <= allocated) {
+            overAllocatedProcessCount--;
+        }
+    };
+    const bucketSize = options.bucketCount ? Math.max(1, Math.ceil(pageReferences.length / options.bucketCount)) : 0;
+    const pageCounts = new Map();
+    const points = bucketSize ? null : [];
+    const buckets = bucketSize ? [] : null;
+    const thrashingRanges = [];
+    let windowFaultCount = 0;
+    const windowFaultFlags = new Uint8Array(windowSize);
+    let totalWorkingSetSize = 0;
+    let maxWorkingSetSize = 0;
+    let thrashingStepCount = 0;
+    for (let i = 0; i < pageReferences.length; i++) {
+        const key = getWorkingSetKey(pageReferences, processIds, i);
+        const count = pageCounts.get(key) || 0;
+        pageCounts.set(key, count + 1);
+        if (count === 0 && frameAllocation) {
+            changeProcessWorkingSet(i, 1);
+        }
+        const isFault = !algorithm.processPageReference(i).isHit;
+        if (i >= windowSize) {
+            const expiredKey = getWorkingSetKey(pageReferences, processIds, i - windowSize);
+            const remaining = pageCounts.get(expiredKey) - 1;
+            if (remaining === 0) {
+                pageCounts.delete(expiredKey);
+                if (frameAllocation) {
+                    changeProcessWorkingSet(i - windowSize, -1);
+                }
+            } else {
+                pageCounts.set(expiredKey, remaining);
+            }
+            windowFaultCount -= windowFaultFlags[i % windowSize];
+        }
+        windowFaultFlags[i % windowSize] = isFault ? 1 : 0;
+        if (isFault) {
+            windowFaultCount++;
+        }
+        const workingSetSize = pageCounts.size;
+        const isThrashing = frameAllocation ? overAllocatedProcessCount > 0 : workingSetSize > frameCount;
+        const step = i + 1;
+        totalWorkingSetSize += workingSetSize;
+        maxWorkingSetSize = Math.max(maxWorkingSetSize, workingSetSize);
+        if (points) {
+            points.push({
+                step,
+                workingSetSize,
+                isFault,
+                faultCount: algorithm.faultCount,
+                windowFaultCount,
+                faultFrequency: Math.round((windowFaultCount / Math.min(step, windowSize)) * 100 * 100) / 100,
+                isThrashing
+            });
+        } else if (i % bucketSize === 0) {
+            buckets.push({ startStep: step, endStep: step, workingSetSize, windowFaultCount, hasFault: isFault, isThrashing });
+        } else {
+            const bucket = buckets[buckets.length - 1];
+            bucket.endStep = step;
+            bucket.workingSetSize = Math.max(bucket.workingSetSize, workingSetSize);
+            bucket.windowFaultCount = Math.max(bucket.windowFaultCount, windowFaultCount);
+            bucket.hasFault = bucket.hasFault || isFault;
+            bucket.isThrashing = bucket.isThrashing || isThrashing;
+        }
+        if (!isThrashing) {
+            continue;
+        }
+        thrashingStepCount++;
+        const thrashingProcessIds = frameAllocation
+            ? frameAllocation.map(allocation => allocation.processId)
+                .filter(processId => processWorkingSetSizes.get(processId) > allocatedFrames.get(processId))
+            : null;
+        const lastRange = thrashingRanges[thrashingRanges.length - 1];
+        if (lastRange && lastRange.endStep === step - 1) {
+            lastRange.endStep = step;
+            lastRange.peakWorkingSetSize = Math.max(lastRange.peakWorkingSetSize, workingSetSize);
+            lastRange.faultCount += isFault ? 1 : 0;
+            if (thrashingProcessIds) {
+                thrashingProcessIds.forEach(processId => {
+                    if (!lastRange.processIds.includes(processId)) {
+                        lastRange.processIds.push(processId);
+                    }
+                });
+            }
+        } else {
+            const range = { startStep: step, endStep: step, peakWorkingSetSize: workingSetSize, faultCount: isFault ? 1 : 0 };
+            if (thrashingProcessIds) {
+                range.processIds = thrashingProcessIds;
+            }
+            thrashingRanges.push(range);
+        }
+    }
+    return {
+        pageReferences: [...pageReferences],
+        processIds: processIds ? [...processIds] : null,
+        windowSize,
+        frameCount,
+        frameAllocation,
+        algorithmName: algorithm.algorithmName,
+        points,
+        buckets,
+        thrashingRanges,
+        thrashingStepCount,
+        maxWorkingSetSize,
+        averageWorkingSetSize: Math.round((totalWorkingSetSize / pageReferences.length) * 100) / 100,
+        faultCount: algorithm.faultCount
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { analyzeWorkingSet, getWorkingSet };
+} else if (typeof window !== 'undefined') {
+    window.analyzeWorkingSet = analyzeWorkingSet;
+    window.getWorkingSet = getWorkingSet;
+}